@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+/**
+ * Focus Writer Pro - Command Line
+ * Stats, drafts and exports from a terminal, read from the same files the app
+ * uses, plus a way to open the app straight into a session
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const { getDocumentsPath, getExportsPath } = require('../main/storage');
+const library = require('../main/library');
+const settingsStore = require('../main/settings');
+const { loadSessions } = require('../main/sessions');
+const analytics = require('../main/analytics');
+const exporter = require('../main/export');
+const presets = require('../main/presets');
+const reports = require('../main/reports');
+
+const APP_ROOT = path.join(__dirname, '../..');
+
+// PDF is laid out by a browser window, which only the app has
+const CLI_FORMATS = ['md', 'html', 'docx'];
+
+// Options that take a value; everything else starting with -- is a switch
+const VALUE_OPTIONS = ['format', 'out', 'document', 'words', 'minutes', 'characters', 'paragraphs', 'sections', 'length', 'draft'];
+
+// Goal options for `start`, and the goal kind each one sets
+const GOAL_OPTIONS = {
+  words: 'words',
+  minutes: 'time',
+  characters: 'characters',
+  paragraphs: 'paragraphs',
+  sections: 'sections',
+  length: 'length'
+};
+
+const USAGE = `Usage: focus-writer <command> [options]
+
+Commands:
+  stats [--json]                 Summarize your writing sessions
+  list-drafts [--json]           List the documents in your library
+  export <draft> [--format md|html|docx] [--out <file>]
+                                 Export a document by id or title. Without --out it
+                                 goes to the exports folder; --out - prints it
+  start [goal] [--strict | --relaxed] [--document <draft>] [--any]
+                                 Open the app straight into a session. Goals:
+                                 --words, --minutes, --characters, --paragraphs,
+                                 --sections, --length (total words); combine them,
+                                 with --any to finish when the first one is met
+  verify <report> [--draft <file>] [--json]
+                                 Check a signed session report from a writing
+                                 partner; --draft also checks it against their draft
+
+Set FOCUS_WRITER_HOME to use a folder other than Documents/Focus Writer Pro.`;
+
+function parseArgs(args) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--') || arg === '-') {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (!VALUE_OPTIONS.includes(name)) {
+      options[name] = true;
+    } else if (inline !== undefined) {
+      options[name] = inline;
+    } else if (i + 1 < args.length) {
+      options[name] = args[++i];
+    } else {
+      throw new Error(`--${name} needs a value`);
+    }
+  }
+  return { positional, options };
+}
+
+const formatHours = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+};
+
+// "500 words and 30 minutes", from a logged goal or the older goalType/goalValue
+function describeGoal(session) {
+  const parts = session.goal?.parts || (session.goalType ? [{ kind: session.goalType, value: session.goalValue }] : []);
+  if (parts.length === 0) return '-';
+  return parts.map(part => `${part.value} ${part.kind === 'time' ? 'minutes' : part.kind}`)
+    .join(session.goal?.mode === 'any' ? ' or ' : ' and ');
+}
+
+const printTable = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  rows.forEach(row => {
+    console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd());
+  });
+};
+
+// ==================== COMMANDS ====================
+
+function stats(options) {
+  const sessions = loadSessions();
+  const frozenDays = settingsStore.loadSettings().streakFreeze?.usedDays || [];
+  const { totals, streaks, speed, timeOfDay, schedule } = analytics.computeAnalytics(sessions, new Date(), frozenDays);
+  const emergencyExits = sessions.filter(s => s.emergencyExit).length;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      ...totals,
+      emergencyExits,
+      scheduledKept: schedule.kept,
+      scheduledSkipped: schedule.skipped,
+      currentStreak: streaks.current,
+      longestStreak: streaks.longest,
+      averageWpm: speed.average,
+      bestHour: timeOfDay.bestHour
+    }, null, 2));
+    return;
+  }
+
+  if (sessions.length === 0) {
+    console.log('No sessions yet.');
+    return;
+  }
+
+  const plural = (count, word) => `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+  printTable([
+    ['Sessions', `${totals.sessions.toLocaleString()} (${totals.completed.toLocaleString()} reached their goal, ${plural(emergencyExits, 'emergency exit')})`],
+    ['Words', totals.words.toLocaleString()],
+    ['Writing time', formatHours(totals.minutes * 60)],
+    ['Days written', totals.daysWritten.toLocaleString()],
+    ['Scheduled', schedule.scheduled > 0 ? `${schedule.kept.toLocaleString()} kept, ${schedule.skipped.toLocaleString()} skipped` : '-'],
+    ['Streak', `${plural(streaks.current, 'day')} (longest ${plural(streaks.longest, 'day')})`],
+    ['Average speed', speed.average > 0 ? `${speed.average} words a minute` : '-'],
+    ['Best hour', timeOfDay.bestHour === null ? '-' : `${timeOfDay.bestHour}:00`]
+  ]);
+}
+
+function listDrafts(options) {
+  const { currentId, documents } = library.listDocuments();
+  if (options.json) {
+    console.log(JSON.stringify(documents.map(doc => ({
+      id: doc.id,
+      title: doc.title,
+      words: doc.words,
+      lastModified: doc.lastModified,
+      current: doc.id === currentId,
+      path: doc.path
+    })), null, 2));
+    return;
+  }
+
+  if (documents.length === 0) {
+    console.log('No drafts yet.');
+    return;
+  }
+  printTable([
+    ['', 'ID', 'WORDS', 'MODIFIED', 'TITLE'],
+    ...documents.map(doc => [
+      doc.id === currentId ? '*' : '',
+      doc.id,
+      doc.words.toLocaleString(),
+      new Date(doc.lastModified).toISOString().slice(0, 16).replace('T', ' '),
+      doc.title
+    ])
+  ]);
+}
+
+async function exportDraft(positional, options) {
+  if (!positional[0]) throw new Error('Which draft? Usage: focus-writer export <draft> --format md');
+  const format = options.format || 'md';
+  if (!CLI_FORMATS.includes(format)) {
+    throw new Error(format === 'pdf'
+      ? 'PDF export needs the app; from here use md, html or docx'
+      : `Unknown format "${format}"; use md, html or docx`);
+  }
+
+  const doc = library.resolveDocument(positional[0]);
+  const { name, content, meta } = exporter.loadExportSource({ type: 'document', id: doc.id });
+  const output = await exporter.renderExport(format, content, meta);
+
+  if (options.out === '-') {
+    process.stdout.write(output);
+    return;
+  }
+  const filePath = options.out
+    ? path.resolve(options.out)
+    : path.join(getExportsPath(), exporter.exportFileName(name, format));
+  fs.writeFileSync(filePath, output);
+  console.log(filePath);
+}
+
+// Electron ships its binary path as the package's export when loaded from Node
+function electronBinary() {
+  try {
+    return require('electron');
+  } catch (error) {
+    throw new Error('Electron is not installed; run npm install in the app folder first');
+  }
+}
+
+function verify(positional, options) {
+  const [file] = positional;
+  if (!file) throw new Error('Which report? focus-writer verify <report>');
+  const result = reports.verifyReport(path.resolve(file), settingsStore.loadSettings().accountability);
+  const { report } = result;
+  const draftMatches = options.draft
+    ? reports.matchesDraft(report, fs.readFileSync(path.resolve(options.draft), 'utf-8'))
+    : null;
+  if (!result.valid || draftMatches === false) process.exitCode = 1;
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...result, draftMatches }, null, 2));
+    return;
+  }
+
+  const session = report.session || {};
+  let key = 'not one you trust yet; compare it with the one your partner gave you';
+  if (result.own) key = 'this computer\'s';
+  else if (result.partner) key = `trusted as ${result.partner}`;
+  const lockdown = report.lockdown;
+  printTable([
+    ['Signature', result.valid ? 'valid' : 'NOT VALID: the report was changed after it was signed'],
+    ['Signed by', report.author || '(no name)'],
+    ['Key', `${result.fingerprint} (${key})`],
+    ['Started', session.startedAt ? new Date(session.startedAt).toLocaleString() : '-'],
+    ['Duration', session.duration || '-'],
+    ['Words', typeof session.honestWords === 'number'
+      ? `${session.words} (${session.honestWords} honest)`
+      : String(session.words ?? '-')],
+    ['Goal', `${describeGoal(session)}${session.completed ? ', reached' : ', not reached'}`],
+    ['Mode', session.strictMode ? 'strict' : 'relaxed'],
+    ['Emergency exit', session.emergencyExit ? `"${session.emergencyExit.reason}"` : 'none'],
+    ['Escape attempts', lockdown ? String(lockdown.escapeAttempts) : '-'],
+    ['Draft', `${report.draft?.title || '(untitled)'}, sha256 ${report.draft?.sha256}`],
+    ...(draftMatches === null ? [] : [['Draft check', draftMatches ? 'matches' : 'DOES NOT MATCH the report']])
+  ]);
+}
+
+function start(options) {
+  const parts = Object.entries(GOAL_OPTIONS)
+    .filter(([option]) => options[option] !== undefined)
+    .map(([option, kind]) => {
+      const value = Number(options[option]);
+      if (!Number.isInteger(value) || value <= 0) throw new Error(`--${option} must be a whole number`);
+      return { kind, value };
+    });
+  if (options.strict && options.relaxed) throw new Error('Choose --strict or --relaxed, not both');
+
+  const preset = {
+    goal: { mode: options.any ? 'any' : 'all', parts },
+    strictMode: options.strict ? true : (options.relaxed ? false : null),
+    documentId: options.document ? library.resolveDocument(options.document).id : null
+  };
+  // Check the goal before looking for Electron
+  const arg = presets.presetArg(preset);
+  const child = spawn(electronBinary(), [APP_ROOT, arg], {
+    detached: true,
+    stdio: 'ignore'
+  });
+  child.unref();
+
+  console.log(`Starting a session: ${describeGoal(preset)}`);
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+  const { positional, options } = parseArgs(rest);
+
+  switch (command) {
+    case 'stats':
+      return stats(options);
+    case 'list-drafts':
+      return listDrafts(options);
+    case 'export':
+      return exportDraft(positional, options);
+    case 'start':
+      return start(options);
+    case 'verify':
+      return verify(positional, options);
+    case undefined:
+    case 'help':
+    case '--help':
+      console.log(USAGE);
+      console.log(`\nYour files: ${getDocumentsPath()}`);
+      return undefined;
+    default:
+      throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(`focus-writer: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,179 @@
+/**
+ * Focus Writer Pro - Writing Analytics
+ * Everything here is derived from the session log; nothing extra is stored
+ */
+
+const { parseDuration, writtenSessions } = require('./sessions');
+
+const DAY_MS = 86400000;
+const HEATMAP_WEEKS = 53;
+
+// Local calendar day of a date, as YYYY-MM-DD
+function dayKey(date) {
+  const d = new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+function sessionSeconds(session) {
+  if (typeof session.durationSeconds === 'number') return session.durationSeconds;
+  return parseDuration(session.duration);
+}
+
+// Sessions log their end time; older entries have no explicit start
+function sessionStart(session) {
+  if (session.startedAt) return new Date(session.startedAt);
+  return new Date(new Date(session.date).getTime() - sessionSeconds(session) * 1000);
+}
+
+function dailyWords(sessions) {
+  const days = new Map();
+  sessions.forEach(session => {
+    const key = dayKey(sessionStart(session));
+    days.set(key, (days.get(key) || 0) + (session.words || 0));
+  });
+  return days;
+}
+
+// Calendar grid of the last year, whole weeks starting on Sunday
+function computeHeatmap(days, now) {
+  const today = startOfDay(now);
+  const first = addDays(today, -(HEATMAP_WEEKS - 1) * 7 - today.getDay());
+  const cells = [];
+  for (let d = first; d <= today; d = addDays(d, 1)) {
+    const key = dayKey(d);
+    cells.push({ date: key, words: days.get(key) || 0 });
+  }
+  const max = cells.reduce((m, cell) => Math.max(m, cell.words), 0);
+  return { start: dayKey(first), cells, max };
+}
+
+// A day counts toward a streak once any words were written on it.
+// `extraDays` lets callers count days that were covered some other way
+function computeStreaks(days, now, extraDays = new Set()) {
+  const written = (key) => (days.get(key) || 0) > 0 || extraDays.has(key);
+  const keys = [...new Set([...days.keys(), ...extraDays])].filter(written).sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  keys.forEach(key => {
+    const date = new Date(`${key}T00:00:00`);
+    run = previous && Math.round((date - previous) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  // The current streak survives until a whole day passes without writing
+  const today = startOfDay(now);
+  let cursor = written(dayKey(today)) ? today : addDays(today, -1);
+  let current = 0;
+  while (written(dayKey(cursor))) {
+    current++;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { current, longest, writtenToday: written(dayKey(today)) };
+}
+
+function computeSpeed(sessions) {
+  // Very short sessions make for meaningless rates
+  const timed = sessions.filter(s => sessionSeconds(s) >= 60);
+  const points = timed
+    .filter(s => s.words > 0)
+    .map(s => ({
+      date: sessionStart(s).toISOString(),
+      wpm: Math.round((s.words / (sessionSeconds(s) / 60)) * 10) / 10
+    }));
+
+  const totalWords = timed.reduce((sum, s) => sum + (s.words || 0), 0);
+  const totalMinutes = timed.reduce((sum, s) => sum + sessionSeconds(s) / 60, 0);
+  return {
+    points,
+    average: totalMinutes > 0 ? Math.round((totalWords / totalMinutes) * 10) / 10 : 0
+  };
+}
+
+function computeCompletion(sessions) {
+  const byType = {};
+  sessions.forEach(session => {
+    const type = session.goalType || 'none';
+    byType[type] = byType[type] || { total: 0, completed: 0, rate: 0 };
+    byType[type].total++;
+    if (session.completed) byType[type].completed++;
+  });
+  Object.values(byType).forEach(entry => {
+    entry.rate = entry.total > 0 ? entry.completed / entry.total : 0;
+  });
+  return byType;
+}
+
+function computeTimeOfDay(sessions) {
+  const hours = Array.from({ length: 24 }, (_, hour) => ({ hour, words: 0, sessions: 0 }));
+  sessions.forEach(session => {
+    const hour = sessionStart(session).getHours();
+    hours[hour].words += session.words || 0;
+    hours[hour].sessions++;
+  });
+
+  const best = hours.reduce((top, h) => (h.words > top.words ? h : top), hours[0]);
+  return { hours, bestHour: best.words > 0 ? best.hour : null };
+}
+
+// Scheduled sessions that were kept, against those that were skipped
+function computeSchedule(log) {
+  const scheduled = log.filter(s => s.scheduleId);
+  const skipped = scheduled.filter(s => s.skipped).length;
+  return {
+    scheduled: scheduled.length,
+    kept: scheduled.length - skipped,
+    skipped
+  };
+}
+
+// frozenDays: day keys covered by a streak freeze. Skipped sessions count
+// toward the schedule only; everything else is about sessions written
+function computeAnalytics(log, now = new Date(), frozenDays = []) {
+  const sessions = writtenSessions(log);
+  const days = dailyWords(sessions);
+
+  return {
+    totals: {
+      words: sessions.reduce((sum, s) => sum + (s.words || 0), 0),
+      sessions: sessions.length,
+      completed: sessions.filter(s => s.completed).length,
+      minutes: Math.round(sessions.reduce((sum, s) => sum + sessionSeconds(s), 0) / 60),
+      daysWritten: [...days.values()].filter(words => words > 0).length
+    },
+    heatmap: computeHeatmap(days, now),
+    streaks: computeStreaks(days, now, new Set(frozenDays)),
+    speed: computeSpeed(sessions),
+    completion: computeCompletion(sessions),
+    timeOfDay: computeTimeOfDay(sessions),
+    schedule: computeSchedule(log)
+  };
+}
+
+module.exports = {
+  dayKey,
+  startOfDay,
+  addDays,
+  dailyWords,
+  sessionSeconds,
+  sessionStart,
+  computeStreaks,
+  computeAnalytics
+};
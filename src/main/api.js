@@ -0,0 +1,207 @@
+/**
+ * Focus Writer Pro - Local API
+ * Opt-in HTTP and WebSocket server for other tools on this computer. It
+ * listens on 127.0.0.1 only and every request needs the token from settings,
+ * as an "Authorization: Bearer" header or a ?token= query parameter.
+ *
+ *   GET  /status   whether a session is running, its config and live progress
+ *   GET  /session  just the running session's config
+ *   POST /session  start a session: { "goal": { "mode": "all", "parts": [{ "kind": "words", "value": 500 }] },
+ *                  "strictMode": true, "documentId": "my-novel" }
+ *   GET  /events   WebSocket of { event, at, data } messages, where event is one
+ *                  of start-session, progress, goal-reached or end-session
+ *
+ * While a session is running the API is read-only, so it can't end one early
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { acceptWebSocket, refuseUpgrade } = require('./websocket');
+
+const DEFAULT_PORT = 47615;
+const MAX_BODY_BYTES = 16 * 1024;
+
+let server = null;
+let listening = null;
+let lastError = null;
+const clients = new Set();
+
+function normalizeApiSettings(api) {
+  const port = Math.round(Number(api?.port));
+  return {
+    enabled: Boolean(api?.enabled),
+    port: port >= 1024 && port <= 65535 ? port : DEFAULT_PORT,
+    token: typeof api?.token === 'string' ? api.token : ''
+  };
+}
+
+// Compare digests so the time taken says nothing about the token
+function tokenMatches(expected, given) {
+  if (!expected || !given) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(expected), digest(given));
+}
+
+function requestToken(req, url) {
+  const header = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  return header ? header[1].trim() : url.searchParams.get('token');
+}
+
+// A web page can point its own hostname at 127.0.0.1, but it can't make the
+// browser send a localhost Host header, which rules out DNS rebinding
+function hostAllowed(req, port) {
+  return [`127.0.0.1:${port}`, `localhost:${port}`].includes(req.headers.host);
+}
+
+// Host check and token, shared by plain requests and WebSocket upgrades.
+// Returns the URL, or the HTTP status to refuse with
+function authorize(req, settings) {
+  const url = new URL(req.url, `http://127.0.0.1:${settings.port}`);
+  if (!hostAllowed(req, settings.port)) return { status: 403 };
+  if (!tokenMatches(settings.token, requestToken(req, url))) return { status: 401 };
+  return { url };
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+    'Cache-Control': 'no-store'
+  });
+  res.end(json);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body is too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || '{}'));
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// handlers: { getStatus(), isReadOnly(), startSession(body) } from the main process
+async function handleRequest(req, res, settings, handlers) {
+  const { url, status } = authorize(req, settings);
+  if (status) {
+    sendJson(res, status, { success: false, error: status === 401 ? 'Missing or wrong token' : 'Forbidden' });
+    return;
+  }
+
+  const route = `${req.method} ${url.pathname}`;
+  try {
+    switch (route) {
+      case 'GET /status':
+        sendJson(res, 200, { success: true, ...handlers.getStatus() });
+        return;
+      case 'GET /session':
+        sendJson(res, 200, { success: true, session: handlers.getStatus().session });
+        return;
+      case 'POST /session': {
+        if (handlers.isReadOnly()) {
+          sendJson(res, 423, { success: false, error: 'A session is running; the API is read-only until it ends' });
+          return;
+        }
+        const result = handlers.startSession(await readJsonBody(req));
+        sendJson(res, result.success ? 202 : 400, result);
+        return;
+      }
+      default:
+        sendJson(res, 404, { success: false, error: `No such endpoint: ${route}` });
+    }
+  } catch (error) {
+    sendJson(res, 400, { success: false, error: error.message });
+  }
+}
+
+function handleUpgrade(req, socket, settings) {
+  const { url, status } = authorize(req, settings);
+  if (status) {
+    refuseUpgrade(socket, status);
+    return;
+  }
+  if (url.pathname !== '/events') {
+    refuseUpgrade(socket, 404);
+    return;
+  }
+  const client = acceptWebSocket(req, socket, (closed) => clients.delete(closed));
+  if (client) clients.add(client);
+}
+
+function stopApiServer() {
+  clients.forEach(client => client.close());
+  clients.clear();
+  if (server) server.close();
+  server = null;
+  listening = null;
+}
+
+// Start, restart or stop the server to match settings. Resolves once it is
+// listening (or stopped); rejects if the port can't be had
+function configureApiServer(api, handlers) {
+  const settings = normalizeApiSettings(api);
+  if (!settings.enabled || !settings.token) {
+    stopApiServer();
+    lastError = null;
+    return Promise.resolve();
+  }
+  if (listening && listening.port === settings.port && listening.token === settings.token) {
+    return Promise.resolve();
+  }
+
+  stopApiServer();
+  return new Promise((resolve, reject) => {
+    const instance = http.createServer((req, res) => handleRequest(req, res, settings, handlers));
+    instance.on('upgrade', (req, socket) => handleUpgrade(req, socket, settings));
+    instance.on('error', (error) => {
+      lastError = error.code === 'EADDRINUSE' ? `Port ${settings.port} is already in use` : error.message;
+      if (server === instance) server = null;
+      reject(error);
+    });
+    instance.listen(settings.port, '127.0.0.1', () => {
+      listening = settings;
+      lastError = null;
+      resolve();
+    });
+    server = instance;
+  });
+}
+
+function broadcast(event, data) {
+  if (clients.size === 0) return;
+  const message = JSON.stringify({ event, at: new Date().toISOString(), data });
+  clients.forEach(client => client.send(message));
+}
+
+function getApiStatus() {
+  return {
+    running: Boolean(listening),
+    port: listening ? listening.port : null,
+    error: lastError
+  };
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  normalizeApiSettings,
+  configureApiServer,
+  stopApiServer,
+  broadcast,
+  getApiStatus
+};
@@ -0,0 +1,99 @@
+/**
+ * Focus Writer Pro - Draft Archive
+ * A copy of the document is archived to drafts/ at the end of every session
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getDraftsPath, writeFileAtomic } = require('./storage');
+const { countWords } = require('./library');
+const { loadSessions } = require('./sessions');
+
+// Archived drafts begin with a "# Key: value" block that ends at "# ---"
+function parseArchivedDraft(raw) {
+  const lines = raw.split('\n');
+  const meta = {};
+  if (lines[0] !== '# Focus Writer Pro Draft') {
+    return { meta, content: raw };
+  }
+
+  let i = 1;
+  for (; i < lines.length; i++) {
+    if (lines[i] === '# ---') {
+      i++;
+      break;
+    }
+    const match = lines[i].match(/^# ([^:]+): (.*)$/);
+    if (match) {
+      meta[match[1].toLowerCase()] = match[2];
+    }
+  }
+  // The header is followed by a single blank line
+  if (lines[i] === '') i++;
+
+  return { meta, content: lines.slice(i).join('\n') };
+}
+
+function writeArchive(content, stats, documentTitle) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filename = `${timestamp}.txt`;
+  const filePath = path.join(getDraftsPath(), filename);
+
+  // Create header with stats
+  const header = `# Focus Writer Pro Draft
+# Document: ${documentTitle || 'Untitled'}
+# Date: ${new Date().toLocaleString()}
+# Words: ${stats?.words || 0}
+# Session Duration: ${stats?.duration || 'N/A'}
+# ---
+
+`;
+
+  writeFileAtomic(filePath, header + content);
+  return filePath;
+}
+
+// Resolve an archive name to its file, refusing anything outside drafts/
+function getArchivePath(name) {
+  const filePath = path.join(getDraftsPath(), path.basename(String(name)));
+  if (!filePath.endsWith('.txt') || !fs.existsSync(filePath)) {
+    throw new Error(`Archived draft not found: ${name}`);
+  }
+  return filePath;
+}
+
+// Archived drafts, newest first, joined with the session that produced them
+function listArchives() {
+  const draftsDir = getDraftsPath();
+  const sessions = loadSessions();
+
+  return fs.readdirSync(draftsDir)
+    .filter(name => name.endsWith('.txt'))
+    .sort()
+    .reverse()
+    .map(name => {
+      const filePath = path.join(draftsDir, name);
+      const { meta, content } = parseArchivedDraft(fs.readFileSync(filePath, 'utf-8'));
+      const session = sessions.find(s => s.draftPath === filePath) || null;
+      return {
+        name,
+        path: filePath,
+        documentTitle: session?.documentTitle || meta.document || 'Untitled',
+        date: session?.date || fs.statSync(filePath).mtime.toISOString(),
+        words: countWords(content),
+        session
+      };
+    });
+}
+
+function readArchive(name) {
+  const filePath = getArchivePath(name);
+  return { path: filePath, ...parseArchivedDraft(fs.readFileSync(filePath, 'utf-8')) };
+}
+
+module.exports = {
+  parseArchivedDraft,
+  writeArchive,
+  listArchives,
+  readArchive
+};
@@ -0,0 +1,88 @@
+/**
+ * Focus Writer Pro - Lockdown Audit Trail
+ * What happened to the lockdown during a strict session: the window losing
+ * focus and being pulled back, blocked shortcuts, exit warnings and crashes.
+ * The trail is saved with the session entry, so the log says honestly how
+ * often the writer tried to get out
+ */
+
+// blur          the window lost focus
+// refocus       it has focus again; awayMs is how long it was gone
+// shortcut      a blocked shortcut was pressed; accelerator says which
+// exit-warning  closing or quitting was refused; source says how
+// crash         an uncaught exception, recovered by releasing the lockdown
+// resume        the session came back after the app went down; downMs is how long for
+const EVENT_TYPES = ['blur', 'refocus', 'shortcut', 'exit-warning', 'crash', 'resume'];
+// The ones that count as trying to leave
+const ESCAPE_TYPES = ['blur', 'shortcut', 'exit-warning'];
+// Enough for a long, restless session without letting the log grow unbounded
+const MAX_EVENTS = 500;
+
+function createTrail() {
+  return {
+    events: [],
+    counts: Object.fromEntries(EVENT_TYPES.map(type => [type, 0])),
+    blurredAt: null
+  };
+}
+
+// Add an event, stamped now. Past the cap only the counts keep going up
+function recordEvent(trail, type, details = {}) {
+  if (!trail || !EVENT_TYPES.includes(type)) return;
+  const now = Date.now();
+  if (type === 'blur') {
+    // The window can only lose focus once before it gets it back
+    if (trail.blurredAt) return;
+    trail.blurredAt = now;
+  } else if (type === 'refocus') {
+    if (!trail.blurredAt) return;
+    details = { ...details, awayMs: now - trail.blurredAt };
+    trail.blurredAt = null;
+  }
+
+  trail.counts[type]++;
+  if (trail.events.length < MAX_EVENTS) {
+    trail.events.push({ type, at: new Date(now).toISOString(), ...details });
+  }
+}
+
+// A trail saved with an interrupted session, to carry on with once it resumes
+function restoreTrail(saved) {
+  const trail = createTrail();
+  if (Array.isArray(saved?.events)) {
+    trail.events = saved.events.filter(event => EVENT_TYPES.includes(event?.type)).slice(0, MAX_EVENTS);
+  }
+  EVENT_TYPES.forEach(type => {
+    const count = Number(saved?.counts?.[type]);
+    trail.counts[type] = count >= 0 ? Math.round(count) : trail.events.filter(event => event.type === type).length;
+  });
+  return trail;
+}
+
+// { escapeAttempts, counts } for the completion banner
+function summarizeTrail(trail) {
+  if (!trail) return null;
+  return {
+    escapeAttempts: ESCAPE_TYPES.reduce((sum, type) => sum + trail.counts[type], 0),
+    counts: { ...trail.counts }
+  };
+}
+
+// The trail as it goes in the session log
+function trailForLog(trail) {
+  if (!trail) return null;
+  return {
+    ...summarizeTrail(trail),
+    events: trail.events,
+    // Events past the cap, counted but not listed
+    dropped: Object.values(trail.counts).reduce((sum, n) => sum + n, 0) - trail.events.length
+  };
+}
+
+module.exports = {
+  createTrail,
+  recordEvent,
+  restoreTrail,
+  summarizeTrail,
+  trailForLog
+};
@@ -0,0 +1,284 @@
+/**
+ * Focus Writer Pro - Blocklist
+ * Sites and apps kept out of reach while a strict session is locked down.
+ * Sites are pointed back at this computer in the hosts file, which is written
+ * through the system's own administrator prompt. Listed apps are quit, or
+ * hidden on macOS, and looked for again every few seconds. Everything is put
+ * back when the lockdown ends; blocking holds through Pomodoro breaks.
+ *
+ * Dry-run mode goes through the same steps and reports what it would have
+ * done, without admin rights and without changing anything
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ensureDir, writeFileAtomic, getDocumentsPath } = require('./storage');
+
+// Our lines in the hosts file sit between these, so they can be taken out
+// again without touching anything else, even after a crash
+const BEGIN_MARKER = '# >>> Focus Writer Pro blocklist';
+const END_MARKER = '# <<< Focus Writer Pro blocklist';
+
+const APP_ACTIONS = ['quit', 'hide'];
+const APP_CHECK_MS = 5000;
+const MAX_ENTRIES = 200;
+// The admin prompt waits on the user, so give them time
+const COMMAND_TIMEOUT_MS = 120000;
+const HOSTNAME = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// The blocklist in force, or null
+let engaged = null;
+let appTimer = null;
+let checkingApps = false;
+// Apps already dealt with this session, by pid, so each is reported once
+const handledApps = new Set();
+// What the current or last session did: [{ at, action, target, dryRun, command?, error? }]
+let report = [];
+
+// "https://www.example.com/page" -> "example.com"; null for anything that isn't a hostname
+function normalizeSite(site) {
+  const host = String(site || '').trim().toLowerCase()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '')
+    .replace(/\.$/, '');
+  return HOSTNAME.test(host) ? host : null;
+}
+
+// Matching ignores case and a Windows .exe
+const appKey = (name) => String(name || '').trim().toLowerCase().replace(/\.exe$/, '');
+
+// Drop anything malformed so a hand-edited settings.json can't break lockdown
+function normalizeBlocklist(blocklist) {
+  const list = (items, normalize) => [...new Set((Array.isArray(items) ? items : []).map(normalize).filter(Boolean))]
+    .slice(0, MAX_ENTRIES);
+  return {
+    enabled: Boolean(blocklist?.enabled),
+    sites: list(blocklist?.sites, normalizeSite),
+    apps: list(blocklist?.apps, app => String(app || '').trim().slice(0, 100) || null),
+    appAction: APP_ACTIONS.includes(blocklist?.appAction) ? blocklist.appAction : 'quit',
+    dryRun: Boolean(blocklist?.dryRun)
+  };
+}
+
+function record(action, target, dryRun, details = {}) {
+  report.push({ at: new Date().toISOString(), action, target, dryRun, ...details });
+}
+
+function run(command, args) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: COMMAND_TIMEOUT_MS, windowsHide: true }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(stdout);
+    });
+  });
+}
+
+// ==================== HOSTS FILE ====================
+
+const getHostsPath = () => (process.platform === 'win32'
+  ? path.join(process.env.SystemRoot || 'C:\\Windows', 'System32', 'drivers', 'etc', 'hosts')
+  : '/etc/hosts');
+
+// The hosts file with our lines taken out
+function stripBlock(text) {
+  const start = text.indexOf(BEGIN_MARKER);
+  const end = text.indexOf(END_MARKER);
+  if (start === -1 || end < start) return text;
+  return text.slice(0, start) + text.slice(end + END_MARKER.length).replace(/^\r?\n/, '');
+}
+
+// The hosts file with our lines for `sites` at the end, in its own line endings
+function withBlock(text, sites) {
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const base = stripBlock(text);
+  const lines = [BEGIN_MARKER];
+  sites.forEach(site => [site, `www.${site}`].forEach(host => lines.push(`127.0.0.1 ${host}`, `::1 ${host}`)));
+  lines.push(END_MARKER);
+  return (base && !base.endsWith('\n') ? base + eol : base) + lines.join(eol) + eol;
+}
+
+// Paths come from the user's folder, so names like O'Brien have to survive
+// being quoted inside a script
+const appleScriptString = (text) => `"${text.replace(/[\\"]/g, '\\$&')}"`;
+const powerShellString = (text) => `'${text.replace(/'/g, "''")}'`;
+
+// The privileged helper: the platform's admin prompt copying a prepared file
+// over the hosts file. [command, args] for execFile, which fails if the copy does
+function privilegedCopy(source, target) {
+  switch (process.platform) {
+    case 'darwin':
+      return ['osascript', ['-e',
+        `do shell script "cp " & quoted form of ${appleScriptString(source)} & " " & quoted form of ${appleScriptString(target)} & ` +
+        '" && dscacheutil -flushcache" with administrator privileges']];
+    case 'win32':
+      // Start-Process doesn't pass on the elevated cmd's exit code by itself
+      return ['powershell.exe', ['-NoProfile', '-NonInteractive', '-Command',
+        `$copy = Start-Process -FilePath cmd.exe -ArgumentList ${powerShellString(`/c copy /Y "${source}" "${target}"`)} ` +
+        '-Verb RunAs -Wait -PassThru -WindowStyle Hidden; exit $copy.ExitCode']];
+    default:
+      return ['pkexec', ['cp', source, target]];
+  }
+}
+
+// Stage the new hosts file in our folder and copy it into place. A dry run
+// leaves the staged copy behind to look at, and returns the command it didn't run
+async function writeHosts(content, dryRun) {
+  const folder = ensureDir(path.join(getDocumentsPath(), 'blocklist'));
+  const staged = path.join(folder, dryRun ? 'hosts.dry-run' : 'hosts.staged');
+  writeFileAtomic(staged, content);
+  const [command, args] = privilegedCopy(staged, getHostsPath());
+  if (dryRun) return [command, ...args].join(' ');
+
+  try {
+    await run(command, args);
+  } finally {
+    fs.unlinkSync(staged);
+  }
+  return null;
+}
+
+async function blockSites(sites, dryRun) {
+  try {
+    const hosts = fs.readFileSync(getHostsPath(), 'utf-8');
+    const command = await writeHosts(withBlock(hosts, sites), dryRun);
+    record('block-sites', sites.join(', '), dryRun, command ? { command } : {});
+    return true;
+  } catch (error) {
+    console.error('Error blocking sites:', error);
+    record('block-sites', sites.join(', '), dryRun, { error: error.message });
+    return false;
+  }
+}
+
+async function unblockSites(dryRun) {
+  try {
+    const hosts = fs.readFileSync(getHostsPath(), 'utf-8');
+    if (!dryRun && !hosts.includes(BEGIN_MARKER)) return;
+    const command = await writeHosts(stripBlock(hosts), dryRun);
+    record('unblock-sites', getHostsPath(), dryRun, command ? { command } : {});
+  } catch (error) {
+    console.error('Error unblocking sites:', error);
+    record('unblock-sites', getHostsPath(), dryRun, { error: error.message });
+  }
+}
+
+// ==================== APPS ====================
+
+// Running processes as [{ pid, name }]
+async function listProcesses() {
+  if (process.platform === 'win32') {
+    const output = await run('tasklist', ['/FO', 'CSV', '/NH']);
+    return output.split(/\r?\n/).flatMap(line => {
+      const match = /^"([^"]+)","(\d+)"/.exec(line);
+      return match ? [{ name: match[1], pid: Number(match[2]) }] : [];
+    });
+  }
+  const output = await run('ps', ['-axo', 'pid=,comm=']);
+  return output.split('\n').flatMap(line => {
+    const match = /^\s*(\d+)\s+(.+)$/.exec(line);
+    return match ? [{ pid: Number(match[1]), name: path.basename(match[2].trim()) }] : [];
+  });
+}
+
+// Hiding is a macOS idea; elsewhere a listed app is quit
+async function actOnApp(app, hide) {
+  if (hide) {
+    await run('osascript', ['-e',
+      `tell application "System Events" to set visible of (every process whose unix id is ${app.pid}) to false`]);
+  } else {
+    process.kill(app.pid);
+  }
+}
+
+async function checkApps() {
+  if (!engaged || checkingApps) return;
+  checkingApps = true;
+  const { apps, appAction, dryRun } = engaged;
+  const hide = appAction === 'hide' && process.platform === 'darwin';
+  try {
+    const wanted = new Set(apps.map(appKey));
+    const found = (await listProcesses())
+      .filter(app => app.pid !== process.pid && wanted.has(appKey(app.name)));
+    for (const app of found) {
+      const first = !handledApps.has(app.pid);
+      handledApps.add(app.pid);
+      if (first) record(hide ? 'hide-app' : 'quit-app', `${app.name} (${app.pid})`, dryRun);
+      if (dryRun) continue;
+      try {
+        await actOnApp(app, hide);
+      } catch (error) {
+        if (first) record(hide ? 'hide-app' : 'quit-app', `${app.name} (${app.pid})`, dryRun, { error: error.message });
+      }
+    }
+  } catch (error) {
+    console.error('Error checking blocked apps:', error);
+  } finally {
+    checkingApps = false;
+  }
+}
+
+// ==================== LOCKDOWN ====================
+
+// Start blocking for a strict session. Safe to call again while engaged,
+// as lockdown is after each Pomodoro break
+async function engageBlocklist(blocklist) {
+  const settings = normalizeBlocklist(blocklist);
+  if (engaged || !settings.enabled) return;
+
+  const current = { ...settings, sitesBlocked: false };
+  engaged = current;
+  report = [];
+  handledApps.clear();
+  if (settings.sites.length > 0) {
+    current.sitesBlocked = await blockSites(settings.sites, settings.dryRun);
+    // Released while the admin prompt was up: undo it straight away
+    if (engaged !== current) {
+      if (current.sitesBlocked) await unblockSites(settings.dryRun);
+      return;
+    }
+  }
+  if (settings.apps.length > 0) {
+    appTimer = setInterval(checkApps, APP_CHECK_MS);
+    checkApps();
+  }
+}
+
+// Put everything back once the lockdown is over
+async function releaseBlocklist() {
+  if (!engaged) return;
+  const released = engaged;
+  engaged = null;
+  if (appTimer) clearInterval(appTimer);
+  appTimer = null;
+  if (released.sitesBlocked) await unblockSites(released.dryRun);
+}
+
+// Take out hosts lines left behind when the app went down mid-session
+async function clearLeftoverBlock() {
+  if (engaged) return;
+  try {
+    if (!fs.readFileSync(getHostsPath(), 'utf-8').includes(BEGIN_MARKER)) return;
+  } catch (error) {
+    return;
+  }
+  await unblockSites(false);
+}
+
+function getBlocklistStatus() {
+  return {
+    engaged: Boolean(engaged),
+    dryRun: Boolean(engaged?.dryRun),
+    report: [...report]
+  };
+}
+
+module.exports = {
+  normalizeSite,
+  normalizeBlocklist,
+  engageBlocklist,
+  releaseBlocklist,
+  clearLeftoverBlock,
+  getBlocklistStatus
+};
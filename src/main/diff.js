@@ -0,0 +1,131 @@
+/**
+ * Focus Writer Pro - Text Diff
+ * Myers diff over lines or words, returned as runs of equal/insert/delete text
+ */
+
+// Beyond this many edits the exact diff isn't worth the memory; show a wholesale replace
+const MAX_EDIT_DISTANCE = 2000;
+
+// Split text into tokens that join back into the original exactly
+function tokenize(text, mode) {
+  if (mode === 'lines') {
+    return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  }
+  return text.match(/\s+|\S+/g) || [];
+}
+
+// Shortest edit script between two token arrays (Myers, 1986).
+// Returns [type, token] pairs, or null if the texts are too far apart
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  let found = -1;
+  for (let d = 0; d <= max && found < 0; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = d;
+        break;
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+  if (found < 0) return null;
+
+  // Walk back through the saved frontiers to recover the path
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = found; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[--x]]);
+      y--;
+    }
+    if (prevK === k + 1) {
+      ops.push(['insert', b[--y]]);
+    } else {
+      ops.push(['delete', a[--x]]);
+    }
+  }
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[--x]]);
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+function diffTokens(a, b) {
+  // Common prefix and suffix are cheap to strip and usually most of a document
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myers(middleA, middleB) || [
+    ...middleA.map(token => ['delete', token]),
+    ...middleB.map(token => ['insert', token])
+  ];
+
+  return [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(endA).map(token => ['equal', token])
+  ];
+}
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+// Diff two texts. mode is 'words' or 'lines'
+function diffText(before, after, mode = 'words') {
+  const ops = diffTokens(tokenize(before, mode), tokenize(after, mode));
+
+  // Merge neighbouring tokens of the same kind into runs
+  const runs = [];
+  for (const [type, token] of ops) {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.value += token;
+    } else {
+      runs.push({ type, value: token });
+    }
+  }
+
+  const stats = { wordsAdded: 0, wordsRemoved: 0 };
+  runs.forEach(run => {
+    if (run.type === 'insert') stats.wordsAdded += countWords(run.value);
+    if (run.type === 'delete') stats.wordsRemoved += countWords(run.value);
+  });
+
+  return { runs, stats };
+}
+
+module.exports = {
+  diffText
+};
@@ -0,0 +1,298 @@
+/**
+ * Focus Writer Pro - Export
+ * Turns a draft into clean Markdown (with YAML front matter), standalone
+ * HTML, DOCX or PDF. Everything is generated locally - no network services
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { createZip } = require('./zip');
+const library = require('./library');
+const archive = require('./archive');
+const { loadSessions, parseDuration, formatDuration } = require('./sessions');
+
+const FORMATS = {
+  md: { extension: 'md', name: 'Markdown' },
+  html: { extension: 'html', name: 'HTML' },
+  docx: { extension: 'docx', name: 'Word Document' },
+  pdf: { extension: 'pdf', name: 'PDF' }
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// XML 1.0 can't carry most control characters at all
+const escapeXml = (text) => escapeHtml(text)
+  .replace(/'/g, '&apos;')
+  .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+// Blank lines separate paragraphs; single line breaks stay inside one
+const splitParagraphs = (content) => content
+  .replace(/\r\n/g, '\n')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.replace(/^\n+|\n+$/g, ''))
+  .filter(paragraph => paragraph.trim());
+
+// ==================== MARKDOWN ====================
+
+// JSON strings are valid YAML double-quoted scalars
+const yamlString = (value) => JSON.stringify(String(value));
+
+function toMarkdown(content, meta) {
+  const lines = ['---', `title: ${yamlString(meta.title)}`];
+  if (meta.date) lines.push(`date: ${meta.date}`);
+  lines.push(`words: ${meta.words}`);
+  if (meta.duration) lines.push(`duration: ${yamlString(meta.duration)}`);
+  if (meta.goal && meta.goal.parts) {
+    lines.push('goal:', `  mode: ${meta.goal.mode}`, '  parts:');
+    meta.goal.parts.forEach(part => lines.push(`    - kind: ${part.kind}`, `      value: ${part.value}`));
+  } else if (meta.goal && meta.goal.type) {
+    lines.push('goal:', `  type: ${meta.goal.type}`, `  value: ${meta.goal.value}`);
+  }
+  lines.push('---');
+
+  return `${lines.join('\n')}\n\n${content.trim()}\n`;
+}
+
+// ==================== HTML ====================
+
+function toHtml(content, meta) {
+  const body = splitParagraphs(content)
+    .map(paragraph => `    <p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="Focus Writer Pro">
+${meta.date ? `  <meta name="date" content="${escapeHtml(meta.date)}">\n` : ''}  <title>${escapeHtml(meta.title)}</title>
+  <style>
+    body {
+      max-width: 680px;
+      margin: 60px auto;
+      padding: 0 24px;
+      font-family: Georgia, 'Times New Roman', serif;
+      font-size: 18px;
+      line-height: 1.7;
+      color: #1a1a1a;
+      background: #ffffff;
+    }
+    p {
+      margin: 0 0 1.1em;
+      white-space: pre-wrap;
+    }
+  </style>
+</head>
+<body>
+  <article>
+${body}
+  </article>
+</body>
+</html>
+`;
+}
+
+// ==================== DOCX ====================
+
+const W_NS = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+function docxParagraph(paragraph) {
+  // Line breaks become <w:br/>, tabs <w:tab/>; everything else is literal text
+  const runs = paragraph.split('\n').map((line, i) => {
+    const parts = line.split('\t').map(text => `<w:t xml:space="preserve">${escapeXml(text)}</w:t>`);
+    return (i > 0 ? '<w:br/>' : '') + parts.join('<w:tab/>');
+  });
+  return `<w:p><w:r>${runs.join('')}</w:r></w:p>`;
+}
+
+function toDocx(content, meta) {
+  // W3CDTF without fractional seconds
+  const created = new Date(meta.date || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  const paragraphs = splitParagraphs(content).map(docxParagraph).join('');
+
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: `${XML_DECLARATION}
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+  <Override PartName="/docProps/app.xml" ContentType="application/vnd.openxmlformats-officedocument.extended-properties+xml"/>
+</Types>`
+    },
+    {
+      name: '_rels/.rels',
+      data: `${XML_DECLARATION}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+  <Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/extended-properties" Target="docProps/app.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'word/_rels/document.xml.rels',
+      data: `${XML_DECLARATION}
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    {
+      name: 'word/styles.xml',
+      data: `${XML_DECLARATION}
+<w:styles xmlns:w="${W_NS}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Georgia" w:hAnsi="Georgia" w:cs="Georgia"/><w:sz w:val="24"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="200" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+</w:styles>`
+    },
+    {
+      name: 'word/document.xml',
+      data: `${XML_DECLARATION}
+<w:document xmlns:w="${W_NS}">
+  <w:body>${paragraphs}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`
+    },
+    {
+      name: 'docProps/core.xml',
+      data: `${XML_DECLARATION}
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(meta.title)}</dc:title>
+  <dc:creator>Focus Writer Pro</dc:creator>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>
+</cp:coreProperties>`
+    },
+    {
+      name: 'docProps/app.xml',
+      data: `${XML_DECLARATION}
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+  <Application>Focus Writer Pro</Application>
+  <Words>${meta.words}</Words>
+</Properties>`
+    }
+  ];
+
+  return createZip(files, new Date(meta.date || Date.now()));
+}
+
+// ==================== PDF ====================
+
+// Lay the HTML export out in a hidden window and print it. Needs Electron
+async function toPdf(content, meta) {
+  const { BrowserWindow } = require('electron');
+  const htmlPath = path.join(os.tmpdir(), `focus-writer-export-${process.pid}-${Date.now()}.html`);
+  fs.writeFileSync(htmlPath, toHtml(content, meta), 'utf-8');
+
+  const win = new BrowserWindow({
+    show: false,
+    webPreferences: { javascript: false, sandbox: true }
+  });
+  try {
+    await win.loadFile(htmlPath);
+    return await win.webContents.printToPDF({ printBackground: true, pageSize: 'Letter' });
+  } finally {
+    win.destroy();
+    fs.unlinkSync(htmlPath);
+  }
+}
+
+// Render content in the given format. Resolves to a string or Buffer
+async function renderExport(format, content, meta) {
+  switch (format) {
+    case 'md':
+      return toMarkdown(content, meta);
+    case 'html':
+      return toHtml(content, meta);
+    case 'docx':
+      return toDocx(content, meta);
+    case 'pdf':
+      return toPdf(content, meta);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+// ==================== SOURCES ====================
+
+// Compound goals keep every condition; single ones stay a plain type/value
+function sessionGoal(session) {
+  if (!session?.goalType) return null;
+  if (session.goal && session.goal.parts.length > 1) return session.goal;
+  return { type: session.goalType, value: session.goalValue };
+}
+
+// A library document, with session totals for the front matter
+function loadDocumentSource(documentId) {
+  const doc = library.findDocument(library.loadLibrary(), documentId);
+  const content = library.readDocument(doc.id);
+  const filePath = library.getDocumentPath(doc.id);
+  const sessions = loadSessions().filter(s => s.documentId === doc.id);
+  const seconds = sessions.reduce((sum, s) => sum + parseDuration(s.duration), 0);
+  const lastGoal = sessions.filter(s => s.goalType).pop();
+
+  return {
+    name: doc.title,
+    content,
+    meta: {
+      title: doc.title,
+      date: (fs.existsSync(filePath) ? fs.statSync(filePath).mtime : new Date(doc.updatedAt)).toISOString(),
+      words: library.countWords(content),
+      duration: seconds > 0 ? formatDuration(seconds) : null,
+      goal: sessionGoal(lastGoal)
+    }
+  };
+}
+
+// An archived session draft, described by its session log entry
+function loadArchiveSource(name) {
+  const { path: filePath, meta: header, content } = archive.readArchive(name);
+  const session = loadSessions().find(s => s.draftPath === filePath);
+  const title = session?.documentTitle || header.document || 'Untitled';
+  const date = session?.date || new Date(fs.statSync(filePath).mtime).toISOString();
+
+  return {
+    name: `${title} ${date.slice(0, 10)}`,
+    content,
+    meta: {
+      title,
+      date,
+      words: library.countWords(content),
+      duration: session?.duration || (header['session duration'] !== 'N/A' ? header['session duration'] : null),
+      goal: sessionGoal(session)
+    }
+  };
+}
+
+// A file name for an export that is safe on every platform
+function exportFileName(name, format) {
+  const safeName = name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'Untitled';
+  return `${safeName}.${FORMATS[format].extension}`;
+}
+
+// source: { type: 'document', id } or { type: 'archive', id: <file name> }
+function loadExportSource(source) {
+  return source.type === 'archive'
+    ? loadArchiveSource(source.id)
+    : loadDocumentSource(source.id);
+}
+
+module.exports = {
+  FORMATS,
+  loadExportSource,
+  exportFileName,
+  toMarkdown,
+  toHtml,
+  toDocx,
+  renderExport
+};
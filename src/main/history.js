@@ -0,0 +1,111 @@
+/**
+ * Focus Writer Pro - Version History
+ * Rolling snapshots of each document, kept in <id>.history/ beside it with
+ * an index.json describing every version (when, why, how many words)
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getLibraryPath, ensureDir, writeFileAtomic, hashContent } = require('./storage');
+const { countWords } = require('./library');
+
+// Periodic snapshots are pruned to this many; milestone snapshots are always kept
+const MAX_INTERVAL_SNAPSHOTS = 60;
+
+const REASONS = ['interval', 'goal', 'start-fresh', 'before-restore'];
+
+const getHistoryDir = (documentId) => path.join(getLibraryPath(), `${documentId}.history`);
+const getIndexPath = (documentId) => path.join(getHistoryDir(documentId), 'index.json');
+const getVersionPath = (documentId, versionId) => path.join(getHistoryDir(documentId), `${versionId}.txt`);
+
+function loadIndex(documentId) {
+  const indexPath = getIndexPath(documentId);
+  if (!fs.existsSync(indexPath)) return [];
+  return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+}
+
+function saveIndex(documentId, versions) {
+  ensureDir(getHistoryDir(documentId));
+  writeFileAtomic(getIndexPath(documentId), JSON.stringify(versions, null, 2));
+}
+
+// Drop the oldest periodic snapshots once there are too many
+function prune(documentId, versions) {
+  const periodic = versions.filter(v => v.reason === 'interval');
+  const excess = periodic.slice(0, Math.max(0, periodic.length - MAX_INTERVAL_SNAPSHOTS));
+  excess.forEach(version => {
+    const versionPath = getVersionPath(documentId, version.id);
+    if (fs.existsSync(versionPath)) {
+      fs.unlinkSync(versionPath);
+    }
+  });
+  return versions.filter(v => !excess.includes(v));
+}
+
+// Versions, newest first
+function listVersions(documentId) {
+  return loadIndex(documentId).slice().reverse();
+}
+
+function createSnapshot(documentId, content, reason) {
+  if (!REASONS.includes(reason)) {
+    throw new Error(`Unknown snapshot reason: ${reason}`);
+  }
+
+  let versions = loadIndex(documentId);
+  const hash = hashContent(content);
+  const latest = versions[versions.length - 1];
+
+  // Nothing changed since the last snapshot - don't store the same text twice
+  if (latest && latest.hash === hash) return latest;
+
+  const createdAt = new Date().toISOString();
+  let id = createdAt.replace(/[:.]/g, '-');
+  if (versions.some(v => v.id === id)) {
+    id = `${id}-${versions.length}`;
+  }
+
+  ensureDir(getHistoryDir(documentId));
+  writeFileAtomic(getVersionPath(documentId, id), content);
+
+  const version = { id, createdAt, reason, words: countWords(content), hash };
+  versions.push(version);
+  versions = prune(documentId, versions);
+  saveIndex(documentId, versions);
+  return version;
+}
+
+// Take a periodic snapshot if the last one is more than intervalMinutes old
+function maybeSnapshot(documentId, content, intervalMinutes) {
+  if (!intervalMinutes || intervalMinutes <= 0) return null;
+
+  const versions = loadIndex(documentId);
+  const latest = versions[versions.length - 1];
+  if (latest && Date.now() - new Date(latest.createdAt).getTime() < intervalMinutes * 60000) {
+    return null;
+  }
+  return createSnapshot(documentId, content, 'interval');
+}
+
+function readVersion(documentId, versionId) {
+  const version = loadIndex(documentId).find(v => v.id === versionId);
+  if (!version) {
+    throw new Error(`Version not found: ${versionId}`);
+  }
+  return fs.readFileSync(getVersionPath(documentId, version.id), 'utf-8');
+}
+
+function deleteHistory(documentId) {
+  const dir = getHistoryDir(documentId);
+  if (fs.existsSync(dir)) {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  listVersions,
+  createSnapshot,
+  maybeSnapshot,
+  readVersion,
+  deleteHistory
+};
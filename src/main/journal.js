@@ -0,0 +1,96 @@
+/**
+ * Focus Writer Pro - Write-Ahead Journal
+ * Append-only log of edits made between auto-saves. Each journal starts
+ * with a header naming the saved text it applies to, followed by one
+ * splice per line ({ t: timestamp, p: position, d: deleted, i: inserted })
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getLibraryPath, writeFileAtomic, hashContent } = require('./storage');
+
+const getJournalPath = (documentId) => path.join(getLibraryPath(), `${documentId}.journal`);
+
+// Start a fresh journal on top of text that has just been saved
+function resetJournal(documentId, savedContent) {
+  const header = {
+    type: 'base',
+    hash: hashContent(savedContent),
+    length: savedContent.length,
+    savedAt: Date.now()
+  };
+  writeFileAtomic(getJournalPath(documentId), JSON.stringify(header) + '\n');
+}
+
+function appendJournal(documentId, entries) {
+  const journalPath = getJournalPath(documentId);
+  // Without a base header the edits can't be replayed safely, so don't record them
+  if (!entries.length || !fs.existsSync(journalPath)) return;
+
+  const fd = fs.openSync(journalPath, 'a');
+  try {
+    fs.writeSync(fd, entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    fs.fdatasyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function discardJournal(documentId) {
+  const journalPath = getJournalPath(documentId);
+  if (fs.existsSync(journalPath)) {
+    fs.unlinkSync(journalPath);
+  }
+}
+
+// Replay the journal on top of the saved text. Returns the recovered text when
+// the journal holds edits made after the last save, otherwise null
+function recoverJournal(documentId, savedContent, savedAt) {
+  const journalPath = getJournalPath(documentId);
+  if (!fs.existsSync(journalPath)) return null;
+
+  const lines = fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean);
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (e) {
+    return null;
+  }
+
+  // A journal written against some other version of the file is stale
+  if (!header || header.type !== 'base' || header.hash !== hashContent(savedContent)) {
+    return null;
+  }
+
+  let content = savedContent;
+  let applied = 0;
+  let lastEditAt = header.savedAt;
+
+  for (const line of lines.slice(1)) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      break; // Torn final line from a crash mid-append
+    }
+    if (entry.p < 0 || entry.p + entry.d > content.length) break;
+
+    content = content.slice(0, entry.p) + entry.i + content.slice(entry.p + entry.d);
+    lastEditAt = entry.t;
+    applied++;
+  }
+
+  const savedTime = savedAt ? new Date(savedAt).getTime() : 0;
+  if (applied === 0 || content === savedContent || lastEditAt <= savedTime) {
+    return null;
+  }
+
+  return { content, edits: applied, lastEditAt: new Date(lastEditAt).toISOString() };
+}
+
+module.exports = {
+  resetJournal,
+  appendJournal,
+  discardJournal,
+  recoverJournal
+};
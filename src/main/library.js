@@ -0,0 +1,236 @@
+/**
+ * Focus Writer Pro - Document Library
+ * Named documents kept side by side in the documents folder, plus the
+ * index that remembers their titles and which one is currently open
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getLibraryPath, getLibraryIndexPath, getLegacyDraftPath, writeFileAtomic } = require('./storage');
+
+const DEFAULT_TITLE = 'Untitled';
+const MAX_TITLE_LENGTH = 120;
+const FOCUS_DIMMING = ['off', 'sentence', 'paragraph'];
+
+const getDocumentPath = (id) => path.join(getLibraryPath(), `${id}.txt`);
+
+function countWords(text) {
+  if (!text || !text.trim()) return 0;
+  return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+}
+
+function cleanTitle(title) {
+  const trimmed = String(title || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+  return trimmed || DEFAULT_TITLE;
+}
+
+// Turn a title into a file-name-safe id ("My Novel!" -> "my-novel")
+function slugify(title) {
+  const slug = title
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return slug || 'untitled';
+}
+
+function uniqueId(library, title) {
+  const base = slugify(title);
+  let id = base;
+  let suffix = 2;
+  while (library.documents.some(doc => doc.id === id) || fs.existsSync(getDocumentPath(id))) {
+    id = `${base}-${suffix++}`;
+  }
+  return id;
+}
+
+function saveLibrary(library) {
+  writeFileAtomic(getLibraryIndexPath(), JSON.stringify(library, null, 2));
+}
+
+// Load the library index, importing the old single current.txt on first run
+function loadLibrary() {
+  const indexPath = getLibraryIndexPath();
+  if (fs.existsSync(indexPath)) {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+  }
+
+  const library = { currentId: null, documents: [] };
+  const legacyPath = getLegacyDraftPath();
+  if (fs.existsSync(legacyPath)) {
+    const modified = fs.statSync(legacyPath).mtime.toISOString();
+    const doc = { id: 'draft', title: 'Draft', createdAt: modified, updatedAt: modified };
+    fs.renameSync(legacyPath, getDocumentPath(doc.id));
+    library.documents.push(doc);
+    library.currentId = doc.id;
+  }
+
+  saveLibrary(library);
+  return library;
+}
+
+function findDocument(library, id) {
+  const doc = library.documents.find(d => d.id === id);
+  if (!doc) {
+    throw new Error(`Document not found: ${id}`);
+  }
+  return doc;
+}
+
+// A document by id, or failing that by title, for names typed by people
+function resolveDocument(name) {
+  const { documents } = loadLibrary();
+  const byId = documents.find(doc => doc.id === name);
+  if (byId) return byId;
+
+  const byTitle = documents.filter(doc => doc.title.toLowerCase() === String(name).toLowerCase());
+  if (byTitle.length === 1) return byTitle[0];
+  if (byTitle.length > 1) {
+    throw new Error(`More than one draft is called "${name}"; use its id (${byTitle.map(doc => doc.id).join(', ')})`);
+  }
+  throw new Error(`No draft called "${name}"`);
+}
+
+function readDocument(id) {
+  const filePath = getDocumentPath(findDocument(loadLibrary(), id).id);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+}
+
+function writeDocument(id, content) {
+  const filePath = getDocumentPath(findDocument(loadLibrary(), id).id);
+  writeFileAtomic(filePath, content);
+  return filePath;
+}
+
+// Summary of one document for the picker (preview, word count, last edit)
+function describeDocument(doc) {
+  const filePath = getDocumentPath(doc.id);
+  const exists = fs.existsSync(filePath);
+  const content = exists ? fs.readFileSync(filePath, 'utf-8') : '';
+  return {
+    ...doc,
+    path: filePath,
+    preview: content.substring(0, 200).trim(),
+    truncated: content.length > 200,
+    words: countWords(content),
+    lastModified: exists ? fs.statSync(filePath).mtime : doc.updatedAt
+  };
+}
+
+function listDocuments() {
+  const library = loadLibrary();
+  const documents = library.documents
+    .map(describeDocument)
+    .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  return { currentId: library.currentId, documents };
+}
+
+// The open document, falling back to the most recent one when unset
+function getCurrentDocument() {
+  const library = loadLibrary();
+  const current = library.documents.find(d => d.id === library.currentId);
+  if (current) return current;
+  if (library.documents.length === 0) return null;
+
+  const [latest] = library.documents.map(describeDocument)
+    .sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+  library.currentId = latest.id;
+  saveLibrary(library);
+  return findDocument(library, latest.id);
+}
+
+// Sessions always need somewhere to write; create a blank document if the library is empty
+function ensureCurrentDocument() {
+  return getCurrentDocument() || createDocument(DEFAULT_TITLE);
+}
+
+function openDocument(id) {
+  const library = loadLibrary();
+  const doc = findDocument(library, id);
+  library.currentId = doc.id;
+  saveLibrary(library);
+  return doc;
+}
+
+function createDocument(title, content = '') {
+  const library = loadLibrary();
+  const now = new Date().toISOString();
+  const name = cleanTitle(title);
+  const doc = { id: uniqueId(library, name), title: name, createdAt: now, updatedAt: now };
+
+  writeFileAtomic(getDocumentPath(doc.id), content);
+  library.documents.push(doc);
+  library.currentId = doc.id;
+  saveLibrary(library);
+  return doc;
+}
+
+function renameDocument(id, title) {
+  const library = loadLibrary();
+  const doc = findDocument(library, id);
+  doc.title = cleanTitle(title);
+  doc.updatedAt = new Date().toISOString();
+  saveLibrary(library);
+  return doc;
+}
+
+// Editor focus aids are remembered per document
+function setFocusModes(id, modes) {
+  const library = loadLibrary();
+  const doc = findDocument(library, id);
+  doc.focusModes = {
+    typewriter: Boolean(modes?.typewriter),
+    focus: FOCUS_DIMMING.includes(modes?.focus) ? modes.focus : 'off',
+    forwardOnly: Boolean(modes?.forwardOnly),
+    vanishing: Boolean(modes?.vanishing)
+  };
+  saveLibrary(library);
+  return doc;
+}
+
+function duplicateDocument(id) {
+  const source = findDocument(loadLibrary(), id);
+  const content = readDocument(source.id);
+  const copy = createDocument(`${source.title} (copy)`, content);
+
+  // Duplicating shouldn't switch away from the document being worked on
+  openDocument(source.id);
+  return copy;
+}
+
+function deleteDocument(id) {
+  const library = loadLibrary();
+  const doc = findDocument(library, id);
+  const filePath = getDocumentPath(doc.id);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+
+  library.documents = library.documents.filter(d => d.id !== doc.id);
+  if (library.currentId === doc.id) {
+    library.currentId = null;
+  }
+  saveLibrary(library);
+  return { currentId: getCurrentDocument()?.id || null };
+}
+
+module.exports = {
+  countWords,
+  getDocumentPath,
+  findDocument,
+  resolveDocument,
+  loadLibrary,
+  listDocuments,
+  readDocument,
+  writeDocument,
+  getCurrentDocument,
+  ensureCurrentDocument,
+  openDocument,
+  createDocument,
+  renameDocument,
+  setFocusModes,
+  duplicateDocument,
+  deleteDocument
+};
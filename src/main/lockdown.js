@@ -0,0 +1,108 @@
+/**
+ * Focus Writer Pro - Lockdown Policy
+ * How hard it is to bail out of a strict session: the escape phrase and how
+ * it must be typed, a cooldown before emergency exit unlocks, and a weekly
+ * allowance of emergency exits
+ */
+
+const crypto = require('crypto');
+const { periodBounds } = require('./targets');
+
+const PHRASE_SOURCES = ['default', 'custom', 'random'];
+const CHALLENGES = ['exact', 'backwards', 'passage'];
+
+const DEFAULT_PHRASE = 'I GIVE UP';
+const DEFAULT_PASSAGE = 'I set this goal because finishing matters to me. I am choosing to stop ' +
+  'before I reach it, knowing that the words I do not write today will not write themselves. ' +
+  'I accept that this session ends unfinished and I will come back tomorrow ready to try again.';
+
+const RANDOM_PASSAGE_WORDS = 40;
+const RANDOM_PHRASE_WORDS = 4;
+
+// Short, unambiguous words that are easy to read and tedious to type in bulk
+const WORDS = [
+  'amber', 'anchor', 'apple', 'arrow', 'autumn', 'badge', 'banner', 'basket', 'beacon', 'bridge',
+  'candle', 'canyon', 'carpet', 'castle', 'cedar', 'circle', 'cloud', 'copper', 'cotton', 'crystal',
+  'desert', 'dragon', 'eagle', 'echo', 'ember', 'engine', 'falcon', 'feather', 'forest', 'fossil',
+  'garden', 'glacier', 'granite', 'harbor', 'hazel', 'helmet', 'island', 'ivory', 'jacket', 'jungle',
+  'kettle', 'ladder', 'lantern', 'lemon', 'marble', 'meadow', 'mirror', 'monsoon', 'needle', 'nickel',
+  'orchard', 'oyster', 'paddle', 'pebble', 'pepper', 'pillow', 'planet', 'pocket', 'quartz', 'rabbit',
+  'ribbon', 'river', 'rocket', 'saddle', 'salmon', 'shadow', 'silver', 'spiral', 'summit', 'tablet',
+  'thunder', 'timber', 'tunnel', 'velvet', 'violet', 'walnut', 'willow', 'window', 'winter', 'zephyr'
+];
+
+// Defaults reproduce the original behaviour: type "I GIVE UP", any time
+function normalizePolicy(policy) {
+  const number = (value, max) => Math.min(max, Math.max(0, Math.round(Number(value) || 0)));
+  return {
+    phrase: PHRASE_SOURCES.includes(policy?.phrase) ? policy.phrase : 'default',
+    customPhrase: typeof policy?.customPhrase === 'string' ? policy.customPhrase.trim() : '',
+    challenge: CHALLENGES.includes(policy?.challenge) ? policy.challenge : 'exact',
+    cooldownMinutes: number(policy?.cooldownMinutes, 480),
+    weeklyExitLimit: number(policy?.weeklyExitLimit, 50)
+  };
+}
+
+function randomWords(count) {
+  return Array.from({ length: count }, () => WORDS[crypto.randomInt(WORDS.length)]).join(' ');
+}
+
+// A fresh challenge each time the emergency exit is opened
+function createChallenge(policy) {
+  let text;
+  if (policy.phrase === 'custom' && policy.customPhrase) {
+    text = policy.customPhrase;
+  } else if (policy.phrase === 'random') {
+    text = randomWords(policy.challenge === 'passage' ? RANDOM_PASSAGE_WORDS : RANDOM_PHRASE_WORDS);
+  } else {
+    text = policy.challenge === 'passage' ? DEFAULT_PASSAGE : DEFAULT_PHRASE;
+  }
+
+  return {
+    text,
+    challenge: policy.challenge,
+    expected: policy.challenge === 'backwards' ? [...text].reverse().join('') : text
+  };
+}
+
+// Case and spacing never count against the user
+const normalizeResponse = (text) => String(text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+
+function matchesChallenge(challenge, response) {
+  return normalizeResponse(response) === normalizeResponse(challenge.expected);
+}
+
+function countWeeklyExits(sessions, now) {
+  const { start, end } = periodBounds('week', now);
+  return sessions.filter(s => {
+    const date = new Date(s.date);
+    return s.emergencyExit && date >= start && date < end;
+  }).length;
+}
+
+// Whether emergency exit can be used right now, and if not, why
+function checkExitAvailability(policy, startedAt, sessions, now = new Date()) {
+  const availableAt = startedAt + policy.cooldownMinutes * 60000;
+  if (now.getTime() < availableAt) {
+    return { available: false, reason: 'cooldown', availableAt };
+  }
+
+  if (policy.weeklyExitLimit > 0) {
+    const used = countWeeklyExits(sessions, now);
+    if (used >= policy.weeklyExitLimit) {
+      return { available: false, reason: 'limit', used, limit: policy.weeklyExitLimit };
+    }
+    return { available: true, exitsLeft: policy.weeklyExitLimit - used };
+  }
+
+  return { available: true, exitsLeft: null };
+}
+
+module.exports = {
+  PHRASE_SOURCES,
+  CHALLENGES,
+  normalizePolicy,
+  createChallenge,
+  matchesChallenge,
+  checkExitAvailability
+};
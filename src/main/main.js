@@ -1,33 +1,52 @@
-const { app, BrowserWindow, ipcMain, dialog, globalShortcut } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, globalShortcut, nativeTheme, Menu, session } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { getDocumentsPath, getExportsPath } = require('./storage');
+const library = require('./library');
+const journal = require('./journal');
+const history = require('./history');
+const settingsStore = require('./settings');
+const sessionLog = require('./sessions');
+const archive = require('./archive');
+const analytics = require('./analytics');
+const targets = require('./targets');
+const lockdown = require('./lockdown');
+const exporter = require('./export');
+const themes = require('./themes');
+const presets = require('./presets');
+const localApi = require('./api');
+const scheduler = require('./scheduler');
+const sessionTemplates = require('./templates');
+const audit = require('./audit');
+const resume = require('./resume');
+const blocklist = require('./blocklist');
+const platform = require('./platform');
+const reports = require('./reports');
+const { diffText } = require('./diff');
 
 // Keep a global reference of the window object
 let mainWindow = null;
 let isSessionActive = false;
 let sessionConfig = null;
 let lockdownInterval = null;
-
-// Paths for saving documents
-const getDocumentsPath = () => {
-  const documentsDir = path.join(app.getPath('documents'), 'Focus Writer Pro');
-  if (!fs.existsSync(documentsDir)) {
-    fs.mkdirSync(documentsDir, { recursive: true });
-  }
-  return documentsDir;
-};
-
-const getDraftsPath = () => {
-  const draftsDir = path.join(getDocumentsPath(), 'drafts');
-  if (!fs.existsSync(draftsDir)) {
-    fs.mkdirSync(draftsDir, { recursive: true });
-  }
-  return draftsDir;
-};
-
-const getCurrentDraftPath = () => path.join(getDocumentsPath(), 'current.txt');
-const getSessionsPath = () => path.join(getDocumentsPath(), 'sessions.json');
-const getSettingsPath = () => path.join(getDocumentsPath(), 'settings.json');
+// Lockdown shortcuts the system kept for itself last time lockdown began
+let shortcutFailures = [];
+let emergencyChallenge = null;
+// A session to start as soon as the renderer is ready, from launch arguments,
+// a focuswriter:// link or `focus-writer start`
+let pendingPreset = presets.readLaunchPreset(process.argv);
+// Whether the renderer has taken its launch preset and can be sent new ones
+let rendererReady = false;
+// Latest goal progress reported by the renderer, for the local API
+let sessionProgress = null;
+// Lockdown audit trail of the running strict session
+let lockdownTrail = null;
+// The renderer's latest snapshot of the running session, kept on disk with it
+let sessionState = null;
+// A session the app went down in, until the renderer resumes or ends it
+let interruptedSession = null;
+// Spelling languages whose dictionary couldn't be downloaded this run
+const failedDictionaries = new Set();
 
 // Create the main window
 function createWindow() {
@@ -47,12 +66,20 @@ function createWindow() {
       preload: path.join(__dirname, 'preload.js'),
       contextIsolation: true,
       nodeIntegration: false,
-      sandbox: false
+      sandbox: false,
+      spellcheck: true
     }
   });
 
   mainWindow.loadFile(path.join(__dirname, '../renderer/index.html'));
 
+  try {
+    applySpellcheck(settingsStore.loadSettings());
+  } catch (error) {
+    console.error('Error applying spellcheck settings:', error);
+  }
+  mainWindow.webContents.on('context-menu', (event, params) => showContextMenu(params));
+
   // Show window when ready
   mainWindow.once('ready-to-show', () => {
     mainWindow.show();
@@ -65,10 +92,20 @@ function createWindow() {
   mainWindow.on('close', (e) => {
     if (isSessionActive) {
       e.preventDefault();
+      audit.recordEvent(lockdownTrail, 'exit-warning', { source: 'close' });
       mainWindow.webContents.send('show-exit-warning');
     }
   });
 
+  // Focus lost and won back while locked down goes in the audit trail. On a
+  // break the writer is free to leave, so that isn't an escape attempt
+  mainWindow.on('blur', () => {
+    if (lockdownInterval) audit.recordEvent(lockdownTrail, 'blur');
+  });
+  mainWindow.on('focus', () => {
+    if (lockdownInterval) audit.recordEvent(lockdownTrail, 'refocus');
+  });
+
   mainWindow.on('closed', () => {
     // Clear interval to prevent memory leak
     if (lockdownInterval) {
@@ -77,9 +114,114 @@ function createWindow() {
     }
     globalShortcut.unregisterAll();
     mainWindow = null;
+    rendererReady = false;
   });
 }
 
+// Links and launch arguments may name a draft by title; the renderer only
+// knows ids. An unknown name is left for the renderer to report
+function resolvePresetDocument(preset) {
+  if (!preset.documentId) return preset;
+  try {
+    return { ...preset, documentId: library.resolveDocument(preset.documentId).id };
+  } catch (error) {
+    return preset;
+  }
+}
+
+// Start a session from a second launch or a link. Until the renderer has
+// taken its launch preset this one waits in its place
+function deliverPreset(preset) {
+  if (!preset) return;
+  if (!mainWindow || !rendererReady) {
+    pendingPreset = preset;
+    if (!mainWindow && app.isReady()) createWindow();
+    return;
+  }
+
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.show();
+  mainWindow.focus();
+  // Never swap out a session that's already running, or one waiting to resume
+  if (!isSessionActive && !interruptedSession) {
+    mainWindow.webContents.send('start-session-preset', resolvePresetDocument(preset));
+  }
+}
+
+// Spelling uses Chromium's built-in Hunspell dictionaries, downloaded the
+// first time a language is used. On macOS the system spellchecker is used
+// instead and picks its own languages
+function applySpellcheck(settings) {
+  if (!mainWindow) return;
+  const spellcheck = settings.spellcheck || {};
+  const ses = mainWindow.webContents.session;
+  ses.setSpellCheckerEnabled(spellcheck.enabled !== false);
+  if (process.platform === 'darwin') return;
+
+  const available = ses.availableSpellCheckerLanguages;
+  const languages = (spellcheck.languages || []).filter(language => available.includes(language));
+  if (languages.length > 0) ses.setSpellCheckerLanguages(languages);
+}
+
+// Right-click menu: spelling suggestions first, then the usual edit commands
+function showContextMenu(params) {
+  if (!mainWindow) return;
+  const { webContents } = mainWindow;
+  const items = params.dictionarySuggestions.map(suggestion => ({
+    label: suggestion,
+    click: () => webContents.replaceMisspelling(suggestion)
+  }));
+
+  if (params.misspelledWord) {
+    if (items.length === 0) items.push({ label: 'No suggestions', enabled: false });
+    items.push(
+      { type: 'separator' },
+      {
+        label: 'Add to Dictionary',
+        click: () => webContents.session.addWordToSpellCheckerDictionary(params.misspelledWord)
+      },
+      { type: 'separator' }
+    );
+  }
+
+  if (params.isEditable) {
+    items.push(
+      { role: 'cut', enabled: params.editFlags.canCut },
+      { role: 'copy', enabled: params.editFlags.canCopy },
+      { role: 'paste', enabled: params.editFlags.canPaste },
+      { type: 'separator' },
+      { role: 'selectAll' }
+    );
+  } else if (params.selectionText) {
+    items.push({ role: 'copy' });
+  }
+
+  if (items.length > 0) Menu.buildFromTemplate(items).popup({ window: mainWindow });
+}
+
+// Grab one lockdown shortcut. Each press goes in the audit trail; the exit
+// warning it brings up counts as that rather than as a shortcut. Returns
+// false if the system won't give it up
+function grabShortcut({ accelerator, action }) {
+  try {
+    return globalShortcut.register(accelerator, () => {
+      if (action === 'warn') {
+        audit.recordEvent(lockdownTrail, 'exit-warning', { source: accelerator });
+        if (mainWindow && !mainWindow.isDestroyed()) {
+          mainWindow.webContents.send('show-exit-warning');
+        }
+        return;
+      }
+      audit.recordEvent(lockdownTrail, 'shortcut', { accelerator });
+      if (action === 'focus' && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.focus();
+      }
+    });
+  } catch (error) {
+    return false;
+  }
+}
+
 // Enter lockdown mode (kiosk)
 function enterLockdown() {
   if (!mainWindow) return;
@@ -95,8 +237,11 @@ function enterLockdown() {
   mainWindow.setClosable(false);
   mainWindow.setMinimizable(false);
 
-  // Make visible on all workspaces to prevent desktop switching
-  mainWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+  // Make visible on all workspaces to prevent desktop switching (Windows
+  // has no workspaces to follow)
+  if (process.platform !== 'win32') {
+    mainWindow.setVisibleOnAllWorkspaces(true, { visibleOnFullScreen: true });
+  }
 
   // Hide dock on macOS
   if (process.platform === 'darwin') {
@@ -106,35 +251,14 @@ function enterLockdown() {
   // Disable the menu
   mainWindow.setMenuBarVisibility(false);
 
-  // Register global shortcuts to intercept common escape attempts
-  try {
-    // Block Cmd+Tab (app switcher)
-    globalShortcut.register('CommandOrControl+Tab', () => {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.focus();
-      }
-    });
-
-    // Block Cmd+` (window switcher within app)
-    globalShortcut.register('CommandOrControl+`', () => {});
-
-    // Block Cmd+Q (quit)
-    globalShortcut.register('CommandOrControl+Q', () => {
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('show-exit-warning');
-      }
-    });
-
-    // Block Cmd+W (close window)
-    globalShortcut.register('CommandOrControl+W', () => {});
-
-    // Block Cmd+H (hide)
-    globalShortcut.register('CommandOrControl+H', () => {});
-
-    // Block Cmd+M (minimize)
-    globalShortcut.register('CommandOrControl+M', () => {});
-  } catch (e) {
-    console.log('Could not register some global shortcuts:', e.message);
+  // Register global shortcuts to intercept this platform's escape routes;
+  // see platform.js. Any the system keeps for itself are remembered for the
+  // capability report
+  shortcutFailures = platform.lockdownShortcuts()
+    .filter(shortcut => !grabShortcut(shortcut))
+    .map(shortcut => shortcut.accelerator);
+  if (shortcutFailures.length > 0) {
+    console.log('Could not register some global shortcuts:', shortcutFailures.join(', '));
   }
 
   // Periodically ensure focus stays on our window
@@ -148,12 +272,8 @@ function enterLockdown() {
   console.log('Lockdown mode engaged');
 }
 
-// Exit lockdown mode
-function exitLockdown() {
-  if (!mainWindow) return;
-
-  isSessionActive = false;
-
+// Undo everything enterLockdown() did to the window
+function releaseWindow() {
   // Clear the focus enforcement interval
   if (lockdownInterval) {
     clearInterval(lockdownInterval);
@@ -169,55 +289,129 @@ function exitLockdown() {
   mainWindow.setAlwaysOnTop(false);
   mainWindow.setClosable(true);
   mainWindow.setMinimizable(true);
-  mainWindow.setVisibleOnAllWorkspaces(false);
+  if (process.platform !== 'win32') {
+    mainWindow.setVisibleOnAllWorkspaces(false);
+  }
 
   // Show dock on macOS
   if (process.platform === 'darwin') {
     app.dock.show();
   }
+}
+
+// Exit lockdown mode
+function exitLockdown() {
+  // Sites and apps come back even if the window is already gone
+  blocklist.releaseBlocklist();
+  if (!mainWindow) return;
+
+  isSessionActive = false;
+  releaseWindow();
 
   console.log('Lockdown mode disengaged');
 }
 
 // Show completion / goal reached (exit lockdown, user is free to go)
 function showCompletion() {
+  blocklist.releaseBlocklist();
   if (!mainWindow) return;
 
   isSessionActive = false;
+  releaseWindow();
 
-  // Clear the focus enforcement interval
-  if (lockdownInterval) {
-    clearInterval(lockdownInterval);
-    lockdownInterval = null;
-  }
+  console.log('Goal reached - lockdown released');
+}
 
-  // Unregister global shortcuts
-  globalShortcut.unregisterAll();
+// Pomodoro break: the user may leave the window, but the session is still
+// running, so closing the app still asks for the emergency phrase
+function relaxLockdown() {
+  if (!mainWindow) return;
 
-  // Exit kiosk and fullscreen - user is free now
-  mainWindow.setKiosk(false);
-  mainWindow.setFullScreen(false);
-  mainWindow.setAlwaysOnTop(false);
-  mainWindow.setClosable(true);
-  mainWindow.setMinimizable(true);
-  mainWindow.setVisibleOnAllWorkspaces(false);
+  releaseWindow();
 
-  // Show dock on macOS
-  if (process.platform === 'darwin') {
-    app.dock.show();
-  }
+  console.log('Break started - lockdown relaxed');
+}
 
-  console.log('Goal reached - lockdown released');
+// The running session as the local API sees it: everything but the lockdown
+// policy, which holds the escape phrase
+function publicSession() {
+  if (!sessionConfig) return null;
+  const { policy, ...session } = sessionConfig;
+  return session;
 }
 
-// IPC Handlers
+// Starting a session from outside goes through the renderer's setup screen,
+// the same as `focus-writer start`, so the goal is validated the usual way
+const apiHandlers = {
+  getStatus: () => ({
+    active: isSessionActive,
+    locked: isSessionActive && sessionConfig?.strictMode !== false,
+    session: publicSession(),
+    progress: sessionConfig ? sessionProgress : null
+  }),
+  isReadOnly: () => isSessionActive,
+  startSession: (body) => {
+    // A session that went down with the app is resumed or ended first
+    if (interruptedSession) {
+      return { success: false, error: 'An interrupted session is waiting to be resumed or ended' };
+    }
+    const preset = resolvePresetDocument(presets.normalizePreset(body));
+    // Held until the renderer is listening, the same as a link or the command line
+    deliverPreset(preset);
+    return { success: true, preset };
+  }
+};
 
-// Start a writing session
-ipcMain.handle('start-session', async (event, config) => {
-  sessionConfig = config;
+// Scheduled sessions start through the same preset path as links, so a
+// session that can't start (say, a recovered draft needs a decision first)
+// simply doesn't happen and is logged as skipped
+const schedulerHandlers = {
+  countdown: (pending) => {
+    if (mainWindow) mainWindow.webContents.send('schedule-countdown', pending);
+  },
+  start: ({ entry, at }) => {
+    if (isSessionActive || interruptedSession) return false;
+    const { goal, strictMode, documentId } = entry;
+    deliverPreset({ goal, strictMode, documentId, scheduled: { id: entry.id, at: new Date(at).toISOString() } });
+    return true;
+  },
+  // An interrupted session waiting to be resumed still counts
+  isRunning: (id, at) => {
+    const scheduled = (sessionConfig || interruptedSession?.config)?.scheduled;
+    return scheduled?.id === id && Date.parse(scheduled.at) === at;
+  },
+  missed: (missed) => {
+    if (mainWindow) mainWindow.webContents.send('scheduled-sessions-missed', missed);
+  }
+};
 
-  // Only enter lockdown if strict mode is enabled
-  if (config.strictMode !== false) {
+function applySchedule(settings) {
+  try {
+    scheduler.configureScheduler(settings.schedule, schedulerHandlers);
+  } catch (error) {
+    console.error('Error starting scheduler:', error);
+  }
+}
+
+async function applyApiSettings(settings) {
+  try {
+    await localApi.configureApiServer(settings.api, apiHandlers);
+  } catch (error) {
+    console.error('Error starting local API:', error);
+  }
+}
+
+// Lock the window down for a strict session; a relaxed one just goes fullscreen
+async function engageSession() {
+  if (sessionConfig.strictMode !== false) {
+    // Sites and apps on the blocklist, when it's turned on. This waits out the
+    // system's admin prompt, so it has to finish before the window locks and
+    // starts taking focus back; it stays in force through breaks
+    try {
+      await blocklist.engageBlocklist(settingsStore.loadSettings().blocklist);
+    } catch (error) {
+      console.error('Error starting blocklist:', error);
+    }
     enterLockdown();
   } else {
     // Non-strict mode: just track that a session is active (for save purposes)
@@ -227,12 +421,80 @@ ipcMain.handle('start-session', async (event, config) => {
       mainWindow.setFullScreen(true);
     }
   }
+}
 
-  return { success: true };
+// Keep the running session on disk, so a crash or restart can resume it
+function persistSession() {
+  if (!sessionConfig || !sessionState) return;
+  try {
+    resume.saveActiveSession(sessionConfig, sessionState, lockdownTrail);
+  } catch (error) {
+    console.error('Error saving session state:', error);
+  }
+}
+
+// The session is over and logged: nothing is left to resume
+function forgetSession() {
+  sessionConfig = null;
+  sessionProgress = null;
+  sessionState = null;
+  lockdownTrail = null;
+  try {
+    resume.clearActiveSession();
+  } catch (error) {
+    console.error('Error clearing session state:', error);
+  }
+}
+
+// IPC Handlers
+
+// Start a writing session
+ipcMain.handle('start-session', async (event, config) => {
+  // Tie the session to the document it is written in
+  let doc;
+  try {
+    doc = config.documentId
+      ? library.findDocument(library.loadLibrary(), config.documentId)
+      : library.ensureCurrentDocument();
+  } catch (error) {
+    console.error('Error opening session document:', error);
+    return { success: false, error: error.message };
+  }
+  // Lockdown policies only bind strict sessions; relaxed ones keep the plain phrase
+  const policy = config.strictMode !== false
+    ? lockdown.normalizePolicy(settingsStore.loadSettings().lockdown)
+    : lockdown.normalizePolicy(null);
+  sessionConfig = { ...config, documentId: doc.id, documentTitle: doc.title, startedAt: Date.now(), policy };
+  emergencyChallenge = null;
+  sessionProgress = null;
+  sessionState = null;
+  lockdownTrail = config.strictMode !== false ? audit.createTrail() : null;
+
+  // Journal this session's edits against what's on disk right now
+  try {
+    journal.resetJournal(doc.id, library.readDocument(doc.id));
+  } catch (error) {
+    console.error('Error starting journal:', error);
+  }
+
+  // Only enter lockdown if strict mode is enabled
+  await engageSession();
+
+  localApi.broadcast('start-session', { session: publicSession() });
+  return { success: true, documentId: doc.id, documentTitle: doc.title };
 });
 
 // Goal reached - show completion screen
 ipcMain.handle('goal-reached', async () => {
+  // Keep a version of the document as it stood when the goal was hit
+  if (sessionConfig && sessionConfig.documentId) {
+    try {
+      history.createSnapshot(sessionConfig.documentId, library.readDocument(sessionConfig.documentId), 'goal');
+    } catch (error) {
+      console.error('Error taking goal snapshot:', error);
+    }
+  }
+
   // Handle based on whether strict mode was enabled
   if (sessionConfig && sessionConfig.strictMode !== false) {
     showCompletion();
@@ -240,15 +502,50 @@ ipcMain.handle('goal-reached', async () => {
     // Non-strict mode: just mark session as complete (already not locked)
     isSessionActive = false;
   }
+  localApi.broadcast('goal-reached', { session: publicSession(), progress: sessionProgress });
+  return { success: true, lockdown: audit.summarizeTrail(lockdownTrail) };
+});
+
+// Pomodoro break started - relax lockdown until it ends
+ipcMain.handle('start-break', async () => {
+  if (!isSessionActive || !sessionConfig) {
+    return { success: false, error: 'No session is running' };
+  }
+
+  if (sessionConfig.strictMode !== false) {
+    relaxLockdown();
+  } else if (mainWindow) {
+    mainWindow.setFullScreen(false);
+  }
+  return { success: true };
+});
+
+// Pomodoro break over - back to work
+ipcMain.handle('end-break', async () => {
+  if (!isSessionActive || !sessionConfig) {
+    return { success: false, error: 'No session is running' };
+  }
+
+  if (sessionConfig.strictMode !== false) {
+    enterLockdown();
+  } else if (mainWindow) {
+    mainWindow.setFullScreen(true);
+  }
+  if (mainWindow) {
+    mainWindow.show();
+    mainWindow.focus();
+  }
   return { success: true };
 });
 
 // End a writing session
 ipcMain.handle('end-session', async (event, { content, stats }) => {
   // Save final content
+  let report = null;
   if (content) {
     await saveContent(content);
-    await archiveDraft(content, stats);
+    const archived = await archiveDraft(content, stats);
+    report = signSessionReport(archived.entry);
   }
 
   // Handle exit based on whether strict mode was enabled
@@ -261,18 +558,73 @@ ipcMain.handle('end-session', async (event, { content, stats }) => {
       mainWindow.setFullScreen(false);
     }
   }
-  sessionConfig = null;
+  localApi.broadcast('end-session', { session: publicSession(), emergencyExit: false, stats });
+  forgetSession();
 
-  return { success: true };
+  return { success: true, report };
+});
+
+// Opening the emergency exit: either a new challenge, or why it isn't available yet
+ipcMain.handle('request-emergency-exit', async () => {
+  if (!sessionConfig) {
+    return { success: false, error: 'No session is running' };
+  }
+
+  try {
+    const availability = lockdown.checkExitAvailability(
+      sessionConfig.policy, sessionConfig.startedAt, sessionLog.loadSessions()
+    );
+    if (!availability.available) {
+      emergencyChallenge = null;
+      return { success: true, ...availability };
+    }
+
+    emergencyChallenge = lockdown.createChallenge(sessionConfig.policy);
+    return {
+      success: true,
+      ...availability,
+      challenge: { text: emergencyChallenge.text, challenge: emergencyChallenge.challenge }
+    };
+  } catch (error) {
+    console.error('Error preparing emergency exit:', error);
+    return { success: false, error: error.message };
+  }
 });
 
-// Emergency exit
-ipcMain.handle('emergency-exit', async (event, { content }) => {
+// Emergency exit - only with the right response to the current challenge
+ipcMain.handle('emergency-exit', async (event, { content, response, reason, stats }) => {
+  if (sessionConfig) {
+    if (!reason || !reason.trim()) {
+      return { success: false, error: 'Give a reason for ending the session early' };
+    }
+    const availability = lockdown.checkExitAvailability(
+      sessionConfig.policy, sessionConfig.startedAt, sessionLog.loadSessions()
+    );
+    if (!availability.available || !emergencyChallenge) {
+      return { success: false, error: 'Emergency exit is not available right now' };
+    }
+    if (!lockdown.matchesChallenge(emergencyChallenge, response)) {
+      return { success: false, error: "That doesn't match yet - check it and try again" };
+    }
+  }
+  emergencyChallenge = null;
+
   // Save content before emergency exit
   if (content) {
     await saveContent(content);
   }
 
+  // Every emergency exit goes in the session log, with the reason given
+  let report = null;
+  if (sessionConfig) {
+    const entry = await logSession({
+      ...stats,
+      completed: false,
+      emergencyExit: { reason: reason.trim(), at: new Date().toISOString() }
+    }, null);
+    report = signSessionReport(entry);
+  }
+
   // Handle exit based on whether strict mode was enabled
   if (sessionConfig && sessionConfig.strictMode !== false) {
     exitLockdown();
@@ -283,108 +635,313 @@ ipcMain.handle('emergency-exit', async (event, { content }) => {
       mainWindow.setFullScreen(false);
     }
   }
-  sessionConfig = null;
+  if (sessionConfig) {
+    localApi.broadcast('end-session', { session: publicSession(), emergencyExit: true, stats });
+  }
+  forgetSession();
+
+  return { success: true, report };
+});
+
+// The renderer's timer and counts, sent with every auto-save
+ipcMain.handle('save-session-state', async (event, state) => {
+  if (!sessionConfig) return { success: false, error: 'No session is running' };
+  sessionState = state;
+  persistSession();
+  return { success: true };
+});
+
+// Edits journaled since the last auto-save belong to the session, so they go
+// straight back in the document rather than through the recovery prompt.
+// Throws if the document is gone
+function recoverSessionText(documentId) {
+  const content = library.readDocument(documentId);
+  const filePath = library.getDocumentPath(documentId);
+  const savedAt = fs.existsSync(filePath) ? fs.statSync(filePath).mtime : null;
+  const recovered = journal.recoverJournal(documentId, content, savedAt);
+  if (recovered) {
+    library.writeDocument(documentId, recovered.content);
+  }
+  journal.resetJournal(documentId, recovered ? recovered.content : content);
+}
+
+// Log the interrupted session as it stood when last saved, and let it go
+async function logInterruptedSession() {
+  const { config, state, trail } = interruptedSession;
+  interruptedSession = null;
+  await logSession(
+    { ...state.stats, completed: Boolean(state.goalTriggered), interrupted: true },
+    null,
+    config,
+    trail ? audit.restoreTrail(trail) : null
+  );
+  try {
+    resume.clearActiveSession();
+  } catch (error) {
+    console.error('Error clearing session state:', error);
+  }
+  blocklist.clearLeftoverBlock();
+}
+
+// The session the app went down in. A strict one has to be resumed and a
+// relaxed one is offered; one too old to resume, whose goal was already
+// reached or whose document is gone goes straight in the session log
+ipcMain.handle('take-interrupted-session', async () => {
+  if (!interruptedSession) return null;
+  const { config, state, savedAt, stale } = interruptedSession;
+  const summary = {
+    documentId: config.documentId,
+    documentTitle: config.documentTitle,
+    goal: config.goal,
+    strictMode: config.strictMode !== false,
+    savedAt,
+    state
+  };
+
+  let resumable = !stale && !state.goalTriggered;
+  if (resumable) {
+    try {
+      recoverSessionText(config.documentId);
+    } catch (error) {
+      console.error('Error recovering session document:', error);
+      resumable = false;
+    }
+  }
+  if (!resumable) {
+    await logInterruptedSession();
+    return { ...summary, logged: true };
+  }
+  return { ...summary, forced: summary.strictMode };
+});
+
+// Pick the interrupted session back up. Lockdown comes back for a strict one
+// and its audit trail carries on where it stopped
+ipcMain.handle('resume-session', async () => {
+  if (!interruptedSession) {
+    return { success: false, error: 'There is no session to resume' };
+  }
+  const { config, state, trail, savedAt } = interruptedSession;
+  interruptedSession = null;
+  sessionConfig = { ...config, policy: lockdown.normalizePolicy(config.policy) };
+  sessionState = state;
+  sessionProgress = null;
+  emergencyChallenge = null;
+  lockdownTrail = config.strictMode !== false ? audit.restoreTrail(trail) : null;
+  audit.recordEvent(lockdownTrail, 'resume', { downMs: Date.now() - Date.parse(savedAt) });
+
+  await engageSession();
+  persistSession();
+
+  localApi.broadcast('start-session', { session: publicSession(), resumed: true });
+  return { success: true, documentId: config.documentId, documentTitle: config.documentTitle };
+});
+
+// Let an interrupted relaxed session go without resuming it
+ipcMain.handle('end-interrupted-session', async () => {
+  if (!interruptedSession) return { success: false, error: 'There is no session to end' };
+  if (interruptedSession.config.strictMode !== false) {
+    return { success: false, error: 'A strict session has to be resumed' };
+  }
+  await logInterruptedSession();
+  return { success: true };
+});
 
+// Live goal progress, passed on to local API clients
+ipcMain.handle('report-progress', async (event, progress) => {
+  if (!sessionConfig) return { success: false };
+  sessionProgress = progress;
+  localApi.broadcast('progress', progress);
   return { success: true };
 });
 
 // Save content (auto-save)
-ipcMain.handle('save-content', async (event, content) => {
-  return await saveContent(content);
+ipcMain.handle('save-content', async (event, content, documentId) => {
+  return await saveContent(content, documentId);
 });
 
-async function saveContent(content) {
+// Work out which library document a save or load applies to: an explicit id,
+// then the active session's document, then whatever is open in the library.
+// An explicit id has to be in the library, as it ends up in file paths
+function resolveDocumentId(documentId) {
+  if (documentId) return library.findDocument(library.loadLibrary(), documentId).id;
+  if (sessionConfig && sessionConfig.documentId) return sessionConfig.documentId;
+  return library.ensureCurrentDocument().id;
+}
+
+function takePeriodicSnapshot(documentId, content) {
   try {
-    const filePath = getCurrentDraftPath();
-    fs.writeFileSync(filePath, content, 'utf-8');
-    return { success: true, path: filePath };
+    history.maybeSnapshot(documentId, content, settingsStore.loadSettings().snapshotIntervalMinutes);
+  } catch (error) {
+    // A failed snapshot must never fail the save itself
+    console.error('Error taking snapshot:', error);
+  }
+}
+
+async function saveContent(content, documentId) {
+  try {
+    const id = resolveDocumentId(documentId);
+    const filePath = library.writeDocument(id, content);
+    // Everything journaled so far is now in the saved file
+    journal.resetJournal(id, content);
+    takePeriodicSnapshot(id, content);
+    return { success: true, path: filePath, documentId: id };
   } catch (error) {
     console.error('Error saving content:', error);
     return { success: false, error: error.message };
   }
 }
 
-// Archive a completed draft
-async function archiveDraft(content, stats) {
+// Record edits made since the last auto-save
+ipcMain.handle('journal-append', async (event, documentId, entries) => {
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-    const filename = `${timestamp}.txt`;
-    const filePath = path.join(getDraftsPath(), filename);
-
-    // Create header with stats
-    const header = `# Focus Writer Pro Draft
-# Date: ${new Date().toLocaleString()}
-# Words: ${stats?.words || 0}
-# Session Duration: ${stats?.duration || 'N/A'}
-# ---
+    journal.appendJournal(resolveDocumentId(documentId), entries || []);
+    return { success: true };
+  } catch (error) {
+    console.error('Error writing journal:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-`;
+// Throw away recovered text the user chose not to keep
+ipcMain.handle('discard-recovery', async (event, documentId) => {
+  try {
+    journal.discardJournal(resolveDocumentId(documentId));
+    return { success: true };
+  } catch (error) {
+    console.error('Error discarding recovered text:', error);
+    return { success: false, error: error.message };
+  }
+});
 
-    fs.writeFileSync(filePath, header + content, 'utf-8');
+// Archive a completed draft
+async function archiveDraft(content, stats) {
+  try {
+    const filePath = archive.writeArchive(content, stats, sessionConfig?.documentTitle);
 
     // Update sessions log
-    await logSession(stats, filePath);
+    const entry = await logSession(stats, filePath);
 
-    return { success: true, path: filePath };
+    return { success: true, path: filePath, entry };
   } catch (error) {
     console.error('Error archiving draft:', error);
     return { success: false, error: error.message };
   }
 }
 
-// Log session to history
-async function logSession(stats, draftPath) {
+// Log session to history, handing back the entry (null if it couldn't be saved).
+// session and trail default to the running session's
+async function logSession(stats, draftPath, session = sessionConfig, trail = lockdownTrail) {
   try {
-    const sessionsPath = getSessionsPath();
-    let sessions = [];
-
-    if (fs.existsSync(sessionsPath)) {
-      const data = fs.readFileSync(sessionsPath, 'utf-8');
-      sessions = JSON.parse(data);
-    }
-
-    sessions.push({
+    const entry = sessionLog.appendSession({
       date: new Date().toISOString(),
       words: stats?.words || 0,
+      // Integrity mode only: words that survived the anti-cheat filters
+      honestWords: typeof stats?.honestWords === 'number' ? stats.honestWords : null,
       duration: stats?.duration || null,
+      durationSeconds: typeof stats?.durationSeconds === 'number' ? stats.durationSeconds : null,
+      startedAt: stats?.startedAt || null,
       goalType: stats?.goalType || null,
       goalValue: stats?.goalValue || null,
+      goal: stats?.goal || null,
+      intervals: stats?.intervals || null,
+      emergencyExit: stats?.emergencyExit || null,
+      // Cut short by a crash or restart and never resumed
+      interrupted: stats?.interrupted || false,
       completed: stats?.completed || false,
+      documentId: session?.documentId || null,
+      documentTitle: session?.documentTitle || null,
+      // Sessions started by the scheduler, so a kept one isn't logged as skipped
+      scheduleId: session?.scheduled?.id || null,
+      scheduledFor: session?.scheduled?.at || null,
+      // Strict sessions only: blurs, blocked shortcuts, exit warnings, crashes
+      lockdownTrail: audit.trailForLog(trail),
       draftPath: draftPath
     });
-
-    fs.writeFileSync(sessionsPath, JSON.stringify(sessions, null, 2), 'utf-8');
+    updateStreakFreezes();
+    return entry;
   } catch (error) {
     console.error('Error logging session:', error);
+    return null;
+  }
+}
+
+// Spend a streak freeze on a day just missed, if one is due. Run when the app
+// opens and as each session is logged, never just to show the streak
+function updateStreakFreezes() {
+  try {
+    const settings = settingsStore.loadSettings();
+    const streakFreeze = targets.spendStreakFreezes(sessionLog.loadSessions(), settings.streakFreeze);
+    if (JSON.stringify(streakFreeze) !== JSON.stringify(targets.normalizeFreeze(settings.streakFreeze))) {
+      settingsStore.saveSettings({ ...settings, streakFreeze });
+    }
+  } catch (error) {
+    console.error('Error updating streak freezes:', error);
+  }
+}
+
+// With accountability on, sign a report of the session entry just logged,
+// hashing the document as saved. Returns the report's path, or null
+function signSessionReport(entry) {
+  try {
+    const accountability = reports.normalizeAccountability(settingsStore.loadSettings().accountability);
+    if (!entry?.documentId || !accountability.enabled) return null;
+
+    const filePath = library.getDocumentPath(entry.documentId);
+    const draft = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : '';
+    return reports.writeReport(entry, draft, {
+      author: accountability.name,
+      strictMode: sessionConfig?.strictMode !== false
+    });
+  } catch (error) {
+    console.error('Error signing session report:', error);
+    return null;
   }
 }
 
-// Load current draft
-ipcMain.handle('load-draft', async () => {
+// Load the open document (or a specific one) from the library
+ipcMain.handle('load-draft', async (event, documentId) => {
   try {
-    const filePath = getCurrentDraftPath();
+    const doc = documentId
+      ? library.findDocument(library.loadLibrary(), documentId)
+      : library.getCurrentDocument();
+    if (!doc) {
+      return { success: true, documentId: null, content: '', lastModified: null };
+    }
+
+    const filePath = library.getDocumentPath(doc.id);
     if (fs.existsSync(filePath)) {
       const content = fs.readFileSync(filePath, 'utf-8');
       const stats = fs.statSync(filePath);
       return {
         success: true,
+        documentId: doc.id,
+        title: doc.title,
         content: content,
-        lastModified: stats.mtime
+        lastModified: stats.mtime,
+        recovered: journal.recoverJournal(doc.id, content, stats.mtime)
       };
     }
-    return { success: true, content: '', lastModified: null };
+    return { success: true, documentId: doc.id, title: doc.title, content: '', lastModified: null };
   } catch (error) {
     console.error('Error loading draft:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Clear current draft (start fresh)
-ipcMain.handle('clear-draft', async () => {
+// Clear a document's text (start fresh) - the document stays in the library
+ipcMain.handle('clear-draft', async (event, documentId) => {
   try {
-    const filePath = getCurrentDraftPath();
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    const doc = documentId
+      ? library.findDocument(library.loadLibrary(), documentId)
+      : library.getCurrentDocument();
+    if (doc) {
+      // Keep what's being thrown away in version history
+      const content = library.readDocument(doc.id);
+      if (content.trim()) {
+        history.createSnapshot(doc.id, content, 'start-fresh');
+      }
+      library.writeDocument(doc.id, '');
+      journal.resetJournal(doc.id, '');
     }
     return { success: true };
   } catch (error) {
@@ -393,65 +950,583 @@ ipcMain.handle('clear-draft', async () => {
   }
 });
 
-// Load session history
-ipcMain.handle('load-sessions', async () => {
+// Document library
+ipcMain.handle('list-documents', async () => {
   try {
-    const sessionsPath = getSessionsPath();
-    if (fs.existsSync(sessionsPath)) {
-      const data = fs.readFileSync(sessionsPath, 'utf-8');
-      return { success: true, sessions: JSON.parse(data) };
-    }
-    return { success: true, sessions: [] };
+    return { success: true, ...library.listDocuments() };
   } catch (error) {
-    console.error('Error loading sessions:', error);
+    console.error('Error listing documents:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Save settings
-ipcMain.handle('save-settings', async (event, settings) => {
+ipcMain.handle('create-document', async (event, title) => {
   try {
-    const settingsPath = getSettingsPath();
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf-8');
-    return { success: true };
+    return { success: true, document: library.createDocument(title) };
   } catch (error) {
-    console.error('Error saving settings:', error);
+    console.error('Error creating document:', error);
     return { success: false, error: error.message };
   }
 });
 
-// Load settings
-ipcMain.handle('load-settings', async () => {
+ipcMain.handle('open-document', async (event, id) => {
   try {
-    const settingsPath = getSettingsPath();
-    if (fs.existsSync(settingsPath)) {
-      const data = fs.readFileSync(settingsPath, 'utf-8');
-      return { success: true, settings: JSON.parse(data) };
-    }
+    const doc = library.openDocument(id);
+    const content = library.readDocument(doc.id);
+    const filePath = library.getDocumentPath(doc.id);
+    const modified = fs.existsSync(filePath) ? fs.statSync(filePath).mtime : null;
     return {
       success: true,
-      settings: {
-        theme: 'dark',
-        fontSize: 'medium',
-        fontFamily: 'serif',
-        strictMode: true
+      document: doc,
+      content: content,
+      recovered: journal.recoverJournal(doc.id, content, modified)
+    };
+  } catch (error) {
+    console.error('Error opening document:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('rename-document', async (event, id, title) => {
+  try {
+    return { success: true, document: library.renameDocument(id, title) };
+  } catch (error) {
+    console.error('Error renaming document:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-focus-modes', async (event, id, modes) => {
+  try {
+    return { success: true, document: library.setFocusModes(id, modes) };
+  } catch (error) {
+    console.error('Error saving focus modes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('duplicate-document', async (event, id) => {
+  try {
+    return { success: true, document: library.duplicateDocument(id) };
+  } catch (error) {
+    console.error('Error duplicating document:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-document', async (event, id) => {
+  // Never pull the file out from under a running session
+  if (isSessionActive && sessionConfig && sessionConfig.documentId === id) {
+    return { success: false, error: 'This document is being written in' };
+  }
+
+  try {
+    // Only ids in the library, before anything beside the document is removed
+    const doc = library.findDocument(library.loadLibrary(), id);
+    journal.discardJournal(doc.id);
+    history.deleteHistory(doc.id);
+    return { success: true, ...library.deleteDocument(doc.id) };
+  } catch (error) {
+    console.error('Error deleting document:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Version history
+ipcMain.handle('list-versions', async (event, documentId) => {
+  try {
+    const doc = library.findDocument(library.loadLibrary(), documentId);
+    return { success: true, versions: history.listVersions(doc.id) };
+  } catch (error) {
+    console.error('Error listing versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Diff two versions of a document; 'current' stands for the text as saved now
+ipcMain.handle('diff-versions', async (event, documentId, fromId, toId, mode) => {
+  try {
+    const doc = library.findDocument(library.loadLibrary(), documentId);
+    const read = (versionId) => versionId === 'current'
+      ? library.readDocument(doc.id)
+      : history.readVersion(doc.id, versionId);
+    return { success: true, ...diffText(read(fromId), read(toId), mode) };
+  } catch (error) {
+    console.error('Error diffing versions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('restore-version', async (event, documentId, versionId) => {
+  if (isSessionActive && sessionConfig && sessionConfig.documentId === documentId) {
+    return { success: false, error: 'This document is being written in' };
+  }
+
+  try {
+    const doc = library.findDocument(library.loadLibrary(), documentId);
+    const content = history.readVersion(doc.id, versionId);
+    // The text being replaced becomes a version of its own, so a restore can be undone
+    history.createSnapshot(doc.id, library.readDocument(doc.id), 'before-restore');
+    return await saveContent(content, doc.id);
+  } catch (error) {
+    console.error('Error restoring version:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Archived session drafts
+ipcMain.handle('list-archives', async () => {
+  try {
+    return { success: true, archives: archive.listArchives() };
+  } catch (error) {
+    console.error('Error listing archived drafts:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Export a document or archived draft; asks where to save it
+ipcMain.handle('export-draft', async (event, source, format) => {
+  // A save dialog is a way out of the window, so never during a session
+  if (isSessionActive) {
+    return { success: false, error: 'Export is available after the session' };
+  }
+
+  try {
+    const info = exporter.FORMATS[format];
+    if (!info) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    const { name, content, meta } = exporter.loadExportSource(source);
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: `Export as ${info.name}`,
+      defaultPath: path.join(getExportsPath(), exporter.exportFileName(name, format)),
+      filters: [{ name: info.name, extensions: [info.extension] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const output = await exporter.renderExport(format, content, meta);
+    fs.writeFileSync(filePath, output);
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error('Error exporting draft:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Load session history
+ipcMain.handle('load-sessions', async () => {
+  try {
+    return { success: true, sessions: sessionLog.loadSessions() };
+  } catch (error) {
+    console.error('Error loading sessions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Streaks, speed and habits, computed from the session log
+ipcMain.handle('get-analytics', async () => {
+  try {
+    const frozenDays = settingsStore.loadSettings().streakFreeze?.usedDays || [];
+    return { success: true, analytics: analytics.computeAnalytics(sessionLog.loadSessions(), new Date(), frozenDays) };
+  } catch (error) {
+    console.error('Error computing analytics:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Progress on recurring targets
+ipcMain.handle('get-targets', async () => {
+  try {
+    const status = targets.computeTargetStatus(sessionLog.loadSessions(), settingsStore.loadSettings());
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('Error computing targets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the recurring targets and streak freeze allowance. Used freezes are kept
+ipcMain.handle('save-targets', async (event, newTargets, freeze) => {
+  try {
+    const settings = settingsStore.loadSettings();
+    const updated = {
+      ...settings,
+      targets: targets.normalizeTargets(newTargets),
+      streakFreeze: {
+        ...settings.streakFreeze,
+        enabled: Boolean(freeze?.enabled),
+        perMonth: Math.max(0, Math.round(Number(freeze?.perMonth) || 0))
       }
     };
+    settingsStore.saveSettings(updated);
+    return { success: true, settings: updated };
+  } catch (error) {
+    console.error('Error saving targets:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the blocklist, refusing it whole if a site isn't a hostname
+ipcMain.handle('save-blocklist', async (event, list) => {
+  try {
+    const rejected = (list?.sites || []).find(site => String(site).trim() && !blocklist.normalizeSite(site));
+    if (rejected) {
+      return { success: false, error: `"${rejected}" isn't a site name` };
+    }
+    const settings = settingsStore.loadSettings();
+    const updated = { ...settings, blocklist: blocklist.normalizeBlocklist(list) };
+    settingsStore.saveSettings(updated);
+    return { success: true, settings: updated };
+  } catch (error) {
+    console.error('Error saving blocklist:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Whether blocking is in force, and what the last strict session blocked
+ipcMain.handle('get-blocklist-status', async () => {
+  return blocklist.getBlocklistStatus();
+});
+
+// Turn signed reports on or off, and replace the name and partner list
+ipcMain.handle('save-accountability', async (event, accountability) => {
+  try {
+    const settings = settingsStore.loadSettings();
+    const updated = { ...settings, accountability: reports.normalizeAccountability(accountability) };
+    settingsStore.saveSettings(updated);
+    return { success: true, settings: updated };
+  } catch (error) {
+    console.error('Error saving accountability settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// This computer's key fingerprint and where its reports go
+ipcMain.handle('get-report-identity', async () => {
+  try {
+    return { success: true, ...reports.getIdentity() };
+  } catch (error) {
+    console.error('Error reading report key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Check a report from a writing partner
+ipcMain.handle('verify-report', async () => {
+  if (isSessionActive) {
+    return { success: false, error: 'Reports can be checked after the session' };
+  }
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Verify a Session Report',
+      filters: [{ name: 'Session Reports', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    const { accountability } = settingsStore.loadSettings();
+    return { success: true, file: path.basename(filePaths[0]), ...reports.verifyReport(filePaths[0], accountability) };
+  } catch (error) {
+    console.error('Error verifying report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the session templates, keeping the order given
+ipcMain.handle('save-templates', async (event, templates) => {
+  try {
+    const settings = settingsStore.loadSettings();
+    const updated = { ...settings, templates: sessionTemplates.normalizeTemplates(templates) };
+    settingsStore.saveSettings(updated);
+    return { success: true, settings: updated };
+  } catch (error) {
+    console.error('Error saving templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Read templates from a shared file. Nothing is saved until the list is
+ipcMain.handle('import-templates', async () => {
+  // File dialogs are a way out of the window, so never during a session
+  if (isSessionActive) {
+    return { success: false, error: 'Templates can be imported after the session' };
+  }
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Session Templates',
+      filters: [{ name: 'Session Templates', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, ...sessionTemplates.readTemplatesFile(filePaths[0]) };
+  } catch (error) {
+    console.error('Error importing templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-templates', async (event, templates) => {
+  if (isSessionActive) {
+    return { success: false, error: 'Templates can be exported after the session' };
+  }
+
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Session Templates',
+      defaultPath: path.join(getExportsPath(), 'session-templates.json'),
+      filters: [{ name: 'Session Templates', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    const count = sessionTemplates.writeTemplatesFile(templates, filePath);
+    return { success: true, path: filePath, count };
+  } catch (error) {
+    console.error('Error exporting templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Scheduled sessions, when each next starts, and any countdown under way
+ipcMain.handle('get-schedule', async () => {
+  try {
+    const { schedule } = settingsStore.loadSettings();
+    return {
+      success: true,
+      schedule: scheduler.normalizeSchedule(schedule),
+      upcoming: scheduler.upcomingSessions(schedule),
+      countdowns: scheduler.pendingCountdowns()
+    };
+  } catch (error) {
+    console.error('Error loading schedule:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Replace the scheduled sessions. Entries that are new or changed are stamped,
+// so times that passed before they existed never count as missed
+ipcMain.handle('save-schedule', async (event, sessions, warningMinutes) => {
+  try {
+    const settings = settingsStore.loadSettings();
+    const previous = scheduler.normalizeSchedule(settings.schedule).sessions;
+    const schedule = scheduler.normalizeSchedule({ warningMinutes, sessions });
+    const unchanged = (entry) => {
+      const before = previous.find(p => p.id === entry.id);
+      return before && JSON.stringify({ ...before, since: null }) === JSON.stringify({ ...entry, since: null });
+    };
+    schedule.sessions = schedule.sessions.map(entry => ({
+      ...entry,
+      since: unchanged(entry) ? previous.find(p => p.id === entry.id).since : Date.now()
+    }));
+
+    const updated = { ...settings, schedule };
+    settingsStore.saveSettings(updated);
+    applySchedule(updated);
+    return { success: true, settings: updated };
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save settings
+ipcMain.handle('save-settings', async (event, settings) => {
+  try {
+    settingsStore.saveSettings(settings);
+    applySpellcheck(settings);
+    await applyApiSettings(settings);
+    return { success: true };
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Load settings
+ipcMain.handle('load-settings', async () => {
+  try {
+    return { success: true, settings: settingsStore.loadSettings() };
   } catch (error) {
     console.error('Error loading settings:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Color themes
+ipcMain.handle('list-themes', async () => {
+  try {
+    return { success: true, themes: themes.listThemes(), colorNames: themes.THEME_COLORS };
+  } catch (error) {
+    console.error('Error listing themes:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('save-theme', async (event, id, theme) => {
+  try {
+    return { success: true, theme: themes.saveTheme(id, theme) };
+  } catch (error) {
+    console.error('Error saving theme:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('delete-theme', async (event, id) => {
+  try {
+    themes.deleteTheme(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting theme:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('import-theme', async () => {
+  // File dialogs are a way out of the window, so never during a session
+  if (isSessionActive) {
+    return { success: false, error: 'Themes can be imported after the session' };
+  }
+
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Theme',
+      filters: [{ name: 'Theme', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, theme: themes.importTheme(filePaths[0]) };
+  } catch (error) {
+    console.error('Error importing theme:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('export-theme', async (event, id) => {
+  if (isSessionActive) {
+    return { success: false, error: 'Themes can be exported after the session' };
+  }
+
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Theme',
+      defaultPath: path.join(getExportsPath(), `${id}.json`),
+      filters: [{ name: 'Theme', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    themes.exportTheme(id, filePath);
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error('Error exporting theme:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Which escape routes lockdown can't close on this computer. Outside a
+// session each shortcut is tried for a moment to see if the system keeps it
+ipcMain.handle('get-platform-report', async () => {
+  let failed = shortcutFailures;
+  if (!isSessionActive) {
+    failed = platform.lockdownShortcuts().filter(({ accelerator }) => {
+      try {
+        if (!globalShortcut.register(accelerator, () => {})) return true;
+        globalShortcut.unregister(accelerator);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    }).map(shortcut => shortcut.accelerator);
+  }
+  return platform.capabilityReport(failed);
+});
+
+// The OS light/dark appearance, for themes that follow it
+ipcMain.handle('get-system-theme', async () => {
+  return nativeTheme.shouldUseDarkColors ? 'dark' : 'light';
+});
+
+// Dictionaries the spellchecker can switch to, and those that failed to
+// download. Empty on macOS, where the system decides
+ipcMain.handle('get-spellcheck-languages', async () => {
+  if (!mainWindow || process.platform === 'darwin') return { languages: [], failed: [] };
+  return {
+    languages: mainWindow.webContents.session.availableSpellCheckerLanguages,
+    failed: [...failedDictionaries]
+  };
+});
+
+nativeTheme.on('updated', () => {
+  if (mainWindow) {
+    mainWindow.webContents.send('system-theme-changed', nativeTheme.shouldUseDarkColors ? 'dark' : 'light');
+  }
+});
+
+ipcMain.handle('get-api-status', async () => {
+  return localApi.getApiStatus();
+});
+
+// Hand over the launch preset once; a reload shouldn't start a second session
+ipcMain.handle('take-session-preset', async () => {
+  const preset = pendingPreset;
+  pendingPreset = null;
+  rendererReady = true;
+  return preset ? resolvePresetDocument(preset) : null;
+});
+
 // Get documents path for display
 ipcMain.handle('get-documents-path', async () => {
   return getDocumentsPath();
 });
 
 // App lifecycle
+// Windows shows notifications, such as scheduled session countdowns, only
+// for an app with an id
+if (process.platform === 'win32') {
+  app.setAppUserModelId('com.focuswriter.pro');
+}
+
 app.whenReady().then(() => {
+  // A session cut short by a crash or restart waits for the renderer to take it
+  try {
+    interruptedSession = resume.loadInterruptedSession();
+  } catch (error) {
+    console.error('Error reading interrupted session:', error);
+  }
+  // Blocked sites left in the hosts file by a crash, unless the strict
+  // session that blocked them is about to resume
+  if (!interruptedSession || interruptedSession.config.strictMode === false) {
+    blocklist.clearLeftoverBlock();
+  }
+  // Without its dictionary a language isn't checked at all, so say so
+  session.defaultSession.on('spellcheck-dictionary-download-failure', (event, language) => {
+    failedDictionaries.add(language);
+    if (mainWindow) mainWindow.webContents.send('spellcheck-dictionary-failed', language);
+  });
+  session.defaultSession.on('spellcheck-dictionary-initialized', (event, language) => {
+    failedDictionaries.delete(language);
+  });
   createWindow();
 
+  try {
+    const settings = settingsStore.loadSettings();
+    applyApiSettings(settings);
+    applySchedule(settings);
+  } catch (error) {
+    console.error('Error loading settings at startup:', error);
+  }
+  updateStreakFreezes();
+
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
       createWindow();
@@ -471,18 +1546,40 @@ const gotTheLock = app.requestSingleInstanceLock();
 if (!gotTheLock) {
   app.quit();
 } else {
-  app.on('second-instance', () => {
-    if (mainWindow) {
+  // Windows and Linux open focuswriter:// links by launching the app with the
+  // link as an argument, which lands here when it's already running
+  app.on('second-instance', (event, argv) => {
+    const preset = presets.readLaunchPreset(argv);
+    if (preset) {
+      deliverPreset(preset);
+    } else if (mainWindow) {
       if (mainWindow.isMinimized()) mainWindow.restore();
       mainWindow.focus();
     }
   });
+
+  // macOS hands links to the running app instead, sometimes before it's ready
+  app.on('open-url', (event, url) => {
+    event.preventDefault();
+    deliverPreset(presets.readLaunchPreset([url]));
+  });
+
+  // Unpackaged, the link has to start Electron with the path to this app
+  if (process.defaultApp) {
+    if (process.argv.length >= 2) {
+      app.setAsDefaultProtocolClient(presets.PROTOCOL, process.execPath, [path.resolve(process.argv[1])]);
+    }
+  } else {
+    app.setAsDefaultProtocolClient(presets.PROTOCOL);
+  }
 }
 
 // Handle uncaught exceptions gracefully
 process.on('uncaughtException', (error) => {
   console.error('Uncaught exception:', error);
-  // Try to exit lockdown if we crash during a session
+  // Try to exit lockdown if we crash during a session, and say so in the trail
+  audit.recordEvent(lockdownTrail, 'crash', { message: error?.message || String(error) });
+  persistSession();
   if (isSessionActive) {
     exitLockdown();
   }
@@ -0,0 +1,100 @@
+/**
+ * Focus Writer Pro - Platform Lockdown
+ * The escape shortcuts lockdown grabs on each operating system, and an
+ * honest report of the ways out it can't close there. Kiosk mode, staying on
+ * top and taking focus back are the same everywhere; what differs is which
+ * keys the system hands to apps at all
+ */
+
+// action: 'focus' takes focus back, 'warn' brings up the exit warning, and
+// 'block' just swallows the key
+const SHORTCUTS = {
+  darwin: [
+    { accelerator: 'Command+Tab', label: 'Cmd+Tab app switcher', action: 'focus' },
+    { accelerator: 'Command+`', label: 'Cmd+` window switcher', action: 'block' },
+    { accelerator: 'Command+Q', label: 'Cmd+Q quit', action: 'warn' },
+    { accelerator: 'Command+W', label: 'Cmd+W close window', action: 'block' },
+    // Elsewhere Ctrl+H is find and replace, so these stay macOS-only
+    { accelerator: 'Command+H', label: 'Cmd+H hide', action: 'block' },
+    { accelerator: 'Command+M', label: 'Cmd+M minimize', action: 'block' }
+  ],
+  win32: [
+    { accelerator: 'Alt+Tab', label: 'Alt+Tab app switcher', action: 'focus' },
+    { accelerator: 'Super+Tab', label: 'Win+Tab task view', action: 'focus' },
+    { accelerator: 'Alt+Esc', label: 'Alt+Esc window cycling', action: 'focus' },
+    { accelerator: 'Super+D', label: 'Win+D show desktop', action: 'block' },
+    { accelerator: 'Super+M', label: 'Win+M minimize all', action: 'block' },
+    { accelerator: 'Alt+F4', label: 'Alt+F4 close', action: 'warn' },
+    { accelerator: 'Control+W', label: 'Ctrl+W close window', action: 'block' }
+  ],
+  linux: [
+    { accelerator: 'Alt+Tab', label: 'Alt+Tab app switcher', action: 'focus' },
+    { accelerator: 'Super+Tab', label: 'Super+Tab app switcher', action: 'focus' },
+    { accelerator: 'Alt+`', label: 'Alt+` window switcher', action: 'block' },
+    { accelerator: 'Control+Alt+Left', label: 'Ctrl+Alt+Left workspace switch', action: 'block' },
+    { accelerator: 'Control+Alt+Right', label: 'Ctrl+Alt+Right workspace switch', action: 'block' },
+    { accelerator: 'Super+D', label: 'Super+D show desktop', action: 'block' },
+    { accelerator: 'Alt+F4', label: 'Alt+F4 close', action: 'warn' },
+    { accelerator: 'Control+Q', label: 'Ctrl+Q quit', action: 'warn' },
+    { accelerator: 'Control+W', label: 'Ctrl+W close window', action: 'block' }
+  ]
+};
+
+// Ways out that no app can close on each system
+const UNBLOCKABLE = {
+  all: ['Turning the computer off, or restarting it'],
+  darwin: [
+    'Ctrl+Cmd+Q lock screen and the login window'
+  ],
+  win32: [
+    'Ctrl+Alt+Delete and the Task Manager it opens',
+    'The Windows key on its own, which opens Start',
+    'Win+L lock screen'
+  ],
+  linux: [
+    'Ctrl+Alt+F1 to F12, which switch to a text console',
+    'Shortcuts set up in your desktop\'s own settings'
+  ],
+  wayland: [
+    'Desktop shortcuts such as Super and Alt+Tab: Wayland keeps them from apps',
+    'Staying on top and taking focus back: Wayland lets the desktop decide'
+  ]
+};
+
+// Electron runs through XWayland on a Wayland desktop, where it can only
+// grab keys while one of its own windows has focus
+const isWayland = () => process.platform === 'linux' &&
+  (process.env.XDG_SESSION_TYPE === 'wayland' || Boolean(process.env.WAYLAND_DISPLAY));
+
+function lockdownShortcuts(platform = process.platform) {
+  return SHORTCUTS[platform] || SHORTCUTS.linux;
+}
+
+function platformName(platform = process.platform) {
+  if (platform === 'darwin') return 'macOS';
+  if (platform === 'win32') return 'Windows';
+  return isWayland() ? 'Linux (Wayland)' : 'Linux (X11)';
+}
+
+// What lockdown can and can't close here. failed lists the accelerators the
+// system wouldn't hand over
+function capabilityReport(failed = []) {
+  const platform = process.platform;
+  const shortcuts = lockdownShortcuts(platform);
+  const taken = shortcuts.filter(shortcut => failed.includes(shortcut.accelerator));
+  return {
+    platform: platformName(platform),
+    blocked: shortcuts.filter(shortcut => !taken.includes(shortcut)).map(shortcut => shortcut.label),
+    unblockable: [
+      ...UNBLOCKABLE.all,
+      ...(UNBLOCKABLE[platform] || UNBLOCKABLE.linux),
+      ...(isWayland() ? UNBLOCKABLE.wayland : []),
+      ...taken.map(shortcut => `${shortcut.label}: kept by the system`)
+    ]
+  };
+}
+
+module.exports = {
+  lockdownShortcuts,
+  capabilityReport
+};
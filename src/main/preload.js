@@ -5,21 +5,94 @@ contextBridge.exposeInMainWorld('focusWriter', {
   // Session management
   startSession: (config) => ipcRenderer.invoke('start-session', config),
   endSession: (data) => ipcRenderer.invoke('end-session', data),
+  requestEmergencyExit: () => ipcRenderer.invoke('request-emergency-exit'),
   emergencyExit: (data) => ipcRenderer.invoke('emergency-exit', data),
   goalReached: () => ipcRenderer.invoke('goal-reached'),
+  startBreak: () => ipcRenderer.invoke('start-break'),
+  endBreak: () => ipcRenderer.invoke('end-break'),
+  saveSessionState: (state) => ipcRenderer.invoke('save-session-state', state),
+
+  // Sessions interrupted by a crash or restart
+  takeInterruptedSession: () => ipcRenderer.invoke('take-interrupted-session'),
+  resumeSession: () => ipcRenderer.invoke('resume-session'),
+  endInterruptedSession: () => ipcRenderer.invoke('end-interrupted-session'),
 
   // Content management
-  saveContent: (content) => ipcRenderer.invoke('save-content', content),
-  loadDraft: () => ipcRenderer.invoke('load-draft'),
-  clearDraft: () => ipcRenderer.invoke('clear-draft'),
+  saveContent: (content, documentId) => ipcRenderer.invoke('save-content', content, documentId),
+  loadDraft: (documentId) => ipcRenderer.invoke('load-draft', documentId),
+  clearDraft: (documentId) => ipcRenderer.invoke('clear-draft', documentId),
+
+  // Crash recovery journal
+  appendJournal: (documentId, entries) => ipcRenderer.invoke('journal-append', documentId, entries),
+  discardRecovery: (documentId) => ipcRenderer.invoke('discard-recovery', documentId),
+
+  // Document library
+  listDocuments: () => ipcRenderer.invoke('list-documents'),
+  createDocument: (title) => ipcRenderer.invoke('create-document', title),
+  openDocument: (id) => ipcRenderer.invoke('open-document', id),
+  renameDocument: (id, title) => ipcRenderer.invoke('rename-document', id, title),
+  saveFocusModes: (id, modes) => ipcRenderer.invoke('save-focus-modes', id, modes),
+  duplicateDocument: (id) => ipcRenderer.invoke('duplicate-document', id),
+  deleteDocument: (id) => ipcRenderer.invoke('delete-document', id),
+
+  // Version history
+  listVersions: (documentId) => ipcRenderer.invoke('list-versions', documentId),
+  diffVersions: (documentId, fromId, toId, mode) => ipcRenderer.invoke('diff-versions', documentId, fromId, toId, mode),
+  restoreVersion: (documentId, versionId) => ipcRenderer.invoke('restore-version', documentId, versionId),
+
+  // Export
+  listArchives: () => ipcRenderer.invoke('list-archives'),
+  exportDraft: (source, format) => ipcRenderer.invoke('export-draft', source, format),
 
   // Session history
   loadSessions: () => ipcRenderer.invoke('load-sessions'),
+  getAnalytics: () => ipcRenderer.invoke('get-analytics'),
+
+  // Recurring targets
+  getTargets: () => ipcRenderer.invoke('get-targets'),
+  saveTargets: (targets, streakFreeze) => ipcRenderer.invoke('save-targets', targets, streakFreeze),
+
+  // Sites and apps blocked during strict sessions
+  saveBlocklist: (blocklist) => ipcRenderer.invoke('save-blocklist', blocklist),
+  getBlocklistStatus: () => ipcRenderer.invoke('get-blocklist-status'),
+  getPlatformReport: () => ipcRenderer.invoke('get-platform-report'),
+
+  // Session templates
+  saveTemplates: (templates) => ipcRenderer.invoke('save-templates', templates),
+  importTemplates: () => ipcRenderer.invoke('import-templates'),
+  exportTemplates: (templates) => ipcRenderer.invoke('export-templates', templates),
+
+  // Scheduled sessions
+  getSchedule: () => ipcRenderer.invoke('get-schedule'),
+  saveSchedule: (sessions, warningMinutes) => ipcRenderer.invoke('save-schedule', sessions, warningMinutes),
+
+  // Signed session reports
+  saveAccountability: (accountability) => ipcRenderer.invoke('save-accountability', accountability),
+  getReportIdentity: () => ipcRenderer.invoke('get-report-identity'),
+  verifyReport: () => ipcRenderer.invoke('verify-report'),
 
   // Settings
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
   loadSettings: () => ipcRenderer.invoke('load-settings'),
 
+  // Color themes
+  listThemes: () => ipcRenderer.invoke('list-themes'),
+  saveTheme: (id, theme) => ipcRenderer.invoke('save-theme', id, theme),
+  deleteTheme: (id) => ipcRenderer.invoke('delete-theme', id),
+  importTheme: () => ipcRenderer.invoke('import-theme'),
+  exportTheme: (id) => ipcRenderer.invoke('export-theme', id),
+  getSystemTheme: () => ipcRenderer.invoke('get-system-theme'),
+
+  // Spelling
+  getSpellcheckLanguages: () => ipcRenderer.invoke('get-spellcheck-languages'),
+
+  // Sessions started from the command line
+  takeSessionPreset: () => ipcRenderer.invoke('take-session-preset'),
+
+  // Local API for other apps
+  reportProgress: (progress) => ipcRenderer.invoke('report-progress', progress),
+  getApiStatus: () => ipcRenderer.invoke('get-api-status'),
+
   // Utilities
   getDocumentsPath: () => ipcRenderer.invoke('get-documents-path'),
 
@@ -27,5 +100,30 @@ contextBridge.exposeInMainWorld('focusWriter', {
   onShowExitWarning: (callback) => {
     ipcRenderer.on('show-exit-warning', callback);
     return () => ipcRenderer.removeListener('show-exit-warning', callback);
+  },
+  onSessionPreset: (callback) => {
+    const listener = (event, preset) => callback(preset);
+    ipcRenderer.on('start-session-preset', listener);
+    return () => ipcRenderer.removeListener('start-session-preset', listener);
+  },
+  onScheduleCountdown: (callback) => {
+    const listener = (event, countdowns) => callback(countdowns);
+    ipcRenderer.on('schedule-countdown', listener);
+    return () => ipcRenderer.removeListener('schedule-countdown', listener);
+  },
+  onScheduledSessionsMissed: (callback) => {
+    const listener = (event, missed) => callback(missed);
+    ipcRenderer.on('scheduled-sessions-missed', listener);
+    return () => ipcRenderer.removeListener('scheduled-sessions-missed', listener);
+  },
+  onSystemThemeChanged: (callback) => {
+    const listener = (event, appearance) => callback(appearance);
+    ipcRenderer.on('system-theme-changed', listener);
+    return () => ipcRenderer.removeListener('system-theme-changed', listener);
+  },
+  onSpellcheckDictionaryFailed: (callback) => {
+    const listener = (event, language) => callback(language);
+    ipcRenderer.on('spellcheck-dictionary-failed', listener);
+    return () => ipcRenderer.removeListener('spellcheck-dictionary-failed', listener);
   }
 });
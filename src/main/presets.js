@@ -0,0 +1,117 @@
+/**
+ * Focus Writer Pro - Session Presets
+ * A session decided before the window opens: the goal, strict or relaxed,
+ * and which document. Presets arrive three ways, all read here:
+ *
+ *   focuswriter://start?goal=words&value=750&strict=1&doc=novel
+ *   --goal=words --value=750 --strict --doc=novel      (same names as the link)
+ *   --session=<json>                                   (from `focus-writer start`)
+ *
+ * Repeat goal and value for a compound goal; mode=any finishes on the first one met
+ */
+
+const PROTOCOL = 'focuswriter';
+const PRESET_FLAG = '--session=';
+const GOAL_PART_KINDS = ['words', 'time', 'characters', 'paragraphs', 'sections', 'length'];
+const LAUNCH_PARAMS = ['goal', 'value', 'mode', 'strict', 'doc'];
+
+// Friendlier names accepted in links and launch arguments
+const GOAL_ALIASES = { minutes: 'time', chars: 'characters', total: 'length' };
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+
+// Limits are the renderer's job; this only makes sure the shape is right
+function normalizePreset(preset) {
+  const parts = Array.isArray(preset?.goal?.parts) ? preset.goal.parts : [];
+  const goalParts = parts
+    .filter(part => GOAL_PART_KINDS.includes(part?.kind))
+    .map(part => ({ kind: part.kind, value: Math.round(Number(part.value)) }))
+    .filter(part => part.value > 0);
+  if (goalParts.length === 0) {
+    throw new Error('A session needs a goal, such as --words 500');
+  }
+
+  return {
+    goal: { mode: preset.goal.mode === 'any' ? 'any' : 'all', parts: goalParts },
+    // Left out: whatever the setup screen was last set to
+    strictMode: typeof preset.strictMode === 'boolean' ? preset.strictMode : null,
+    documentId: typeof preset.documentId === 'string' && preset.documentId ? preset.documentId : null
+  };
+}
+
+function presetArg(preset) {
+  return `${PRESET_FLAG}${JSON.stringify(normalizePreset(preset))}`;
+}
+
+// goal/value pairs, mode, strict and doc, from a link's query or launch arguments
+function presetFromParams(params) {
+  const values = params.getAll('value');
+  const parts = params.getAll('goal').map((kind, i) => ({
+    kind: GOAL_ALIASES[kind.toLowerCase()] || kind.toLowerCase(),
+    value: values[i]
+  }));
+  const unknown = parts.find(part => !GOAL_PART_KINDS.includes(part.kind));
+  if (unknown) {
+    throw new Error(`Unknown goal "${unknown.kind}"`);
+  }
+
+  const strict = params.get('strict');
+  return normalizePreset({
+    goal: { mode: params.get('mode'), parts },
+    strictMode: strict === null ? null : TRUE_VALUES.includes(strict.toLowerCase()),
+    documentId: params.get('doc')
+  });
+}
+
+// focuswriter://start?... puts "start" in the host; focuswriter:start?... in the path
+function presetFromUrl(link) {
+  const url = new URL(link);
+  const action = (url.hostname || url.pathname).replace(/^\/+|\/+$/g, '');
+  if (action !== 'start') {
+    throw new Error(`Unknown link: ${link}`);
+  }
+  return presetFromParams(url.searchParams);
+}
+
+// --name=value or --name value; a bare --strict means strict
+function launchParams(argv) {
+  const params = new URLSearchParams();
+  argv.forEach((arg, i) => {
+    const match = /^--([a-z]+)(?:=(.*))?$/s.exec(arg);
+    if (!match || !LAUNCH_PARAMS.includes(match[1])) return;
+    const next = argv[i + 1];
+    if (match[2] !== undefined) {
+      params.append(match[1], match[2]);
+    } else if (match[1] !== 'strict' && next !== undefined && !next.startsWith('--')) {
+      params.append(match[1], next);
+    } else {
+      params.append(match[1], '1');
+    }
+  });
+  return params.has('goal') ? params : null;
+}
+
+// The preset on a command line (or in a link handed over as one), or null if
+// there isn't a usable one
+function readLaunchPreset(argv) {
+  try {
+    const json = argv.find(arg => arg.startsWith(PRESET_FLAG));
+    if (json) return normalizePreset(JSON.parse(json.slice(PRESET_FLAG.length)));
+
+    const link = argv.find(arg => arg.toLowerCase().startsWith(`${PROTOCOL}:`));
+    if (link) return presetFromUrl(link);
+
+    const params = launchParams(argv);
+    return params ? presetFromParams(params) : null;
+  } catch (error) {
+    console.error('Ignoring session preset:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  PROTOCOL,
+  GOAL_PART_KINDS,
+  normalizePreset,
+  presetArg,
+  readLaunchPreset
+};
@@ -0,0 +1,184 @@
+/**
+ * Focus Writer Pro - Signed Session Reports
+ * A record of one session that a writing partner can check: a hash of the
+ * draft rather than its text, the words, how long it ran, the goal, any
+ * emergency exit and what happened to the lockdown. Each report is signed with
+ * a key made on this computer that never leaves it, so a report that has been
+ * edited, or one made with someone else's key, shows up as such. Reports are
+ * plain files to pass on any way you like; checking one needs only the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ensureDir, writeFileAtomic, getDocumentsPath } = require('./storage');
+
+const REPORT_FORMAT = 'focus-writer-report';
+const REPORT_VERSION = 1;
+const MAX_PARTNERS = 50;
+
+const getKeyPath = () => path.join(getDocumentsPath(), 'keys', 'report-key.pem');
+const getReportsPath = () => ensureDir(path.join(getDocumentsPath(), 'reports'));
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Short enough to read out over the phone: the first 16 bytes of the key's
+// hash, in groups of four
+function fingerprintOf(publicKeyDer) {
+  return sha256(publicKeyDer).slice(0, 32).match(/.{4}/g).join(' ');
+}
+
+// Partner fingerprints are compared without spaces or case
+const fingerprintKey = (fingerprint) => String(fingerprint || '').replace(/\s+/g, '').toLowerCase();
+
+// Drop anything malformed so a hand-edited settings.json can't break reports
+function normalizeAccountability(accountability) {
+  const partners = [];
+  (Array.isArray(accountability?.partners) ? accountability.partners : []).forEach(partner => {
+    const key = fingerprintKey(partner?.fingerprint);
+    if (!/^[0-9a-f]{32}$/.test(key) || partners.some(known => fingerprintKey(known.fingerprint) === key)) return;
+    partners.push({ name: String(partner.name || '').trim().slice(0, 100), fingerprint: key.match(/.{4}/g).join(' ') });
+  });
+  return {
+    enabled: Boolean(accountability?.enabled),
+    name: String(accountability?.name || '').trim().slice(0, 100),
+    partners: partners.slice(0, MAX_PARTNERS)
+  };
+}
+
+// JSON with keys in a fixed order, so the bytes signed don't depend on how
+// the file was written out or read back
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ==================== SIGNING KEY ====================
+
+// This computer's Ed25519 key, made the first time it is needed. Only the
+// owner can read the private half
+function loadSigningKey() {
+  const keyPath = getKeyPath();
+  if (!fs.existsSync(keyPath)) {
+    ensureDir(path.dirname(keyPath));
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    writeFileAtomic(keyPath, privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    fs.chmodSync(keyPath, 0o600);
+  }
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(keyPath, 'utf-8'));
+  const publicKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  return { privateKey, publicKey };
+}
+
+// The fingerprint to give a partner, so they know reports signed with it are yours
+function getIdentity() {
+  const { publicKey } = loadSigningKey();
+  return { fingerprint: fingerprintOf(publicKey), reportsPath: getReportsPath() };
+}
+
+// ==================== REPORTS ====================
+
+// Sign a report of a logged session entry. draft is the document's text as
+// saved; only its hash and length go in. Returns the report file's path
+function writeReport(entry, draft, { author = '', strictMode = true } = {}) {
+  const { privateKey, publicKey } = loadSigningKey();
+  const text = draft || '';
+  const report = {
+    id: crypto.randomUUID(),
+    author: author || null,
+    signedAt: new Date().toISOString(),
+    session: {
+      startedAt: entry.startedAt || null,
+      endedAt: entry.date,
+      durationSeconds: entry.durationSeconds,
+      duration: entry.duration,
+      words: entry.words,
+      honestWords: entry.honestWords,
+      goalType: entry.goalType,
+      goalValue: entry.goalValue,
+      goal: entry.goal,
+      completed: entry.completed,
+      strictMode,
+      emergencyExit: entry.emergencyExit
+    },
+    draft: {
+      title: entry.documentTitle,
+      sha256: sha256(Buffer.from(text, 'utf-8')),
+      characters: text.length
+    },
+    // Relaxed sessions have no lockdown, so no trail
+    lockdown: entry.lockdownTrail
+  };
+  const signed = {
+    format: REPORT_FORMAT,
+    version: REPORT_VERSION,
+    report,
+    publicKey: publicKey.toString('base64'),
+    signature: crypto.sign(null, Buffer.from(canonicalJson(report), 'utf-8'), privateKey).toString('base64')
+  };
+
+  // Reports can be signed moments apart (an emergency exit straight after a
+  // goal), so the name carries the milliseconds and part of the report's id
+  const stamp = report.signedAt.replace(/[:.]/g, '-').replace(/Z$/, '');
+  const filePath = path.join(getReportsPath(), `report-${stamp}-${report.id.slice(0, 8)}.json`);
+  writeFileAtomic(filePath, JSON.stringify(signed, null, 2));
+  return filePath;
+}
+
+// Check a report file. valid means it is exactly as its key signed it;
+// whose key that is comes from the fingerprint: yours, a partner's you've
+// checked before, or one to compare with what your partner gave you
+function verifyReport(filePath, accountability) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error("That file isn't a session report");
+  }
+  if (data?.format !== REPORT_FORMAT || !data.report || typeof data.publicKey !== 'string' || typeof data.signature !== 'string') {
+    throw new Error("That file isn't a session report");
+  }
+  if (data.version > REPORT_VERSION) {
+    throw new Error('That report comes from a newer version of Focus Writer Pro');
+  }
+
+  const publicKeyDer = Buffer.from(data.publicKey, 'base64');
+  let valid = false;
+  try {
+    const publicKey = crypto.createPublicKey({ key: publicKeyDer, format: 'der', type: 'spki' });
+    valid = publicKey.asymmetricKeyType === 'ed25519' && crypto.verify(
+      null, Buffer.from(canonicalJson(data.report), 'utf-8'), publicKey, Buffer.from(data.signature, 'base64')
+    );
+  } catch (error) {
+    valid = false;
+  }
+
+  const fingerprint = fingerprintOf(publicKeyDer);
+  const partner = normalizeAccountability(accountability).partners
+    .find(known => fingerprintKey(known.fingerprint) === fingerprintKey(fingerprint));
+  return {
+    valid,
+    fingerprint,
+    // Checking a report doesn't make a key for a computer that has none
+    own: fs.existsSync(getKeyPath()) && fingerprint === getIdentity().fingerprint,
+    partner: partner ? partner.name || 'Partner' : null,
+    report: data.report
+  };
+}
+
+// Whether a draft's text is the one a report was made from
+const matchesDraft = (report, text) => report?.draft?.sha256 === sha256(Buffer.from(text, 'utf-8'));
+
+module.exports = {
+  normalizeAccountability,
+  getIdentity,
+  writeReport,
+  verifyReport,
+  matchesDraft
+};
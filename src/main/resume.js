@@ -0,0 +1,57 @@
+/**
+ * Focus Writer Pro - Interrupted Sessions
+ * The running session, kept on disk so a crash or a restart doesn't lose it.
+ * It is rewritten on every auto-save and removed when the session ends; one
+ * still there at launch was interrupted and can be picked back up
+ */
+
+const fs = require('fs');
+const { writeFileAtomic, getActiveSessionPath } = require('./storage');
+
+// Past this, a session isn't resumed but logged as it stood
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// config is the main process's sessionConfig, state the renderer's snapshot
+// of its timer and counts, trail the lockdown audit trail
+function saveActiveSession(config, state, trail) {
+  writeFileAtomic(getActiveSessionPath(), JSON.stringify({
+    config,
+    state,
+    trail,
+    savedAt: new Date().toISOString()
+  }, null, 2));
+}
+
+function clearActiveSession() {
+  const filePath = getActiveSessionPath();
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// The session that was running when the app went down, or null. A file that
+// can't be used is removed so it can't get in the way of every launch
+function loadInterruptedSession(now = Date.now()) {
+  const filePath = getActiveSessionPath();
+  if (!fs.existsSync(filePath)) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    data = null;
+  }
+  const savedAt = Date.parse(data?.savedAt);
+  if (!data?.config?.documentId || typeof data.state?.elapsedSeconds !== 'number' || isNaN(savedAt)) {
+    console.error('Ignoring unreadable interrupted session');
+    clearActiveSession();
+    return null;
+  }
+  return { ...data, stale: now - savedAt > MAX_AGE_MS };
+}
+
+module.exports = {
+  saveActiveSession,
+  clearActiveSession,
+  loadInterruptedSession
+};
@@ -0,0 +1,203 @@
+/**
+ * Focus Writer Pro - Scheduled Sessions
+ * Sessions booked in advance, such as "weekdays at 7:00, 45 minutes, strict".
+ * Each one is announced with a countdown and then starts itself. Occurrences
+ * that pass without a session, because the app was closed or the session
+ * couldn't start, go in the session log marked skipped
+ */
+
+const sessionLog = require('./sessions');
+const { normalizePreset } = require('./presets');
+
+const DAY_MS = 86400000;
+// Countdowns are shown to the second
+const TICK_MS = 1000;
+// An occurrence can still start this long after its time, e.g. just after launch
+const START_GRACE_MS = 10 * 60000;
+// The countdown given to an occurrence that was already due when first seen
+const LATE_COUNTDOWN_MS = 60000;
+// How far back a closed app's missed sessions are looked for
+const MISSED_LOOKBACK_DAYS = 7;
+const MAX_WARNING_MINUTES = 60;
+
+let timer = null;
+let current = null;
+// Announced occurrences, by key, waiting for their start time
+const countdowns = new Map();
+// Occurrences handed over to be started, and ones whose outcome is known
+const launched = new Set();
+const settled = new Set();
+let lastCountdowns = '[]';
+
+const occurrenceKey = (id, at) => `${id}@${new Date(at).toISOString()}`;
+
+// Drop anything malformed so a hand-edited settings.json can't break the
+// scheduler. `since` is when the entry was last changed: nothing before it
+// can have been missed
+function normalizeSchedule(schedule) {
+  const warning = Math.round(Number(schedule?.warningMinutes));
+  const entries = Array.isArray(schedule?.sessions) ? schedule.sessions : [];
+  return {
+    warningMinutes: warning >= 0 ? Math.min(MAX_WARNING_MINUTES, warning) : 5,
+    sessions: entries.flatMap((entry, i) => {
+      const days = [...new Set((entry?.days || []).map(Number))].filter(d => d >= 0 && d <= 6).sort();
+      const time = /^([01]\d|2[0-3]):[0-5]\d$/.test(entry?.time) ? entry.time : null;
+      if (days.length === 0 || !time) return [];
+      try {
+        const preset = normalizePreset(entry);
+        return [{
+          id: String(entry.id || `schedule-${i}`),
+          days,
+          time,
+          ...preset,
+          since: Number(entry.since) || null
+        }];
+      } catch (error) {
+        return [];
+      }
+    })
+  };
+}
+
+// Start times of an entry in (from, to], as timestamps, in local time
+function occurrencesBetween(entry, from, to) {
+  const [hours, minutes] = entry.time.split(':').map(Number);
+  const times = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+    if (!entry.days.includes(day.getDay())) continue;
+    const at = new Date(day);
+    at.setHours(hours, minutes, 0, 0);
+    if (at.getTime() > from && at.getTime() <= to) times.push(at.getTime());
+  }
+  return times;
+}
+
+// The next start of each entry, soonest first
+function upcomingSessions(schedule, now = Date.now()) {
+  return normalizeSchedule(schedule).sessions
+    .map(entry => ({ id: entry.id, at: occurrencesBetween(entry, now, now + 8 * DAY_MS)[0] }))
+    .filter(next => next.at)
+    .sort((a, b) => a.at - b.at);
+}
+
+function skippedEntry({ entry, at }) {
+  const { parts } = entry.goal;
+  return {
+    date: new Date(at).toISOString(),
+    words: 0,
+    honestWords: null,
+    duration: null,
+    durationSeconds: 0,
+    startedAt: null,
+    goalType: parts.length === 1 ? parts[0].kind : 'compound',
+    goalValue: parts.length === 1 ? parts[0].value : null,
+    goal: entry.goal,
+    intervals: null,
+    emergencyExit: null,
+    completed: false,
+    documentId: entry.documentId,
+    documentTitle: null,
+    draftPath: null,
+    scheduleId: entry.id,
+    scheduledFor: new Date(at).toISOString(),
+    skipped: true
+  };
+}
+
+// Log every occurrence that is past starting and didn't turn into a session
+function recordMissed(now) {
+  const { schedule, handlers } = current;
+  const due = schedule.sessions.flatMap(entry => {
+    const since = Math.max(entry.since || now, now - MISSED_LOOKBACK_DAYS * DAY_MS);
+    return occurrencesBetween(entry, since, now - START_GRACE_MS)
+      .map(at => ({ entry, at, key: occurrenceKey(entry.id, at) }))
+      .filter(o => !settled.has(o.key) && !countdowns.has(o.key) && !handlers.isRunning(o.entry.id, o.at));
+  });
+  if (due.length === 0) return;
+
+  const logged = new Set(sessionLog.loadSessions()
+    .filter(s => s.scheduleId && s.scheduledFor)
+    .map(s => occurrenceKey(s.scheduleId, s.scheduledFor)));
+  const missed = due.filter(o => !logged.has(o.key));
+  due.forEach(o => settled.add(o.key));
+  missed.forEach(o => sessionLog.appendSession(skippedEntry(o)));
+  if (missed.length > 0) handlers.missed(missed.map(o => ({ id: o.entry.id, at: o.at })));
+}
+
+// Announced sessions that haven't started yet, soonest first
+function pendingCountdowns() {
+  return [...countdowns.values()]
+    .map(({ entry, at, startsAt }) => ({ id: entry.id, at, startsAt, goal: entry.goal, strictMode: entry.strictMode }))
+    .sort((a, b) => a.startsAt - b.startsAt);
+}
+
+function tick() {
+  const now = Date.now();
+  const { schedule, handlers } = current;
+  const warningMs = schedule.warningMinutes * 60000;
+
+  schedule.sessions.forEach(entry => {
+    occurrencesBetween(entry, now - START_GRACE_MS, now + warningMs).forEach(at => {
+      const key = occurrenceKey(entry.id, at);
+      if (countdowns.has(key) || launched.has(key) || settled.has(key)) return;
+      countdowns.set(key, { entry, at, startsAt: at > now ? at : now + LATE_COUNTDOWN_MS });
+    });
+  });
+
+  countdowns.forEach((occurrence, key) => {
+    if (now < occurrence.startsAt) return;
+    countdowns.delete(key);
+    launched.add(key);
+    // false: a session was already running, which is as good as keeping it
+    if (handlers.start(occurrence) === false) settled.add(key);
+  });
+
+  const pending = pendingCountdowns();
+  if (JSON.stringify(pending) !== lastCountdowns) {
+    lastCountdowns = JSON.stringify(pending);
+    handlers.countdown(pending);
+  }
+
+  try {
+    recordMissed(now);
+  } catch (error) {
+    console.error('Error recording missed sessions:', error);
+  }
+}
+
+// Start, update or stop the scheduler to match settings. handlers:
+// { countdown(pending), start(occurrence), isRunning(id, at), missed(list) }
+function configureScheduler(schedule, handlers) {
+  const normalized = normalizeSchedule(schedule);
+  // Entries that were removed or changed lose their countdown
+  countdowns.forEach((occurrence, key) => {
+    const entry = normalized.sessions.find(e => e.id === occurrence.entry.id);
+    if (!entry || entry.since !== occurrence.entry.since) countdowns.delete(key);
+  });
+
+  current = { schedule: normalized, handlers };
+  if (normalized.sessions.length === 0) {
+    stopScheduler();
+    handlers.countdown([]);
+    lastCountdowns = '[]';
+    return;
+  }
+  if (!timer) timer = setInterval(tick, TICK_MS);
+  tick();
+}
+
+function stopScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  countdowns.clear();
+}
+
+module.exports = {
+  normalizeSchedule,
+  upcomingSessions,
+  pendingCountdowns,
+  configureScheduler,
+  stopScheduler
+};
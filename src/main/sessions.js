@@ -0,0 +1,52 @@
+/**
+ * Focus Writer Pro - Session Log
+ * sessions.json holds one entry per finished session, oldest first. Scheduled
+ * sessions that never happened are logged too, marked `skipped`
+ */
+
+const fs = require('fs');
+const { getSessionsPath, writeFileAtomic } = require('./storage');
+
+function loadSessions() {
+  const sessionsPath = getSessionsPath();
+  if (!fs.existsSync(sessionsPath)) return [];
+  return JSON.parse(fs.readFileSync(sessionsPath, 'utf-8'));
+}
+
+function appendSession(entry) {
+  const sessions = loadSessions();
+  sessions.push(entry);
+  writeFileAtomic(getSessionsPath(), JSON.stringify(sessions, null, 2));
+  return entry;
+}
+
+// Sessions that were actually written
+function writtenSessions(sessions) {
+  return sessions.filter(s => !s.skipped);
+}
+
+// Durations are logged as "MM:SS" or "H:MM:SS"; turn them back into seconds
+function parseDuration(duration) {
+  if (typeof duration === 'number') return duration;
+  if (!duration || typeof duration !== 'string') return 0;
+  return duration.split(':').reduce((total, part) => total * 60 + (parseInt(part, 10) || 0), 0);
+}
+
+function formatDuration(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+
+  if (hrs > 0) {
+    return `${hrs}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+  loadSessions,
+  appendSession,
+  writtenSessions,
+  parseDuration,
+  formatDuration
+};
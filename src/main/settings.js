@@ -0,0 +1,78 @@
+/**
+ * Focus Writer Pro - Settings
+ * Reads and writes settings.json, filling in defaults for anything missing
+ */
+
+const fs = require('fs');
+const { getSettingsPath, writeFileAtomic } = require('./storage');
+
+const DEFAULT_SETTINGS = {
+  theme: 'dark',
+  fontSize: 'medium',
+  fontFamily: 'serif',
+  lineHeight: 1.8,
+  // Widest the text column gets, in pixels
+  columnWidth: 720,
+  // Space after each paragraph in the Markdown preview, in ems
+  paragraphSpacing: 1,
+  // Generated sounds; ambient is 'off', 'rain', 'brown' or 'cafe'. Volumes run 0-1
+  sound: { ambient: 'off', ambientVolume: 0.4, keys: false, keyVolume: 0.5, cues: true, cueVolume: 0.5 },
+  // With followSystemTheme on, the OS appearance picks between systemThemes
+  followSystemTheme: false,
+  systemThemes: { light: 'light', dark: 'dark' },
+  strictMode: true,
+  snapshotIntervalMinutes: 10,
+  // A line containing only this ends a section, for "finish N sections" goals
+  sectionMarker: '***',
+  // Interval sessions: work blocks with enforced breaks, and a long break every `cycles` blocks
+  pomodoro: { enabled: false, workMinutes: 25, breakMinutes: 5, longBreakMinutes: 15, cycles: 4 },
+  // Word goals count only honest words: typed, net new, not repeated or gibberish
+  integrityMode: false,
+  // Markdown editing: inline styling, and a preview that is 'hidden' or 'side'
+  markdown: { enabled: false, preview: 'hidden' },
+  // Spell checking; languages are dictionary codes such as 'en-US' (ignored on macOS)
+  spellcheck: { enabled: true, languages: ['en-US'] },
+  // Repeated words, passive voice and long sentences, flagged in the editor.
+  // Flags stay hidden while a session is locked unless duringSession is on
+  styleChecks: { enabled: false, repeated: true, passive: true, longSentences: true, duringSession: false },
+  // Focus aids for documents that haven't chosen their own; focus is 'off', 'sentence' or 'paragraph'
+  focusModes: { typewriter: false, focus: 'off', forwardOnly: false, vanishing: false },
+  // Emergency exit rules for strict sessions; see lockdown.js
+  lockdown: { phrase: 'default', customPhrase: '', challenge: 'exact', cooldownMinutes: 0, weeklyExitLimit: 0 },
+  // Sites and apps blocked during strict sessions; appAction is 'quit' or 'hide'
+  // (macOS). dryRun only reports what would be blocked; see blocklist.js
+  blocklist: { enabled: false, sites: [], apps: [], appAction: 'quit', dryRun: false },
+  // Local HTTP/WebSocket API for other apps on this computer; see api.js
+  api: { enabled: false, port: 47615, token: '' },
+  // Named session setups for the welcome screen, in display order; see templates.js
+  templates: [],
+  // Sessions that start themselves: [{ id, days: [0-6, Sunday first], time: 'HH:MM',
+  // goal, strictMode, documentId, since }], announced warningMinutes ahead; see scheduler.js
+  schedule: { warningMinutes: 5, sessions: [] },
+  // Standing targets: [{ id, period: 'day' | 'week', kind: 'words' | 'minutes', value }]
+  targets: [],
+  // Up to `perMonth` missed days are forgiven; usedDays records which
+  streakFreeze: { enabled: false, perMonth: 2, usedDays: [], checkedThrough: null },
+  // Signed session reports for a writing partner, signed as `name`. partners are
+  // [{ name, fingerprint }], keys whose reports are trusted; see reports.js
+  accountability: { enabled: false, name: '', partners: [] }
+};
+
+function loadSettings() {
+  const settingsPath = getSettingsPath();
+  if (!fs.existsSync(settingsPath)) {
+    return { ...DEFAULT_SETTINGS };
+  }
+  const data = fs.readFileSync(settingsPath, 'utf-8');
+  return { ...DEFAULT_SETTINGS, ...JSON.parse(data) };
+}
+
+function saveSettings(settings) {
+  writeFileAtomic(getSettingsPath(), JSON.stringify(settings, null, 2));
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  saveSettings
+};
@@ -0,0 +1,98 @@
+/**
+ * Focus Writer Pro - Storage Paths
+ * Locations of everything the app keeps in the user's documents folder
+ */
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const FOLDER_NAME = 'Focus Writer Pro';
+
+// Create a directory on first use and hand back its path
+const ensureDir = (dir) => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+};
+
+// Write to a temp file beside the target, flush it to disk, then rename it
+// over the original so a crash mid-write never leaves a truncated file
+function writeFileAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, data, 'utf-8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (fs.existsSync(tempPath)) {
+      fs.unlinkSync(tempPath);
+    }
+    throw error;
+  }
+}
+
+// Fingerprint of a text, used to tell whether two copies are identical
+const hashContent = (content) => crypto.createHash('sha1').update(content, 'utf-8').digest('hex');
+
+// Linux desktops can move the documents folder; Electron follows the XDG user dirs, so do the same
+function xdgDocumentsDir(home) {
+  const configDir = process.env.XDG_CONFIG_HOME || path.join(home, '.config');
+  try {
+    const config = fs.readFileSync(path.join(configDir, 'user-dirs.dirs'), 'utf-8');
+    const match = /^XDG_DOCUMENTS_DIR="(.*)"$/m.exec(config);
+    if (match) return match[1].replace(/^\$HOME/, home);
+  } catch (error) {
+    // No user dirs configured
+  }
+  return path.join(home, 'Documents');
+}
+
+// Where everything lives. Inside the app this is Electron's documents folder;
+// the command line runs under plain Node and works out the same place itself.
+// FOCUS_WRITER_HOME points both somewhere else
+function getStorageRoot() {
+  if (process.env.FOCUS_WRITER_HOME) return path.resolve(process.env.FOCUS_WRITER_HOME);
+  if (process.versions.electron) {
+    const { app } = require('electron');
+    return path.join(app.getPath('documents'), FOLDER_NAME);
+  }
+  const home = os.homedir();
+  const documents = process.platform === 'linux' ? xdgDocumentsDir(home) : path.join(home, 'Documents');
+  return path.join(documents, FOLDER_NAME);
+}
+
+const getDocumentsPath = () => ensureDir(getStorageRoot());
+const getDraftsPath = () => ensureDir(path.join(getDocumentsPath(), 'drafts'));
+const getLibraryPath = () => ensureDir(path.join(getDocumentsPath(), 'documents'));
+const getExportsPath = () => ensureDir(path.join(getDocumentsPath(), 'exports'));
+const getThemesPath = () => ensureDir(path.join(getDocumentsPath(), 'themes'));
+
+const getLibraryIndexPath = () => path.join(getLibraryPath(), 'library.json');
+const getLegacyDraftPath = () => path.join(getDocumentsPath(), 'current.txt');
+const getSessionsPath = () => path.join(getDocumentsPath(), 'sessions.json');
+const getSettingsPath = () => path.join(getDocumentsPath(), 'settings.json');
+const getActiveSessionPath = () => path.join(getDocumentsPath(), 'active-session.json');
+
+module.exports = {
+  ensureDir,
+  writeFileAtomic,
+  hashContent,
+  getDocumentsPath,
+  getDraftsPath,
+  getLibraryPath,
+  getExportsPath,
+  getThemesPath,
+  getLibraryIndexPath,
+  getLegacyDraftPath,
+  getSessionsPath,
+  getSettingsPath,
+  getActiveSessionPath
+};
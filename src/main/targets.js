@@ -0,0 +1,161 @@
+/**
+ * Focus Writer Pro - Recurring Targets
+ * Standing daily/weekly targets measured across sessions, plus streak freezes
+ * that cover a missed day so one bad day doesn't reset a long streak
+ */
+
+const { dayKey, startOfDay, addDays, dailyWords, sessionSeconds, sessionStart, computeStreaks } = require('./analytics');
+const { writtenSessions } = require('./sessions');
+
+const TARGET_PERIODS = ['day', 'week'];
+const TARGET_KINDS = ['words', 'minutes'];
+const FREEZE_LOOKBACK_DAYS = 7;
+
+// Weeks start on Sunday, matching the analytics heatmap
+function periodBounds(period, now) {
+  const today = startOfDay(now);
+  if (period === 'week') {
+    const start = addDays(today, -today.getDay());
+    return { start, end: addDays(start, 7) };
+  }
+  return { start: today, end: addDays(today, 1) };
+}
+
+// Drop anything malformed so a hand-edited settings.json can't break the welcome screen
+function normalizeTargets(targets) {
+  if (!Array.isArray(targets)) return [];
+  return targets
+    .filter(t => t && TARGET_PERIODS.includes(t.period) && TARGET_KINDS.includes(t.kind))
+    .map((t, i) => ({
+      id: String(t.id || `${t.kind}-${t.period}-${i}`),
+      period: t.period,
+      kind: t.kind,
+      value: Math.max(1, Math.round(Number(t.value) || 0))
+    }));
+}
+
+function computeTargetProgress(sessions, targets, now) {
+  return normalizeTargets(targets).map(target => {
+    const { start, end } = periodBounds(target.period, now);
+    const inPeriod = sessions.filter(s => {
+      const started = sessionStart(s);
+      return started >= start && started < end;
+    });
+    const done = target.kind === 'words'
+      ? inPeriod.reduce((sum, s) => sum + (s.words || 0), 0)
+      : Math.floor(inPeriod.reduce((sum, s) => sum + sessionSeconds(s), 0) / 60);
+
+    return {
+      ...target,
+      done,
+      remaining: Math.max(0, target.value - done),
+      percent: Math.min(100, Math.round((done / target.value) * 100)),
+      // Including today
+      daysLeft: Math.round((end - startOfDay(now)) / 86400000)
+    };
+  });
+}
+
+// The next session's goal: whatever is left of a daily target, or today's
+// share of what is left of a weekly one. Daily targets take priority
+function suggestGoal(progress) {
+  const open = progress
+    .filter(t => t.remaining > 0)
+    .sort((a, b) => TARGET_PERIODS.indexOf(a.period) - TARGET_PERIODS.indexOf(b.period));
+  if (open.length === 0) return null;
+
+  const target = open[0];
+  const goalValue = target.period === 'week'
+    ? Math.ceil(target.remaining / target.daysLeft)
+    : target.remaining;
+
+  return {
+    goalType: target.kind === 'words' ? 'words' : 'time',
+    goalValue,
+    targetId: target.id
+  };
+}
+
+function normalizeFreeze(freeze) {
+  return {
+    enabled: Boolean(freeze?.enabled),
+    perMonth: Math.max(0, Math.round(Number(freeze?.perMonth) || 0)),
+    usedDays: Array.isArray(freeze?.usedDays) ? freeze.usedDays.filter(d => typeof d === 'string') : [],
+    // The latest missed day already considered for a freeze
+    checkedThrough: /^\d{4}-\d{2}-\d{2}$/.test(freeze?.checkedThrough) ? freeze.checkedThrough : null
+  };
+}
+
+const monthOf = (key) => key.slice(0, 7);
+
+// Spend a freeze on the missed day right before the current streak, if the
+// day before that is covered and the month's allowance isn't used up. Today
+// is never frozen - there is still time to write. Each missed day is only
+// considered once, so running this again changes nothing. Returns the
+// updated freeze settings
+function applyStreakFreezes(days, freeze, now) {
+  const settings = normalizeFreeze(freeze);
+  if (!settings.enabled || settings.perMonth === 0) return settings;
+
+  const used = new Set(settings.usedDays);
+  const covered = (key) => (days.get(key) || 0) > 0 || used.has(key);
+
+  // The app may not have been opened since the miss, so look back up to a
+  // week past days already covered
+  let cursor = addDays(startOfDay(now), -1);
+  for (let i = 0; i < FREEZE_LOOKBACK_DAYS && covered(dayKey(cursor)); i++) {
+    cursor = addDays(cursor, -1);
+  }
+
+  const missed = dayKey(cursor);
+  if (covered(missed) || (settings.checkedThrough && missed <= settings.checkedThrough)) return settings;
+  const checked = { ...settings, checkedThrough: missed };
+
+  // More than one day missed, or no streak on the other side worth saving
+  if (!covered(dayKey(addDays(cursor, -1)))) return checked;
+  if (settings.usedDays.filter(key => monthOf(key) === monthOf(missed)).length >= settings.perMonth) return checked;
+
+  return { ...checked, usedDays: [...settings.usedDays, missed].sort() };
+}
+
+// applyStreakFreezes over a session log
+const spendStreakFreezes = (log, freeze, now = new Date()) =>
+  applyStreakFreezes(dailyWords(writtenSessions(log)), freeze, now);
+
+// Everything the welcome screen needs: target progress, the streak (with
+// freezes already spent), whether it is about to break, and a suggested goal
+function computeTargetStatus(log, settings, now = new Date()) {
+  const sessions = writtenSessions(log);
+  const days = dailyWords(sessions);
+  const streakFreeze = normalizeFreeze(settings.streakFreeze);
+  const streak = computeStreaks(days, now, new Set(streakFreeze.usedDays));
+  const progress = computeTargetProgress(sessions, settings.targets, now);
+
+  const thisMonth = monthOf(dayKey(now));
+  const freezesUsed = streakFreeze.usedDays.filter(key => monthOf(key) === thisMonth).length;
+  const midnight = addDays(startOfDay(now), 1);
+
+  return {
+    targets: progress,
+    suggestion: suggestGoal(progress),
+    streak: {
+      ...streak,
+      atRisk: streak.current > 0 && !streak.writtenToday,
+      hoursLeft: Math.max(0, Math.floor((midnight - now) / 3600000)),
+      freezesLeft: streakFreeze.enabled ? Math.max(0, streakFreeze.perMonth - freezesUsed) : 0
+    },
+    streakFreeze
+  };
+}
+
+module.exports = {
+  TARGET_PERIODS,
+  periodBounds,
+  TARGET_KINDS,
+  normalizeTargets,
+  computeTargetProgress,
+  normalizeFreeze,
+  applyStreakFreezes,
+  spendStreakFreezes,
+  computeTargetStatus
+};
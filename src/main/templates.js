@@ -0,0 +1,130 @@
+/**
+ * Focus Writer Pro - Session Templates
+ * Named session setups picked from the welcome screen: a goal, strict mode,
+ * integrity mode, focus aids, Pomodoro intervals and a soundscape. They are
+ * kept in settings and shared as JSON files
+ */
+
+const fs = require('fs');
+const { writeFileAtomic } = require('./storage');
+const { normalizePreset } = require('./presets');
+
+// Marks a file as ours, so importing some other JSON fails clearly
+const FILE_TYPE = 'focus-writer-templates';
+const FILE_VERSION = 1;
+
+const MAX_NAME_LENGTH = 60;
+const MAX_TEMPLATES = 50;
+const AMBIENT_KINDS = ['off', 'rain', 'brown', 'cafe'];
+const FOCUS_LEVELS = ['off', 'sentence', 'paragraph'];
+
+// [min, max, default] for each Pomodoro field, as on the setup screen
+const POMODORO_FIELDS = {
+  workMinutes: [5, 120, 25],
+  breakMinutes: [1, 60, 5],
+  longBreakMinutes: [1, 90, 15],
+  cycles: [2, 12, 4]
+};
+
+const clamp = (value, [min, max, fallback]) => Math.min(max, Math.max(min, Math.round(Number(value) || fallback)));
+
+// Check one template, throwing on what can't be fixed: no name or no goal.
+// focusModes, pomodoro and ambient are null when the template leaves them be
+function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object') {
+    throw new Error('A template must be a JSON object');
+  }
+  const name = String(template.name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) {
+    throw new Error('A template needs a name');
+  }
+
+  let goal;
+  try {
+    goal = normalizePreset(template).goal;
+  } catch (error) {
+    throw new Error(`Template "${name}" has no goal`);
+  }
+
+  const focus = template.focusModes;
+  const pomodoro = template.pomodoro;
+  return {
+    ...(template.id ? { id: String(template.id) } : {}),
+    name,
+    goal,
+    strictMode: template.strictMode !== false,
+    integrityMode: Boolean(template.integrityMode),
+    focusModes: focus && typeof focus === 'object'
+      ? {
+        typewriter: Boolean(focus.typewriter),
+        focus: FOCUS_LEVELS.includes(focus.focus) ? focus.focus : 'off',
+        forwardOnly: Boolean(focus.forwardOnly),
+        vanishing: Boolean(focus.vanishing)
+      }
+      : null,
+    pomodoro: pomodoro && typeof pomodoro === 'object'
+      ? Object.fromEntries(Object.entries(POMODORO_FIELDS).map(([key, field]) => [key, clamp(pomodoro[key], field)]))
+      : null,
+    ambient: AMBIENT_KINDS.includes(template.ambient) ? template.ambient : null
+  };
+}
+
+// Templates as stored in settings, in order. Malformed ones are dropped so a
+// hand-edited settings.json can't break the welcome screen
+function normalizeTemplates(templates) {
+  if (!Array.isArray(templates)) return [];
+  const ids = new Set();
+  return templates.slice(0, MAX_TEMPLATES).flatMap((template, i) => {
+    try {
+      const { id: given, ...rest } = normalizeTemplate(template);
+      let id = given || `template-${i}`;
+      while (ids.has(id)) id = `${id}-${i}`;
+      ids.add(id);
+      return [{ id, ...rest }];
+    } catch (error) {
+      return [];
+    }
+  });
+}
+
+// Templates from a shared file, without ids: they become new templates here
+function readTemplatesFile(filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error('That file is not valid JSON');
+  }
+  // A single template exported by hand is fine too
+  const list = data?.type === FILE_TYPE ? data.templates : (Array.isArray(data) ? data : [data]);
+  if (!Array.isArray(list)) {
+    throw new Error('That file has no session templates in it');
+  }
+
+  const templates = [];
+  const errors = [];
+  list.forEach(template => {
+    try {
+      const { id, ...rest } = normalizeTemplate(template);
+      templates.push(rest);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+  if (templates.length === 0) {
+    throw new Error(errors[0] || 'That file has no session templates in it');
+  }
+  return { templates, skipped: errors.length };
+}
+
+function writeTemplatesFile(templates, filePath) {
+  const shared = normalizeTemplates(templates).map(({ id, ...template }) => template);
+  writeFileAtomic(filePath, JSON.stringify({ type: FILE_TYPE, version: FILE_VERSION, templates: shared }, null, 2));
+  return shared.length;
+}
+
+module.exports = {
+  normalizeTemplates,
+  readTemplatesFile,
+  writeTemplatesFile
+};
@@ -0,0 +1,126 @@
+/**
+ * Focus Writer Pro - Color Themes
+ * User-defined themes, one JSON file each in the themes folder. A theme
+ * builds on one of the built-in appearances and overrides its colors
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { getThemesPath, writeFileAtomic } = require('./storage');
+
+const BUILT_IN_THEMES = ['dark', 'light'];
+
+// The CSS variables a theme may set, without their leading "--"
+const THEME_COLORS = [
+  'bg-primary', 'bg-secondary', 'bg-tertiary', 'bg-elevated',
+  'text-primary', 'text-secondary', 'text-muted', 'border-color',
+  'accent-color', 'accent-hover', 'accent-muted',
+  'success-color', 'warning-color', 'danger-color'
+];
+
+// Hex, rgb()/rgba() or hsl()/hsla() - nothing that could smuggle in other CSS
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(?:rgb|hsl)a?\([\d\s.,%]+\))$/i;
+const MAX_NAME_LENGTH = 60;
+
+const getThemePath = (id) => {
+  if (!/^[a-z0-9-]+$/.test(id)) {
+    throw new Error(`Invalid theme id: ${id}`);
+  }
+  return path.join(getThemesPath(), `${id}.json`);
+};
+
+// Check a theme read from disk or sent by the renderer, keeping only known colors
+function normalizeTheme(theme) {
+  if (!theme || typeof theme !== 'object') {
+    throw new Error('A theme must be a JSON object');
+  }
+  const name = String(theme.name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+  if (!name) {
+    throw new Error('A theme needs a name');
+  }
+  if (!BUILT_IN_THEMES.includes(theme.base)) {
+    throw new Error(`A theme's base must be one of: ${BUILT_IN_THEMES.join(', ')}`);
+  }
+
+  const colors = {};
+  Object.entries(theme.colors || {}).forEach(([key, value]) => {
+    if (!THEME_COLORS.includes(key)) return;
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value.trim())) {
+      throw new Error(`Invalid color for ${key}: ${value}`);
+    }
+    colors[key] = value.trim();
+  });
+
+  return { name, base: theme.base, colors };
+}
+
+function uniqueThemeId(name) {
+  const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'theme';
+  let id = base;
+  let suffix = 2;
+  while (BUILT_IN_THEMES.includes(id) || fs.existsSync(getThemePath(id))) {
+    id = `${base}-${suffix++}`;
+  }
+  return id;
+}
+
+function listThemes() {
+  return fs.readdirSync(getThemesPath())
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      const id = path.basename(file, '.json');
+      try {
+        const theme = normalizeTheme(JSON.parse(fs.readFileSync(getThemePath(id), 'utf-8')));
+        return { id, ...theme };
+      } catch (error) {
+        // One broken file shouldn't hide the rest
+        console.error(`Skipping theme ${file}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Create a theme (no id) or overwrite an existing one
+function saveTheme(id, theme) {
+  const clean = normalizeTheme(theme);
+  const themeId = id || uniqueThemeId(clean.name);
+  if (id && !fs.existsSync(getThemePath(id))) {
+    throw new Error(`Theme not found: ${id}`);
+  }
+  writeFileAtomic(getThemePath(themeId), JSON.stringify(clean, null, 2));
+  return { id: themeId, ...clean };
+}
+
+function deleteTheme(id) {
+  const themePath = getThemePath(id);
+  if (fs.existsSync(themePath)) {
+    fs.unlinkSync(themePath);
+  }
+}
+
+function importTheme(filePath) {
+  let theme;
+  try {
+    theme = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Not a theme file: ${error.message}`);
+  }
+  return saveTheme(null, theme);
+}
+
+function exportTheme(id, filePath) {
+  const theme = normalizeTheme(JSON.parse(fs.readFileSync(getThemePath(id), 'utf-8')));
+  fs.writeFileSync(filePath, JSON.stringify(theme, null, 2));
+}
+
+module.exports = {
+  BUILT_IN_THEMES,
+  THEME_COLORS,
+  listThemes,
+  saveTheme,
+  deleteTheme,
+  importTheme,
+  exportTheme
+};
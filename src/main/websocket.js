@@ -0,0 +1,127 @@
+/**
+ * Focus Writer Pro - WebSocket
+ * Just enough of RFC 6455 to push events to local clients: the opening
+ * handshake, unfragmented frames out, and pings and closes coming in
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Clients only send control frames worth reading, and those are tiny
+const MAX_INCOMING_FRAME = 64 * 1024;
+
+// Answer an upgrade request with a plain HTTP error and hang up
+function refuseUpgrade(socket, status) {
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+}
+
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length]);
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+// Pull whole frames off the front of the buffer. Returns the frames and
+// whatever is left over, or null if the client broke the protocol
+function decodeFrames(buffer) {
+  const frames = [];
+  let rest = buffer;
+  while (rest.length >= 2) {
+    const opcode = rest[0] & 0x0f;
+    const masked = (rest[1] & 0x80) !== 0;
+    let length = rest[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (rest.length < 4) break;
+      length = rest.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (rest.length < 10) break;
+      length = Number(rest.readBigUInt64BE(2));
+      offset = 10;
+    }
+    // Client frames must be masked
+    if (!masked || length > MAX_INCOMING_FRAME) return null;
+    if (rest.length < offset + 4 + length) break;
+
+    const mask = rest.subarray(offset, offset + 4);
+    const payload = Buffer.from(rest.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+    frames.push({ opcode, payload });
+    rest = rest.subarray(offset + 4 + length);
+  }
+  return { frames, rest };
+}
+
+// Complete the handshake on an upgraded socket and return a client that can
+// be sent text, or null after refusing a request that isn't a WebSocket one
+function acceptWebSocket(req, socket, onClose) {
+  const key = req.headers['sec-websocket-key'];
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key) {
+    refuseUpgrade(socket, 400);
+    return null;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const client = {
+    send(text) {
+      if (!socket.destroyed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text, 'utf-8')));
+    },
+    close() {
+      if (!socket.destroyed) socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+    }
+  };
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', (chunk) => {
+    const decoded = decodeFrames(Buffer.concat([pending, chunk]));
+    if (!decoded) {
+      socket.destroy();
+      return;
+    }
+    pending = decoded.rest;
+    decoded.frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.close) {
+        // Echo the status code back, as the protocol asks
+        socket.end(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+      } else if (opcode === OPCODES.ping) {
+        socket.write(encodeFrame(OPCODES.pong, payload));
+      }
+    });
+  });
+  socket.on('close', () => onClose(client));
+  socket.on('error', () => socket.destroy());
+  return client;
+}
+
+module.exports = {
+  refuseUpgrade,
+  acceptWebSocket
+};
@@ -3,40 +3,163 @@
  * Handles all UI logic, session management, and user interactions
  */
 
+// Conditions a session goal can be built from. Everything except `length`
+// counts from where the session started
+const GOAL_KINDS = {
+  words: { label: 'words written', unit: 'words', min: 10, max: 50000 },
+  time: { label: 'minutes of writing', unit: 'minutes', min: 1, max: 480 },
+  characters: { label: 'characters typed', unit: 'characters', min: 10, max: 500000 },
+  paragraphs: { label: 'new paragraphs', unit: 'paragraphs', min: 1, max: 1000 },
+  sections: { label: 'sections finished', unit: 'sections', min: 1, max: 100 },
+  length: { label: 'words in the whole document', unit: 'words total', min: 10, max: 1000000 }
+};
+
+// Integrity mode: a run of keys along one row reads as keyboard mashing
+const KEYBOARD_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const MASH_MIN_LENGTH = 4;
+// Consonant pairs that are common inside English words. Mashing lands on other
+// pairs most of the time ("asdkfj": sd, dk, kf, fj), so a word typed on one row
+// with two or more of them counts as mashing. Other languages pair consonants
+// differently ("wszystko", "Kraftfahrzeug"), and words that span the rows are
+// left alone; w is taken as a vowel, as in "awkward"
+const COMMON_CONSONANT_PAIRS = new Set((
+  'bl br bs bt cc ch ck cl cr cs ct db dd dg dl dm dn dr ds dv ff fl fr fs ft gg gh gl gm gn gr gs ' +
+  'hb hl hm hn hr hs ht kl kn ks lb lc ld lf lg lk ll lm ln lp ls lt lv mb mm mn mp ms nb nc nd nf ' +
+  'ng nh nj nk nl nm nn np nq nr ns nt nv ph pl pp pr ps pt rb rc rd rf rg rh rk rl rm rn rp rr rs ' +
+  'rt rv sb sc sf sh sk sl sm sn sp sq ss st tb tc tf th tl tm tn tr ts tt tz xc xp xt zl zz'
+).split(' '));
+const MASH_RARE_PAIRS = 2;
+
+// Typography choices offered in settings
+const FONT_FAMILIES = {
+  serif: "Georgia, 'Times New Roman', serif",
+  sans: "-apple-system, BlinkMacSystemFont, 'SF Pro Text', 'Segoe UI', Roboto, sans-serif",
+  mono: "'SF Mono', Menlo, Consolas, monospace"
+};
+const FONT_SIZES = { small: 17, medium: 20, large: 23, 'x-large': 26 };
+
+const BUILT_IN_THEMES = [{ id: 'dark', name: 'Dark' }, { id: 'light', name: 'Light' }];
+
+// Ambient backgrounds are generated once as a loop of this length
+const AMBIENT_LOOP_SECONDS = 12;
+const AMBIENT_CROSSFADE_SECONDS = 0.5;
+
+// Find stops counting here so a one-letter search can't stall typing
+const MAX_FIND_MATCHES = 5000;
+
+// Style checks
+const LONG_SENTENCE_WORDS = 40;
+// Past participles that don't end in -ed, for the passive voice check
+const IRREGULAR_PARTICIPLES = new Set([
+  'been', 'begun', 'bitten', 'blown', 'born', 'borne', 'bought', 'bound', 'broken', 'brought', 'built',
+  'caught', 'chosen', 'done', 'drawn', 'driven', 'eaten', 'fallen', 'felt', 'forbidden', 'forgiven',
+  'forgotten', 'found', 'frozen', 'given', 'gone', 'grown', 'heard', 'held', 'hidden', 'hit', 'hung',
+  'hurt', 'kept', 'known', 'laid', 'led', 'left', 'lent', 'lost', 'made', 'meant', 'met', 'paid', 'put',
+  'read', 'ridden', 'rung', 'said', 'seen', 'sent', 'set', 'shaken', 'shot', 'shown', 'shut', 'sold',
+  'sought', 'spent', 'spoken', 'spun', 'stolen', 'struck', 'sung', 'sworn', 'taken', 'taught', 'thought',
+  'thrown', 'told', 'torn', 'understood', 'woken', 'won', 'worn', 'woven', 'written'
+]);
+// Words ending in -ed that aren't participles
+const NOT_PARTICIPLES = new Set(['hundred', 'indeed', 'naked', 'sacred', 'wicked', 'rugged', 'kindred']);
+
+const IS_MAC = navigator.platform.startsWith('Mac');
+
 class FocusWriterApp {
   constructor() {
     // Screens
     this.welcomeScreen = document.getElementById('welcomeScreen');
     this.writingScreen = document.getElementById('writingScreen');
     this.completionScreen = document.getElementById('completionScreen');
+    this.analyticsScreen = document.getElementById('analyticsScreen');
+    this.settingsScreen = document.getElementById('settingsScreen');
+    this.breakScreen = document.getElementById('breakScreen');
 
     // Welcome Screen Elements
     this.themeToggle = document.getElementById('themeToggle');
+    this.settingsBtn = document.getElementById('settingsBtn');
+    this.analyticsBtn = document.getElementById('analyticsBtn');
     this.draftSection = document.getElementById('draftSection');
     this.noDraftSection = document.getElementById('noDraftSection');
-    this.draftCard = document.getElementById('draftCard');
-    this.draftPreview = document.getElementById('draftPreview');
-    this.draftWordCount = document.getElementById('draftWordCount');
-    this.draftLastEdited = document.getElementById('draftLastEdited');
+    this.documentList = document.getElementById('documentList');
+    this.newDocumentBtn = document.getElementById('newDocumentBtn');
+    this.emptyNewDocumentBtn = document.getElementById('emptyNewDocumentBtn');
     this.startFreshBtn = document.getElementById('startFreshBtn');
     this.goalTypeBtns = document.querySelectorAll('.goal-type-btn');
     this.wordCountInput = document.getElementById('wordCountInput');
     this.timeInput = document.getElementById('timeInput');
     this.wordGoal = document.getElementById('wordGoal');
     this.timeGoal = document.getElementById('timeGoal');
+    this.customGoalInput = document.getElementById('customGoalInput');
+    this.goalMode = document.getElementById('goalMode');
+    this.goalParts = document.getElementById('goalParts');
+    this.addGoalPartBtn = document.getElementById('addGoalPartBtn');
+    this.sectionMarkerField = document.getElementById('sectionMarkerField');
+    this.sectionMarkerInput = document.getElementById('sectionMarkerInput');
     this.presetBtns = document.querySelectorAll('.preset-btn');
     this.strictModeToggle = document.getElementById('strictModeToggle');
+    this.pomodoroToggle = document.getElementById('pomodoroToggle');
+    this.integrityToggle = document.getElementById('integrityToggle');
+    this.focusTypewriter = document.getElementById('focusTypewriter');
+    this.focusForwardOnly = document.getElementById('focusForwardOnly');
+    this.focusVanishing = document.getElementById('focusVanishing');
+    this.focusDimming = document.getElementById('focusDimming');
+    this.pomodoroFields = document.getElementById('pomodoroFields');
+    this.pomodoroWork = document.getElementById('pomodoroWork');
+    this.pomodoroBreak = document.getElementById('pomodoroBreak');
+    this.pomodoroLongBreak = document.getElementById('pomodoroLongBreak');
+    this.pomodoroCycles = document.getElementById('pomodoroCycles');
     this.startSessionBtn = document.getElementById('startSessionBtn');
+    this.goalSuggestion = document.getElementById('goalSuggestion');
+    this.editTargetsBtn = document.getElementById('editTargetsBtn');
+    this.streakWarning = document.getElementById('streakWarning');
+    this.targetList = document.getElementById('targetList');
+    this.targetsEmpty = document.getElementById('targetsEmpty');
+    this.editScheduleBtn = document.getElementById('editScheduleBtn');
+    this.scheduleList = document.getElementById('scheduleList');
+    this.scheduleEmpty = document.getElementById('scheduleEmpty');
     this.sessionStats = document.getElementById('sessionStats');
+    this.manageTemplatesBtn = document.getElementById('manageTemplatesBtn');
+    this.templateChips = document.getElementById('templateChips');
 
     // Writing Screen Elements
-    this.progressFill = document.getElementById('progressFill');
+    this.progressBar = document.getElementById('progressBar');
     this.progressText = document.getElementById('progressText');
     this.editor = document.getElementById('editor');
+    this.editorPane = document.getElementById('editorPane');
+    this.editorHighlight = document.getElementById('editorHighlight');
+    this.editorMirror = document.getElementById('editorMirror');
+    this.markdownPreview = document.getElementById('markdownPreview');
+    this.markdownToggleBtn = document.getElementById('markdownToggleBtn');
+    this.previewToggleBtn = document.getElementById('previewToggleBtn');
+    this.styleToggleBtn = document.getElementById('styleToggleBtn');
+    this.styleStat = document.getElementById('styleStat');
+    this.styleCounts = document.getElementById('styleCounts');
+    this.findPanel = document.getElementById('findPanel');
+    this.findInput = document.getElementById('findInput');
+    this.findCount = document.getElementById('findCount');
+    this.findCaseBtn = document.getElementById('findCaseBtn');
+    this.findRegexBtn = document.getElementById('findRegexBtn');
+    this.findPrevBtn = document.getElementById('findPrevBtn');
+    this.findNextBtn = document.getElementById('findNextBtn');
+    this.findCloseBtn = document.getElementById('findCloseBtn');
+    this.replaceInput = document.getElementById('replaceInput');
+    this.replaceBtn = document.getElementById('replaceBtn');
+    this.replaceAllBtn = document.getElementById('replaceAllBtn');
     this.currentWords = document.getElementById('currentWords');
+    this.honestStat = document.getElementById('honestStat');
+    this.honestWords = document.getElementById('honestWords');
     this.currentChars = document.getElementById('currentChars');
     this.sessionTime = document.getElementById('sessionTime');
+    this.writingDocumentTitle = document.getElementById('writingDocumentTitle');
     this.saveIndicator = document.getElementById('saveIndicator');
+    this.pomodoroStat = document.getElementById('pomodoroStat');
+    this.pomodoroBlock = document.getElementById('pomodoroBlock');
+    this.pomodoroRemaining = document.getElementById('pomodoroRemaining');
+
+    // Break Screen Elements
+    this.breakLabel = document.getElementById('breakLabel');
+    this.breakCountdown = document.getElementById('breakCountdown');
+    this.breakSummary = document.getElementById('breakSummary');
 
     // Goal Banner Elements (subtle notification)
     this.goalBanner = document.getElementById('goalBanner');
@@ -44,6 +167,73 @@ class FocusWriterApp {
     this.saveExitBannerBtn = document.getElementById('saveExitBannerBtn');
     this.closeBanner = document.getElementById('closeBanner');
 
+    // Analytics Screen Elements
+    this.analyticsBackBtn = document.getElementById('analyticsBackBtn');
+
+    // Settings Screen Elements
+    this.settingsBackBtn = document.getElementById('settingsBackBtn');
+    this.fontFamilySelect = document.getElementById('fontFamilySelect');
+    this.fontSizeSelect = document.getElementById('fontSizeSelect');
+    this.lineHeightRange = document.getElementById('lineHeightRange');
+    this.lineHeightValue = document.getElementById('lineHeightValue');
+    this.columnWidthRange = document.getElementById('columnWidthRange');
+    this.columnWidthValue = document.getElementById('columnWidthValue');
+    this.paragraphSpacingRange = document.getElementById('paragraphSpacingRange');
+    this.paragraphSpacingValue = document.getElementById('paragraphSpacingValue');
+    this.followSystemToggle = document.getElementById('followSystemToggle');
+    this.manualThemeField = document.getElementById('manualThemeField');
+    this.themeSelect = document.getElementById('themeSelect');
+    this.systemThemeFields = document.getElementById('systemThemeFields');
+    this.lightThemeSelect = document.getElementById('lightThemeSelect');
+    this.darkThemeSelect = document.getElementById('darkThemeSelect');
+    this.themeColors = document.getElementById('themeColors');
+    this.builtInThemeNote = document.getElementById('builtInThemeNote');
+    this.newThemeName = document.getElementById('newThemeName');
+    this.createThemeBtn = document.getElementById('createThemeBtn');
+    this.importThemeBtn = document.getElementById('importThemeBtn');
+    this.exportThemeBtn = document.getElementById('exportThemeBtn');
+    this.deleteThemeBtn = document.getElementById('deleteThemeBtn');
+    this.themesPath = document.getElementById('themesPath');
+    this.ambientSelect = document.getElementById('ambientSelect');
+    this.ambientVolumeRange = document.getElementById('ambientVolumeRange');
+    this.ambientVolumeValue = document.getElementById('ambientVolumeValue');
+    this.keySoundsToggle = document.getElementById('keySoundsToggle');
+    this.keyVolumeRange = document.getElementById('keyVolumeRange');
+    this.keyVolumeValue = document.getElementById('keyVolumeValue');
+    this.cueSoundsToggle = document.getElementById('cueSoundsToggle');
+    this.cueVolumeRange = document.getElementById('cueVolumeRange');
+    this.cueVolumeValue = document.getElementById('cueVolumeValue');
+    this.spellcheckToggle = document.getElementById('spellcheckToggle');
+    this.spellcheckLanguageField = document.getElementById('spellcheckLanguageField');
+    this.spellcheckLanguageSelect = document.getElementById('spellcheckLanguageSelect');
+    this.spellcheckNote = document.getElementById('spellcheckNote');
+    this.styleRepeatedToggle = document.getElementById('styleRepeatedToggle');
+    this.stylePassiveToggle = document.getElementById('stylePassiveToggle');
+    this.styleLongToggle = document.getElementById('styleLongToggle');
+    this.styleDuringSessionToggle = document.getElementById('styleDuringSessionToggle');
+    this.apiToggle = document.getElementById('apiToggle');
+    this.apiFields = document.getElementById('apiFields');
+    this.apiPortInput = document.getElementById('apiPortInput');
+    this.apiTokenInput = document.getElementById('apiTokenInput');
+    this.copyApiTokenBtn = document.getElementById('copyApiTokenBtn');
+    this.newApiTokenBtn = document.getElementById('newApiTokenBtn');
+    this.apiStatus = document.getElementById('apiStatus');
+    this.accountabilityToggle = document.getElementById('accountabilityToggle');
+    this.accountabilityNameInput = document.getElementById('accountabilityNameInput');
+    this.reportIdentity = document.getElementById('reportIdentity');
+    this.partnerFields = document.getElementById('partnerFields');
+    this.partnerList = document.getElementById('partnerList');
+    this.verifyReportBtn = document.getElementById('verifyReportBtn');
+    this.analyticsEmpty = document.getElementById('analyticsEmpty');
+    this.analyticsContent = document.getElementById('analyticsContent');
+    this.analyticsTotals = document.getElementById('analyticsTotals');
+    this.analyticsHeatmap = document.getElementById('analyticsHeatmap');
+    this.analyticsSpeedNote = document.getElementById('analyticsSpeedNote');
+    this.analyticsSpeed = document.getElementById('analyticsSpeed');
+    this.analyticsCompletion = document.getElementById('analyticsCompletion');
+    this.analyticsHourNote = document.getElementById('analyticsHourNote');
+    this.analyticsHours = document.getElementById('analyticsHours');
+
     // Completion Screen Elements (keeping for backwards compat)
     this.completionStats = document.getElementById('completionStats');
     this.saveExitBtn = document.getElementById('saveExitBtn');
@@ -52,23 +242,168 @@ class FocusWriterApp {
     // Modals
     this.emergencyModal = document.getElementById('emergencyModal');
     this.emergencyInput = document.getElementById('emergencyInput');
+    this.emergencyReason = document.getElementById('emergencyReason');
+    this.emergencyStatus = document.getElementById('emergencyStatus');
+    this.emergencyForm = document.getElementById('emergencyForm');
+    this.emergencyInstructions = document.getElementById('emergencyInstructions');
+    this.emergencyPhrase = document.getElementById('emergencyPhrase');
+    this.emergencyAllowance = document.getElementById('emergencyAllowance');
     this.cancelEmergency = document.getElementById('cancelEmergency');
+    this.confirmEmergency = document.getElementById('confirmEmergency');
+    this.lockdownPolicyBtn = document.getElementById('lockdownPolicyBtn');
+    this.lockdownPolicyModal = document.getElementById('lockdownPolicyModal');
+    this.policyPhrase = document.getElementById('policyPhrase');
+    this.policyCustomPhrase = document.getElementById('policyCustomPhrase');
+    this.policyChallenge = document.getElementById('policyChallenge');
+    this.policyCooldown = document.getElementById('policyCooldown');
+    this.policyWeeklyLimit = document.getElementById('policyWeeklyLimit');
+    this.cancelLockdownPolicy = document.getElementById('cancelLockdownPolicy');
+    this.saveLockdownPolicyBtn = document.getElementById('saveLockdownPolicy');
+    this.blocklistToggle = document.getElementById('blocklistToggle');
+    this.blocklistFields = document.getElementById('blocklistFields');
+    this.blocklistSites = document.getElementById('blocklistSites');
+    this.blocklistApps = document.getElementById('blocklistApps');
+    this.blocklistAppAction = document.getElementById('blocklistAppAction');
+    this.blocklistDryRun = document.getElementById('blocklistDryRun');
+    this.blocklistReport = document.getElementById('blocklistReport');
+    this.platformReportTitle = document.getElementById('platformReportTitle');
+    this.platformReport = document.getElementById('platformReport');
     this.confirmFreshModal = document.getElementById('confirmFreshModal');
     this.cancelFresh = document.getElementById('cancelFresh');
     this.confirmFresh = document.getElementById('confirmFresh');
+    this.documentNameModal = document.getElementById('documentNameModal');
+    this.documentNameTitle = document.getElementById('documentNameTitle');
+    this.documentNameInput = document.getElementById('documentNameInput');
+    this.cancelDocumentName = document.getElementById('cancelDocumentName');
+    this.confirmDocumentName = document.getElementById('confirmDocumentName');
+    this.confirmDeleteModal = document.getElementById('confirmDeleteModal');
+    this.deleteDocumentName = document.getElementById('deleteDocumentName');
+    this.cancelDelete = document.getElementById('cancelDelete');
+    this.confirmDelete = document.getElementById('confirmDelete');
+    this.recoveryModal = document.getElementById('recoveryModal');
+    this.recoveryDocumentName = document.getElementById('recoveryDocumentName');
+    this.recoveryDetails = document.getElementById('recoveryDetails');
+    this.recoveryPreview = document.getElementById('recoveryPreview');
+    this.discardRecoveryBtn = document.getElementById('discardRecovery');
+    this.restoreRecoveryBtn = document.getElementById('restoreRecovery');
+    this.resumeModal = document.getElementById('resumeModal');
+    this.resumeDocumentName = document.getElementById('resumeDocumentName');
+    this.resumeDetails = document.getElementById('resumeDetails');
+    this.endInterruptedBtn = document.getElementById('endInterruptedBtn');
+    this.resumeSessionBtn = document.getElementById('resumeSessionBtn');
+    this.reportModal = document.getElementById('reportModal');
+    this.reportVerdict = document.getElementById('reportVerdict');
+    this.reportSigner = document.getElementById('reportSigner');
+    this.reportFacts = document.getElementById('reportFacts');
+    this.trustReportKeyBtn = document.getElementById('trustReportKeyBtn');
+    this.closeReportBtn = document.getElementById('closeReportBtn');
+    this.historyModal = document.getElementById('historyModal');
+    this.historyDocumentName = document.getElementById('historyDocumentName');
+    this.diffModeBtns = document.querySelectorAll('.diff-mode-btn');
+    this.versionList = document.getElementById('versionList');
+    this.diffSummary = document.getElementById('diffSummary');
+    this.diffView = document.getElementById('diffView');
+    this.closeHistory = document.getElementById('closeHistory');
+    this.restoreVersionBtn = document.getElementById('restoreVersionBtn');
+    this.targetsModal = document.getElementById('targetsModal');
+    this.targetRows = document.getElementById('targetRows');
+    this.addTargetBtn = document.getElementById('addTargetBtn');
+    this.streakFreezeToggle = document.getElementById('streakFreezeToggle');
+    this.freezeAllowance = document.getElementById('freezeAllowance');
+    this.cancelTargets = document.getElementById('cancelTargets');
+    this.saveTargetsBtn = document.getElementById('saveTargetsBtn');
+    this.templatesModal = document.getElementById('templatesModal');
+    this.templateRows = document.getElementById('templateRows');
+    this.templateRowsEmpty = document.getElementById('templateRowsEmpty');
+    this.addTemplateBtn = document.getElementById('addTemplateBtn');
+    this.importTemplatesBtn = document.getElementById('importTemplatesBtn');
+    this.exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+    this.cancelTemplates = document.getElementById('cancelTemplates');
+    this.saveTemplatesBtn = document.getElementById('saveTemplatesBtn');
+    this.scheduleModal = document.getElementById('scheduleModal');
+    this.scheduleRows = document.getElementById('scheduleRows');
+    this.addScheduleBtn = document.getElementById('addScheduleBtn');
+    this.scheduleWarningInput = document.getElementById('scheduleWarningInput');
+    this.cancelSchedule = document.getElementById('cancelSchedule');
+    this.saveScheduleBtn = document.getElementById('saveScheduleBtn');
+    this.scheduleCountdown = document.getElementById('scheduleCountdown');
+    this.exportModal = document.getElementById('exportModal');
+    this.exportSource = document.getElementById('exportSource');
+    this.exportFormatBtns = document.querySelectorAll('.export-format-btn');
+    this.cancelExport = document.getElementById('cancelExport');
+    this.confirmExport = document.getElementById('confirmExport');
+
+    // Document Library State
+    this.documents = [];
+    this.currentDocumentId = null;
+    this.currentDraft = '';
+    this.documentNameTarget = null; // null when creating, the document when renaming
+    this.pendingDeleteDocument = null;
+    this.pendingRecovery = null;
+    this.pendingReport = null; // a verified report whose key can be trusted
+
+    // Version History State
+    this.history = {
+      documentId: null,
+      versions: [],
+      fromId: null,
+      toId: 'current',
+      mode: 'words'
+    };
+
+    this.exportFormat = 'md';
+
+    // Ticks the emergency exit cooldown while the modal is open
+    this.emergencyCountdown = null;
+
+    // Goal picked on the setup screen: 'words', 'time' or 'custom'
+    this.goalSetupType = 'words';
+
+    // Recurring targets, as last reported by the main process
+    this.targetStatus = null;
+    this.streakNotifiedOn = null;
+
+    // The template last picked on the setup screen; its soundscape plays in
+    // the next session
+    this.activeTemplateId = null;
+
+    // Scheduled sessions as last reported by the main process, and the
+    // countdowns already announced with a notification
+    this.scheduleStatus = null;
+    this.countdownTimer = null;
+    this.announcedCountdowns = new Set();
+
+    // Crash journal: edits not yet covered by an auto-save
+    this.journal = {
+      lastValue: '',
+      queue: [],
+      flushTimeout: null
+    };
 
     // Session State
     this.session = {
       active: false,
-      goalType: 'words', // 'words' or 'time'
+      goalType: 'words', // a GOAL_KINDS key, or 'compound'
       goalValue: 500,
+      goal: null, // { mode: 'all' | 'any', parts: [{ kind, value }] } once started
       strictMode: true,
       startTime: null,
+      downtimeSeconds: 0, // time the app was down before the session resumed
       startWordCount: 0,
       currentWordCount: 0,
+      startCharCount: 0,
+      startParagraphs: 0,
+      startSections: 0,
+      sectionMarker: '***',
+      pomodoro: null, // interval schedule, when Pomodoro mode is on
+      integrity: null, // honest word tallies, when integrity mode is on
+      focusModes: null, // the document's focus aids, while writing
+      ambient: null, // a template's soundscape, over the one in settings
+      forwardFloor: 0, // forward-only mode: the caret may not go back past this
       timerInterval: null,
       autoSaveInterval: null,
       elapsedSeconds: 0,
+      cueLevel: 0, // quarters of the goal already announced by the rising cue
       goalTriggered: false, // Prevent multiple goal triggers
       goalCompleted: false   // Track if goal is reached (user can exit freely)
     };
@@ -80,20 +415,76 @@ class FocusWriterApp {
       fontFamily: 'serif'
     };
 
+    // Custom color themes, and the OS appearance for themes that follow it
+    this.themes = [];
+    this.themeColorNames = [];
+    this.systemAppearance = 'dark';
+
+    // Web Audio graph, created on first use; generated loops are cached by kind
+    this.audio = { context: null, ambientSource: null, ambientFade: null, ambientKind: null, buffers: {} };
+
+    // Debounces the Markdown preview while typing
+    this.previewTimeout = null;
+
+    // Progress for the local API, sent at most once a second
+    this.progressReport = null;
+    this.progressReportTimeout = null;
+
+    // Find and replace; matches are { start, end } offsets into the editor text
+    this.find = { open: false, caseSensitive: false, regex: false, error: null, matches: [], current: -1 };
+
     this.init();
   }
 
   async init() {
     await this.loadSettings();
+    // Before the draft loads: its unsaved edits go back into the session
+    const interrupted = await window.focusWriter.takeInterruptedSession();
     await this.loadDraft();
     await this.loadSessionHistory();
+    await this.loadTargets({ suggest: true });
+    await this.loadSchedule();
     this.bindEvents();
     this.applyTheme();
 
+    window.focusWriter.onSystemThemeChanged((appearance) => {
+      this.systemAppearance = appearance;
+      if (!this.settings.followSystemTheme) return;
+      this.applyTheme();
+      if (this.settingsScreen.classList.contains('active')) this.renderThemeSettings();
+    });
+
+    window.focusWriter.onSpellcheckDictionaryFailed((language) => {
+      const name = new Intl.DisplayNames([navigator.language], { type: 'language' }).of(language) || language;
+      this.showValidationError(`The ${name} spelling dictionary couldn't be downloaded`);
+      if (this.settingsScreen.classList.contains('active')) this.renderSpellingSettings();
+    });
+
+    // Keep target progress and the streak warning current while idle
+    setInterval(() => {
+      if (!this.session.active) this.loadTargets();
+    }, 30 * 60 * 1000);
+
     // Listen for exit warnings from main process
     window.focusWriter.onShowExitWarning(() => {
       this.showEmergencyModal();
     });
+
+    // The scheduler announces each session before starting it, and reports
+    // the ones that were missed
+    window.focusWriter.onScheduleCountdown(() => this.loadSchedule());
+    window.focusWriter.onScheduledSessionsMissed((missed) => this.handleMissedSessions(missed));
+
+    // Sessions set up on the command line, at launch or while already open
+    window.focusWriter.onSessionPreset((preset) => this.startPresetSession(preset));
+    const preset = await window.focusWriter.takeSessionPreset();
+
+    // A session cut short by a crash or restart comes before any new one
+    if (interrupted) {
+      await this.handleInterruptedSession(interrupted);
+    } else if (preset) {
+      this.startPresetSession(preset);
+    }
   }
 
   // ==================== EVENT BINDING ====================
@@ -102,6 +493,57 @@ class FocusWriterApp {
     // Theme Toggle
     this.themeToggle.addEventListener('click', () => this.toggleTheme());
 
+    // Analytics
+    this.analyticsBtn.addEventListener('click', () => this.showAnalytics());
+    this.analyticsBackBtn.addEventListener('click', () => this.showScreen('welcome'));
+
+    // Settings
+    this.settingsBtn.addEventListener('click', () => this.showSettings());
+    this.settingsBackBtn.addEventListener('click', () => {
+      // Ambience previewed in settings stops on the way out
+      this.stopAmbient();
+      this.showScreen('welcome');
+    });
+    this.fontFamilySelect.addEventListener('change', () => this.updateTypography());
+    this.fontSizeSelect.addEventListener('change', () => this.updateTypography());
+    [this.lineHeightRange, this.columnWidthRange, this.paragraphSpacingRange].forEach(range => {
+      // Preview while dragging, save once let go
+      range.addEventListener('input', () => this.updateTypography(false));
+      range.addEventListener('change', () => this.saveSettings());
+    });
+    this.followSystemToggle.addEventListener('change', () => this.updateThemeChoice());
+    [this.themeSelect, this.lightThemeSelect, this.darkThemeSelect].forEach(select => {
+      select.addEventListener('change', () => this.updateThemeChoice());
+    });
+    [this.ambientSelect, this.keySoundsToggle, this.cueSoundsToggle].forEach(control => {
+      control.addEventListener('change', () => this.updateSoundSettings());
+    });
+    [this.ambientVolumeRange, this.keyVolumeRange, this.cueVolumeRange].forEach(range => {
+      range.addEventListener('input', () => this.updateSoundSettings(false));
+      range.addEventListener('change', () => this.updateSoundSettings());
+    });
+    [this.spellcheckToggle, this.spellcheckLanguageSelect].forEach(control => {
+      control.addEventListener('change', () => this.updateSpellingSettings());
+    });
+    [this.styleRepeatedToggle, this.stylePassiveToggle, this.styleLongToggle, this.styleDuringSessionToggle].forEach(toggle => {
+      toggle.addEventListener('change', () => this.updateStyleSettings());
+    });
+    this.apiToggle.addEventListener('change', () => this.updateApiSettings());
+    this.apiPortInput.addEventListener('change', () => this.updateApiSettings());
+    this.newApiTokenBtn.addEventListener('click', () => this.updateApiSettings(true));
+    this.copyApiTokenBtn.addEventListener('click', () => this.copyApiToken());
+    this.accountabilityToggle.addEventListener('change', () => this.updateAccountabilitySettings());
+    this.accountabilityNameInput.addEventListener('change', () => this.updateAccountabilitySettings());
+    this.partnerList.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.remove-partner-btn');
+      if (removeBtn) this.removePartner(removeBtn.dataset.fingerprint);
+    });
+    this.verifyReportBtn.addEventListener('click', () => this.verifyReport());
+    this.createThemeBtn.addEventListener('click', () => this.createTheme());
+    this.importThemeBtn.addEventListener('click', () => this.importTheme());
+    this.exportThemeBtn.addEventListener('click', () => this.exportTheme());
+    this.deleteThemeBtn.addEventListener('click', () => this.deleteTheme());
+
     // Goal Type Toggle
     this.goalTypeBtns.forEach(btn => {
       btn.addEventListener('click', () => this.setGoalType(btn.dataset.type));
@@ -112,12 +554,98 @@ class FocusWriterApp {
       btn.addEventListener('click', (e) => this.handlePresetClick(e));
     });
 
+    // Custom Goal Conditions
+    this.addGoalPartBtn.addEventListener('click', () => this.addGoalPart());
+    this.goalParts.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.remove-goal-part-btn');
+      if (removeBtn) {
+        removeBtn.closest('.goal-part').remove();
+        this.updateSectionMarkerField();
+      }
+    });
+    this.goalParts.addEventListener('change', () => this.updateSectionMarkerField());
+
     // Goal Inputs
-    this.wordGoal.addEventListener('input', () => this.updatePresetSelection());
-    this.timeGoal.addEventListener('input', () => this.updatePresetSelection());
+    this.wordGoal.addEventListener('input', () => this.handleGoalEdit());
+    this.timeGoal.addEventListener('input', () => this.handleGoalEdit());
+
+    // Document Library
+    this.documentList.addEventListener('click', (e) => this.handleDocumentListClick(e));
+    this.newDocumentBtn.addEventListener('click', () => this.showDocumentNameModal());
+    this.emptyNewDocumentBtn.addEventListener('click', () => this.showDocumentNameModal());
+    this.cancelDocumentName.addEventListener('click', () => this.hideDocumentNameModal());
+    this.confirmDocumentName.addEventListener('click', () => this.submitDocumentName());
+    this.documentNameInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.submitDocumentName();
+      if (e.key === 'Escape') this.hideDocumentNameModal();
+    });
+    this.cancelDelete.addEventListener('click', () => this.hideConfirmDeleteModal());
+    this.confirmDelete.addEventListener('click', () => this.confirmDeleteDocument());
+
+    // Recovered Text
+    this.discardRecoveryBtn.addEventListener('click', () => this.discardRecoveredText());
+    this.restoreRecoveryBtn.addEventListener('click', () => this.restoreRecoveredText());
+
+    // Interrupted Session
+    this.endInterruptedBtn.addEventListener('click', () => this.endInterruptedSession());
+    this.resumeSessionBtn.addEventListener('click', () => this.resumeSession(this.pendingInterrupted));
+
+    // Session Reports
+    this.trustReportKeyBtn.addEventListener('click', () => this.trustReportKey());
+    this.closeReportBtn.addEventListener('click', () => this.hideReportModal());
+
+    // Version History
+    this.closeHistory.addEventListener('click', () => this.hideHistoryModal());
+    this.restoreVersionBtn.addEventListener('click', () => this.restoreSelectedVersion());
+    this.versionList.addEventListener('change', (e) => this.handleVersionSelect(e));
+    this.diffModeBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.setDiffMode(btn.dataset.mode));
+    });
 
-    // Draft Card Click
-    this.draftCard.addEventListener('click', () => this.startSessionBtn.focus());
+    // Recurring Targets
+    this.editTargetsBtn.addEventListener('click', () => this.showTargetsModal());
+    this.addTargetBtn.addEventListener('click', () => this.addTargetRow());
+    this.targetRows.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.remove-target-btn');
+      if (removeBtn) removeBtn.closest('.target-row').remove();
+    });
+    this.streakFreezeToggle.addEventListener('change', () => {
+      this.freezeAllowance.disabled = !this.streakFreezeToggle.checked;
+    });
+    this.cancelTargets.addEventListener('click', () => this.hideTargetsModal());
+    this.saveTargetsBtn.addEventListener('click', () => this.saveTargets());
+
+    // Session Templates
+    this.manageTemplatesBtn.addEventListener('click', () => this.showTemplatesModal());
+    this.templateChips.addEventListener('click', (e) => {
+      const chip = e.target.closest('.template-chip');
+      if (chip) this.applyTemplate(chip.dataset.id);
+    });
+    this.templateRows.addEventListener('click', (e) => this.handleTemplateRowClick(e));
+    this.addTemplateBtn.addEventListener('click', () => this.addCurrentSetupAsTemplate());
+    this.importTemplatesBtn.addEventListener('click', () => this.importTemplates());
+    this.exportTemplatesBtn.addEventListener('click', () => this.exportTemplates());
+    this.cancelTemplates.addEventListener('click', () => this.hideTemplatesModal());
+    this.saveTemplatesBtn.addEventListener('click', () => this.saveTemplates());
+
+    // Scheduled Sessions
+    this.editScheduleBtn.addEventListener('click', () => this.showScheduleModal());
+    this.addScheduleBtn.addEventListener('click', () => this.addScheduleRow());
+    this.scheduleRows.addEventListener('click', (e) => {
+      const dayBtn = e.target.closest('.day-toggle');
+      if (dayBtn) dayBtn.classList.toggle('active');
+      const removeBtn = e.target.closest('.remove-schedule-btn');
+      if (removeBtn) removeBtn.closest('.schedule-row').remove();
+    });
+    this.cancelSchedule.addEventListener('click', () => this.hideScheduleModal());
+    this.saveScheduleBtn.addEventListener('click', () => this.saveSchedule());
+
+    // Export
+    this.cancelExport.addEventListener('click', () => this.hideExportModal());
+    this.confirmExport.addEventListener('click', () => this.exportSelectedDraft());
+    this.exportFormatBtns.forEach(btn => {
+      btn.addEventListener('click', () => this.setExportFormat(btn.dataset.format));
+    });
 
     // Start Fresh
     this.startFreshBtn.addEventListener('click', () => this.showConfirmFreshModal());
@@ -126,10 +654,48 @@ class FocusWriterApp {
 
     // Start Session
     this.startSessionBtn.addEventListener('click', () => this.startSession());
+    this.pomodoroToggle.addEventListener('change', () => {
+      this.pomodoroFields.classList.toggle('hidden', !this.pomodoroToggle.checked);
+    });
 
     // Editor
     this.editor.addEventListener('input', () => this.handleEditorInput());
+    this.editor.addEventListener('paste', (e) => this.recordPastedText(e.clipboardData.getData('text/plain')));
+    this.editor.addEventListener('drop', (e) => this.recordPastedText(e.dataTransfer.getData('text/plain')));
     this.editor.addEventListener('keydown', (e) => this.handleEditorKeydown(e));
+    this.editor.addEventListener('scroll', () => {
+      this.editorHighlight.scrollTop = this.editor.scrollTop;
+    });
+    this.editor.addEventListener('beforeinput', (e) => this.guardForwardOnly(e));
+    ['keyup', 'click', 'select'].forEach(type => {
+      this.editor.addEventListener(type, () => this.handleCaretMove());
+    });
+    this.markdownToggleBtn.addEventListener('click', () => this.toggleMarkdown());
+    this.previewToggleBtn.addEventListener('click', () => this.togglePreview());
+    this.styleToggleBtn.addEventListener('click', () => this.toggleStyleFlags());
+
+    // Find and Replace
+    this.findInput.addEventListener('input', () => {
+      this.updateFindMatches();
+      this.revealMatch();
+    });
+    this.findInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      this.stepFind(e.shiftKey ? -1 : 1);
+    });
+    this.replaceInput.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      this.replaceMatch();
+    });
+    this.findCaseBtn.addEventListener('click', () => this.toggleFindOption('caseSensitive'));
+    this.findRegexBtn.addEventListener('click', () => this.toggleFindOption('regex'));
+    this.findPrevBtn.addEventListener('click', () => this.stepFind(-1));
+    this.findNextBtn.addEventListener('click', () => this.stepFind(1));
+    this.findCloseBtn.addEventListener('click', () => this.closeFind());
+    this.replaceBtn.addEventListener('click', () => this.replaceMatch());
+    this.replaceAllBtn.addEventListener('click', () => this.replaceAll());
 
     // Completion Actions (old screen - kept for backwards compat)
     this.saveExitBtn.addEventListener('click', () => this.saveAndExit());
@@ -141,7 +707,28 @@ class FocusWriterApp {
 
     // Emergency Exit
     this.cancelEmergency.addEventListener('click', () => this.hideEmergencyModal());
-    this.emergencyInput.addEventListener('input', () => this.checkEmergencyPhrase());
+    this.confirmEmergency.addEventListener('click', () => this.submitEmergencyExit());
+    this.emergencyInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && !e.shiftKey) {
+        e.preventDefault();
+        this.submitEmergencyExit();
+      }
+    });
+    // The phrase has to be typed out, not pasted
+    this.emergencyInput.addEventListener('paste', (e) => e.preventDefault());
+    this.emergencyInput.addEventListener('drop', (e) => e.preventDefault());
+
+    // Focus Aids
+    [this.focusTypewriter, this.focusForwardOnly, this.focusVanishing, this.focusDimming].forEach(control => {
+      control.addEventListener('change', () => this.saveFocusModes());
+    });
+
+    // Lockdown Policy
+    this.lockdownPolicyBtn.addEventListener('click', () => this.showLockdownPolicyModal());
+    this.policyPhrase.addEventListener('change', () => this.updatePolicyFields());
+    this.cancelLockdownPolicy.addEventListener('click', () => this.hideLockdownPolicyModal());
+    this.saveLockdownPolicyBtn.addEventListener('click', () => this.saveLockdownPolicy());
+    this.blocklistToggle.addEventListener('change', () => this.updatePolicyFields());
 
     // Global Keyboard Shortcuts
     document.addEventListener('keydown', (e) => this.handleGlobalKeydown(e));
@@ -155,200 +742,3369 @@ class FocusWriterApp {
       this.settings = { ...this.settings, ...result.settings };
       this.strictModeToggle.checked = this.settings.strictMode !== false;
     }
+    this.sectionMarkerInput.value = this.settings.sectionMarker || '***';
+    this.systemAppearance = await window.focusWriter.getSystemTheme();
+    await this.loadThemes();
+    this.applyTypography();
+    this.integrityToggle.checked = Boolean(this.settings.integrityMode);
+    this.applyMarkdownMode();
+    this.applyStyleFlags();
+    this.renderTemplateChips();
+
+    const pomodoro = this.settings.pomodoro || {};
+    this.pomodoroToggle.checked = Boolean(pomodoro.enabled);
+    this.pomodoroFields.classList.toggle('hidden', !pomodoro.enabled);
+    if (pomodoro.workMinutes) this.pomodoroWork.value = pomodoro.workMinutes;
+    if (pomodoro.breakMinutes) this.pomodoroBreak.value = pomodoro.breakMinutes;
+    if (pomodoro.longBreakMinutes) this.pomodoroLongBreak.value = pomodoro.longBreakMinutes;
+    if (pomodoro.cycles) this.pomodoroCycles.value = pomodoro.cycles;
   }
 
   async saveSettings() {
     this.settings.strictMode = this.strictModeToggle.checked;
+    this.settings.integrityMode = this.integrityToggle.checked;
+    this.settings.pomodoro = {
+      enabled: this.pomodoroToggle.checked,
+      workMinutes: parseInt(this.pomodoroWork.value) || 25,
+      breakMinutes: parseInt(this.pomodoroBreak.value) || 5,
+      longBreakMinutes: parseInt(this.pomodoroLongBreak.value) || 15,
+      cycles: parseInt(this.pomodoroCycles.value) || 4
+    };
     await window.focusWriter.saveSettings(this.settings);
   }
 
+  // Flips between the built-in themes; choosing by hand stops following the system
   toggleTheme() {
-    this.settings.theme = this.settings.theme === 'dark' ? 'light' : 'dark';
+    this.settings.theme = document.body.getAttribute('data-theme') === 'dark' ? 'light' : 'dark';
+    this.settings.followSystemTheme = false;
     this.applyTheme();
     this.saveSettings();
   }
 
+  activeThemeId() {
+    if (this.settings.followSystemTheme) {
+      return this.settings.systemThemes?.[this.systemAppearance] || this.systemAppearance;
+    }
+    return this.settings.theme || 'dark';
+  }
+
+  // A custom theme sets its base appearance, then overrides its colors inline
   applyTheme() {
-    document.body.setAttribute('data-theme', this.settings.theme);
+    const custom = this.themes.find(theme => theme.id === this.activeThemeId());
+    const base = custom ? custom.base : (this.activeThemeId() === 'light' ? 'light' : 'dark');
+    document.body.setAttribute('data-theme', base);
+
+    this.themeColorNames.forEach(name => document.body.style.removeProperty(`--${name}`));
+    if (custom) {
+      Object.entries(custom.colors).forEach(([name, value]) => {
+        document.body.style.setProperty(`--${name}`, value);
+      });
+    }
+  }
+
+  async loadThemes() {
+    const result = await window.focusWriter.listThemes();
+    if (result.success) {
+      this.themes = result.themes;
+      this.themeColorNames = result.colorNames;
+    }
+  }
+
+  applyTypography() {
+    const style = document.body.style;
+    style.setProperty('--editor-font', FONT_FAMILIES[this.settings.fontFamily] || FONT_FAMILIES.serif);
+    style.setProperty('--editor-font-size', `${FONT_SIZES[this.settings.fontSize] || FONT_SIZES.medium}px`);
+    style.setProperty('--editor-line-height', this.settings.lineHeight || 1.8);
+    style.setProperty('--column-width', `${this.settings.columnWidth || 720}px`);
+    style.setProperty('--preview-paragraph-spacing', `${this.settings.paragraphSpacing ?? 1}em`);
+  }
+
+  // ==================== SETTINGS ====================
+
+  async showSettings() {
+    this.fontFamilySelect.value = this.settings.fontFamily || 'serif';
+    this.fontSizeSelect.value = this.settings.fontSize || 'medium';
+    this.lineHeightRange.value = this.settings.lineHeight || 1.8;
+    this.columnWidthRange.value = this.settings.columnWidth || 720;
+    this.paragraphSpacingRange.value = this.settings.paragraphSpacing ?? 1;
+    this.renderTypographyValues();
+
+    const sound = this.soundSettings();
+    this.ambientSelect.value = sound.ambient;
+    this.ambientVolumeRange.value = sound.ambientVolume;
+    this.keySoundsToggle.checked = sound.keys;
+    this.keyVolumeRange.value = sound.keyVolume;
+    this.cueSoundsToggle.checked = sound.cues;
+    this.cueVolumeRange.value = sound.cueVolume;
+    this.renderSoundValues();
+
+    await this.renderSpellingSettings();
+    const style = this.styleSettings();
+    this.styleRepeatedToggle.checked = style.repeated;
+    this.stylePassiveToggle.checked = style.passive;
+    this.styleLongToggle.checked = style.longSentences;
+    this.styleDuringSessionToggle.checked = style.duringSession;
+    await this.renderApiSettings();
+    await this.renderAccountabilitySettings();
+
+    await this.loadThemes();
+    this.renderThemeSettings();
+    this.themesPath.textContent = `Themes are kept in ${await window.focusWriter.getDocumentsPath()}/themes`;
+    this.showScreen('settings');
+  }
+
+  renderTypographyValues() {
+    this.lineHeightValue.textContent = Number(this.lineHeightRange.value).toFixed(1);
+    this.columnWidthValue.textContent = `${this.columnWidthRange.value}px`;
+    this.paragraphSpacingValue.textContent = `${Number(this.paragraphSpacingRange.value).toFixed(1)}em`;
+  }
+
+  async updateTypography(save = true) {
+    this.settings.fontFamily = this.fontFamilySelect.value;
+    this.settings.fontSize = this.fontSizeSelect.value;
+    this.settings.lineHeight = Number(this.lineHeightRange.value);
+    this.settings.columnWidth = Number(this.columnWidthRange.value);
+    this.settings.paragraphSpacing = Number(this.paragraphSpacingRange.value);
+    this.renderTypographyValues();
+    this.applyTypography();
+    if (save) await this.saveSettings();
+  }
+
+  renderSoundValues() {
+    const percent = (range) => `${Math.round(range.value * 100)}%`;
+    this.ambientVolumeValue.textContent = percent(this.ambientVolumeRange);
+    this.keyVolumeValue.textContent = percent(this.keyVolumeRange);
+    this.cueVolumeValue.textContent = percent(this.cueVolumeRange);
+  }
+
+  // Changing ambience in settings previews it
+  async updateSoundSettings(save = true) {
+    const previous = this.soundSettings();
+    this.settings.sound = {
+      ambient: this.ambientSelect.value,
+      ambientVolume: Number(this.ambientVolumeRange.value),
+      keys: this.keySoundsToggle.checked,
+      keyVolume: Number(this.keyVolumeRange.value),
+      cues: this.cueSoundsToggle.checked,
+      cueVolume: Number(this.cueVolumeRange.value)
+    };
+    this.renderSoundValues();
+    this.applySoundVolumes();
+    if (previous.ambient !== this.settings.sound.ambient) this.startAmbient();
+    if (!save) return;
+
+    // Let go of a slider: play a sample at the new level
+    if (previous.keyVolume !== this.settings.sound.keyVolume) this.playKeySound({ key: 'a' });
+    if (previous.cueVolume !== this.settings.sound.cueVolume) this.playFocusCue(1);
+    await this.saveSettings();
+  }
+
+  // macOS spells in whatever languages the system is set to, so there is nothing to pick
+  async renderSpellingSettings() {
+    const spellcheck = { enabled: true, languages: ['en-US'], ...this.settings.spellcheck };
+    this.spellcheckToggle.checked = spellcheck.enabled;
+
+    const { languages, failed } = await window.focusWriter.getSpellcheckLanguages();
+    this.spellcheckLanguageField.classList.toggle('hidden', languages.length === 0);
+    this.spellcheckLanguageSelect.innerHTML = '';
+    const names = new Intl.DisplayNames([navigator.language], { type: 'language' });
+    languages.forEach(code => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.textContent = `${names.of(code) || code} (${code})`;
+      this.spellcheckLanguageSelect.appendChild(option);
+    });
+    this.spellcheckLanguageSelect.value = spellcheck.languages[0] || '';
+    this.spellcheckLanguageSelect.disabled = !spellcheck.enabled;
+
+    // A language with no dictionary isn't checked, rather than quietly swapped
+    const language = spellcheck.languages[0];
+    const name = language ? `${names.of(language) || language} (${language})` : '';
+    let note = '';
+    if (languages.length > 0 && language && !languages.includes(language)) {
+      note = `There is no ${name} dictionary, so spelling follows your system language. Pick another dictionary above.`;
+    } else if (failed.includes(language)) {
+      note = `The ${name} dictionary couldn't be downloaded, so spelling isn't checked. Dictionaries download the first time they are used; check your connection and restart Focus Writer Pro.`;
+    } else if (languages.length > 0) {
+      note = 'A dictionary downloads the first time its language is used, then works offline.';
+    }
+    this.spellcheckNote.textContent = note;
+    this.spellcheckNote.classList.toggle('hidden', !note);
+  }
+
+  // The main process applies spelling settings as they are saved
+  async updateSpellingSettings() {
+    const language = this.spellcheckLanguageSelect.value;
+    this.settings.spellcheck = {
+      enabled: this.spellcheckToggle.checked,
+      languages: language ? [language] : (this.settings.spellcheck?.languages || ['en-US'])
+    };
+    this.spellcheckLanguageSelect.disabled = !this.spellcheckToggle.checked;
+    await this.saveSettings();
+  }
+
+  async updateStyleSettings() {
+    this.settings.styleChecks = {
+      ...this.styleSettings(),
+      repeated: this.styleRepeatedToggle.checked,
+      passive: this.stylePassiveToggle.checked,
+      longSentences: this.styleLongToggle.checked,
+      duringSession: this.styleDuringSessionToggle.checked
+    };
+    await this.saveSettings();
+  }
+
+  async renderApiSettings() {
+    const api = { enabled: false, port: 47615, token: '', ...this.settings.api };
+    this.apiToggle.checked = api.enabled;
+    this.apiFields.classList.toggle('hidden', !api.enabled);
+    this.apiPortInput.value = api.port;
+    this.apiTokenInput.value = api.token;
+
+    const status = await window.focusWriter.getApiStatus();
+    if (status.error) {
+      this.apiStatus.textContent = `Not running: ${status.error}`;
+    } else {
+      this.apiStatus.textContent = status.running ? `Listening on http://127.0.0.1:${status.port}` : '';
+    }
+  }
+
+  // A token is made the first time the API is turned on, and on request
+  async updateApiSettings(newToken = false) {
+    const api = { port: 47615, token: '', ...this.settings.api };
+    const port = parseInt(this.apiPortInput.value);
+    if (isNaN(port) || port < 1024 || port > 65535) {
+      this.showValidationError('Port must be between 1024 and 65535');
+      this.apiPortInput.value = api.port;
+      return;
+    }
+
+    let token = api.token;
+    if (newToken || !token) {
+      const bytes = crypto.getRandomValues(new Uint8Array(24));
+      token = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+    this.settings.api = { enabled: this.apiToggle.checked, port, token };
+    await this.saveSettings();
+    await this.renderApiSettings();
+    if (newToken) this.showNotice('New token made; apps using the old one will need the new one');
+  }
+
+  async copyApiToken() {
+    await navigator.clipboard.writeText(this.apiTokenInput.value);
+    this.showNotice('Token copied');
+  }
+
+  renderThemeSettings() {
+    const options = [...BUILT_IN_THEMES, ...this.themes];
+    const fill = (select, value) => {
+      select.innerHTML = '';
+      options.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.name;
+        select.appendChild(option);
+      });
+      select.value = options.some(theme => theme.id === value) ? value : options[0].id;
+    };
+
+    const follow = Boolean(this.settings.followSystemTheme);
+    this.followSystemToggle.checked = follow;
+    this.manualThemeField.classList.toggle('hidden', follow);
+    this.systemThemeFields.classList.toggle('hidden', !follow);
+    fill(this.themeSelect, this.settings.theme || 'dark');
+    fill(this.lightThemeSelect, this.settings.systemThemes?.light || 'light');
+    fill(this.darkThemeSelect, this.settings.systemThemes?.dark || 'dark');
+
+    // Only the theme on screen can be edited, exported or deleted
+    const custom = this.themes.find(theme => theme.id === this.activeThemeId());
+    this.builtInThemeNote.classList.toggle('hidden', Boolean(custom));
+    this.exportThemeBtn.classList.toggle('hidden', !custom);
+    this.deleteThemeBtn.classList.toggle('hidden', !custom);
+    this.renderThemeColors(custom);
+  }
+
+  renderThemeColors(theme) {
+    this.themeColors.innerHTML = '';
+    this.themeColors.classList.toggle('hidden', !theme);
+    if (!theme) return;
+
+    const computed = getComputedStyle(document.body);
+    this.themeColorNames.forEach(name => {
+      const value = theme.colors[name] || computed.getPropertyValue(`--${name}`).trim();
+      const row = document.createElement('label');
+      row.className = 'theme-color';
+      const label = document.createElement('span');
+      label.textContent = name.replace(/-/g, ' ');
+
+      // The color picker only speaks #rrggbb; anything else is edited as text
+      const input = document.createElement('input');
+      if (/^#[0-9a-f]{6}$/i.test(value)) {
+        input.type = 'color';
+      } else {
+        input.type = 'text';
+        input.className = 'text-input';
+      }
+      input.value = value;
+      input.addEventListener('change', () => this.updateThemeColor(theme, name, input.value.trim()));
+
+      row.append(label, input);
+      this.themeColors.appendChild(row);
+    });
+  }
+
+  async updateThemeColor(theme, name, value) {
+    const result = await window.focusWriter.saveTheme(theme.id, {
+      ...theme,
+      colors: { ...theme.colors, [name]: value }
+    });
+    if (!result.success) {
+      this.showValidationError(result.error);
+      this.renderThemeColors(theme);
+      return;
+    }
+    this.themes = this.themes.map(t => (t.id === theme.id ? result.theme : t));
+    this.applyTheme();
+    this.renderThemeColors(result.theme);
+  }
+
+  async updateThemeChoice() {
+    this.settings.followSystemTheme = this.followSystemToggle.checked;
+    this.settings.theme = this.themeSelect.value;
+    this.settings.systemThemes = { light: this.lightThemeSelect.value, dark: this.darkThemeSelect.value };
+    this.applyTheme();
+    this.renderThemeSettings();
+    await this.saveSettings();
+  }
+
+  // Make whichever theme is showing the one in use
+  async useTheme(id) {
+    if (this.settings.followSystemTheme) {
+      this.settings.systemThemes = { ...this.settings.systemThemes, [this.systemAppearance]: id };
+    } else {
+      this.settings.theme = id;
+    }
+    this.applyTheme();
+    this.renderThemeSettings();
+    await this.saveSettings();
+  }
+
+  // Start a theme from the colors on screen right now
+  async createTheme() {
+    const name = this.newThemeName.value.trim();
+    if (!name) {
+      this.showValidationError('Give the new theme a name');
+      this.newThemeName.focus();
+      return;
+    }
+
+    const computed = getComputedStyle(document.body);
+    const colors = {};
+    this.themeColorNames.forEach(color => {
+      colors[color] = computed.getPropertyValue(`--${color}`).trim();
+    });
+    const result = await window.focusWriter.saveTheme(null, {
+      name,
+      base: document.body.getAttribute('data-theme'),
+      colors
+    });
+    if (!result.success) {
+      this.showValidationError(result.error);
+      return;
+    }
+
+    this.newThemeName.value = '';
+    await this.loadThemes();
+    await this.useTheme(result.theme.id);
+    this.showNotice(`Created theme "${result.theme.name}"`);
+  }
+
+  async importTheme() {
+    const result = await window.focusWriter.importTheme();
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(`Couldn't import theme: ${result.error}`);
+      return;
+    }
+    await this.loadThemes();
+    await this.useTheme(result.theme.id);
+    this.showNotice(`Imported theme "${result.theme.name}"`);
+  }
+
+  async exportTheme() {
+    const result = await window.focusWriter.exportTheme(this.activeThemeId());
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(`Couldn't export theme: ${result.error}`);
+      return;
+    }
+    this.showNotice(`Theme exported to ${result.path}`);
+  }
+
+  async deleteTheme() {
+    const theme = this.themes.find(t => t.id === this.activeThemeId());
+    if (!theme) return;
+    const result = await window.focusWriter.deleteTheme(theme.id);
+    if (!result.success) {
+      this.showValidationError(`Couldn't delete theme: ${result.error}`);
+      return;
+    }
+
+    // Anything that pointed at the deleted theme falls back to its base
+    if (this.settings.theme === theme.id) this.settings.theme = theme.base;
+    const systemThemes = { light: 'light', dark: 'dark', ...this.settings.systemThemes };
+    Object.keys(systemThemes).forEach(appearance => {
+      if (systemThemes[appearance] === theme.id) systemThemes[appearance] = appearance;
+    });
+    this.settings.systemThemes = systemThemes;
+
+    await this.loadThemes();
+    this.applyTheme();
+    this.renderThemeSettings();
+    await this.saveSettings();
+    this.showNotice(`Deleted theme "${theme.name}"`);
   }
 
-  // ==================== DRAFT MANAGEMENT ====================
+  // ==================== DOCUMENT LIBRARY ====================
 
   async loadDraft() {
     const result = await window.focusWriter.loadDraft();
-    if (result.success && result.content && result.content.trim()) {
-      this.showDraftSection(result.content, result.lastModified);
+    if (result.success) {
+      this.currentDocumentId = result.documentId;
+      this.currentDraft = result.content || '';
+    }
+    await this.loadDocuments();
+
+    if (result.success && result.recovered) {
+      this.showRecoveryModal(result.title, result.recovered);
+    }
+  }
+
+  async loadDocuments() {
+    const result = await window.focusWriter.listDocuments();
+    this.documents = result.success ? result.documents : [];
+
+    if (this.documents.length > 0) {
+      this.showDraftSection();
     } else {
       this.showNoDraftSection();
     }
+    this.renderFocusAids();
   }
 
-  showDraftSection(content, lastModified) {
+  showDraftSection() {
     this.draftSection.classList.remove('hidden');
     this.noDraftSection.classList.add('hidden');
+    this.renderDocumentList();
+  }
+
+  showNoDraftSection() {
+    this.draftSection.classList.add('hidden');
+    this.noDraftSection.classList.remove('hidden');
+    this.currentDocumentId = null;
+    this.currentDraft = '';
+  }
 
-    // Show preview (first 200 chars)
-    const preview = content.substring(0, 200).trim();
-    this.draftPreview.textContent = preview + (content.length > 200 ? '...' : '');
+  renderDocumentList() {
+    this.documentList.innerHTML = '';
+    this.documents.forEach(doc => {
+      this.documentList.appendChild(this.createDocumentCard(doc));
+    });
+  }
 
-    // Word count
-    const words = this.countWords(content);
-    this.draftWordCount.textContent = `${words.toLocaleString()} words`;
+  createDocumentCard(doc) {
+    const card = document.createElement('div');
+    card.className = 'draft-card document-card';
+    card.classList.toggle('selected', doc.id === this.currentDocumentId);
+    card.dataset.id = doc.id;
+    card.innerHTML = `
+      <div class="document-card-header">
+        <h3 class="document-title"></h3>
+        <div class="document-actions">
+          <button class="doc-action-btn" data-action="history" title="Version history">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="1 4 1 10 7 10"></polyline>
+              <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+            </svg>
+          </button>
+          <button class="doc-action-btn" data-action="export" title="Export">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+              <polyline points="7 10 12 15 17 10"></polyline>
+              <line x1="12" y1="15" x2="12" y2="3"></line>
+            </svg>
+          </button>
+          <button class="doc-action-btn" data-action="rename" title="Rename">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <path d="M12 20h9"></path>
+              <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+            </svg>
+          </button>
+          <button class="doc-action-btn" data-action="duplicate" title="Duplicate">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+              <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+            </svg>
+          </button>
+          <button class="doc-action-btn danger" data-action="delete" title="Delete">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3 6 5 6 21 6"></polyline>
+              <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+            </svg>
+          </button>
+        </div>
+      </div>
+      <div class="draft-preview"></div>
+      <div class="draft-meta">
+        <span class="document-words"></span>
+        <span class="meta-separator">•</span>
+        <span class="document-edited"></span>
+      </div>
+    `;
 
-    // Last edited
-    if (lastModified) {
-      this.draftLastEdited.textContent = `Last edited ${this.formatRelativeTime(new Date(lastModified))}`;
+    // User-provided text goes in via textContent
+    card.querySelector('.document-title').textContent = doc.title;
+    const preview = card.querySelector('.draft-preview');
+    if (doc.preview) {
+      preview.textContent = doc.preview + (doc.truncated ? '...' : '');
+    } else {
+      preview.textContent = 'Empty document';
+      preview.classList.add('empty');
     }
+    card.querySelector('.document-words').textContent = `${doc.words.toLocaleString()} words`;
+    card.querySelector('.document-edited').textContent = doc.lastModified
+      ? `Last edited ${this.formatRelativeTime(new Date(doc.lastModified))}`
+      : 'Never edited';
 
-    // Store for later
-    this.currentDraft = content;
+    return card;
   }
 
-  showNoDraftSection() {
-    this.draftSection.classList.add('hidden');
-    this.noDraftSection.classList.remove('hidden');
-    this.currentDraft = '';
+  handleDocumentListClick(e) {
+    const card = e.target.closest('.document-card');
+    if (!card) return;
+
+    const doc = this.documents.find(d => d.id === card.dataset.id);
+    if (!doc) return;
+
+    const actionBtn = e.target.closest('[data-action]');
+    switch (actionBtn ? actionBtn.dataset.action : 'open') {
+      case 'history':
+        this.showHistoryModal(doc);
+        break;
+      case 'export':
+        this.showExportModal(doc);
+        break;
+      case 'rename':
+        this.showDocumentNameModal(doc);
+        break;
+      case 'duplicate':
+        this.duplicateDocument(doc);
+        break;
+      case 'delete':
+        this.showConfirmDeleteModal(doc);
+        break;
+      default:
+        this.selectDocument(doc.id);
+    }
   }
 
-  showConfirmFreshModal() {
-    this.confirmFreshModal.classList.remove('hidden');
+  async selectDocument(id) {
+    if (id !== this.currentDocumentId) {
+      const result = await window.focusWriter.openDocument(id);
+      if (!result.success) {
+        this.showValidationError(result.error || 'Could not open document');
+        return;
+      }
+      this.currentDocumentId = result.document.id;
+      this.currentDraft = result.content;
+      this.renderDocumentList();
+      this.renderFocusAids();
+
+      if (result.recovered) {
+        this.showRecoveryModal(result.document.title, result.recovered);
+        return;
+      }
+    }
+    this.startSessionBtn.focus();
   }
 
-  hideConfirmFreshModal() {
-    this.confirmFreshModal.classList.add('hidden');
+  showDocumentNameModal(doc = null) {
+    this.documentNameTarget = doc;
+    this.documentNameTitle.textContent = doc ? 'Rename Document' : 'New Document';
+    this.confirmDocumentName.textContent = doc ? 'Rename' : 'Create';
+    this.documentNameInput.value = doc ? doc.title : '';
+    this.documentNameModal.classList.remove('hidden');
+    this.documentNameInput.focus();
+    this.documentNameInput.select();
+  }
+
+  hideDocumentNameModal() {
+    this.documentNameModal.classList.add('hidden');
+    this.documentNameTarget = null;
+  }
+
+  async submitDocumentName() {
+    const title = this.documentNameInput.value.trim();
+    if (!title) {
+      this.showValidationError('Please give the document a title');
+      return;
+    }
+
+    const doc = this.documentNameTarget;
+    const result = doc
+      ? await window.focusWriter.renameDocument(doc.id, title)
+      : await window.focusWriter.createDocument(title);
+
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not save document');
+      return;
+    }
+
+    this.hideDocumentNameModal();
+    // A new document becomes the open one; a rename only changes the list
+    if (doc) {
+      await this.loadDocuments();
+    } else {
+      await this.loadDraft();
+    }
+  }
+
+  async duplicateDocument(doc) {
+    const result = await window.focusWriter.duplicateDocument(doc.id);
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not duplicate document');
+      return;
+    }
+    await this.loadDocuments();
+  }
+
+  showConfirmDeleteModal(doc) {
+    this.pendingDeleteDocument = doc;
+    this.deleteDocumentName.textContent = doc.title;
+    this.confirmDeleteModal.classList.remove('hidden');
+  }
+
+  hideConfirmDeleteModal() {
+    this.confirmDeleteModal.classList.add('hidden');
+    this.pendingDeleteDocument = null;
+  }
+
+  async confirmDeleteDocument() {
+    const doc = this.pendingDeleteDocument;
+    if (!doc) return;
+
+    const result = await window.focusWriter.deleteDocument(doc.id);
+    this.hideConfirmDeleteModal();
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not delete document');
+      return;
+    }
+    await this.loadDraft();
+  }
+
+  // ==================== VERSION HISTORY ====================
+
+  async showHistoryModal(doc) {
+    const result = await window.focusWriter.listVersions(doc.id);
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not load version history');
+      return;
+    }
+
+    this.history.documentId = doc.id;
+    this.history.versions = result.versions;
+    // Default to comparing the newest snapshot with the text as it is now
+    this.history.fromId = result.versions.length > 0 ? result.versions[0].id : 'current';
+    this.history.toId = 'current';
+
+    this.historyDocumentName.textContent = doc.title;
+    this.renderVersionList();
+    this.historyModal.classList.remove('hidden');
+    await this.refreshDiff();
+  }
+
+  hideHistoryModal() {
+    this.historyModal.classList.add('hidden');
+    this.history.documentId = null;
+  }
+
+  renderVersionList() {
+    const reasons = {
+      interval: 'Autosnapshot',
+      goal: 'Goal reached',
+      'start-fresh': 'Before start fresh',
+      'before-restore': 'Before restore'
+    };
+    const rows = [
+      { id: 'current', title: 'Current text', detail: 'As saved now' },
+      ...this.history.versions.map(v => ({
+        id: v.id,
+        title: new Date(v.createdAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }),
+        detail: `${reasons[v.reason] || v.reason} • ${v.words.toLocaleString()} words`
+      }))
+    ];
+
+    this.versionList.innerHTML = '';
+    rows.forEach(row => {
+      const el = document.createElement('label');
+      el.className = 'version-row';
+      el.innerHTML = `
+        <input type="radio" name="versionFrom" value="${row.id}" title="Compare from">
+        <input type="radio" name="versionTo" value="${row.id}" title="Compare to">
+        <span class="version-label"><strong></strong><small></small></span>
+      `;
+      el.querySelector('strong').textContent = row.title;
+      el.querySelector('small').textContent = row.detail;
+      el.querySelector('[name="versionFrom"]').checked = row.id === this.history.fromId;
+      el.querySelector('[name="versionTo"]').checked = row.id === this.history.toId;
+      this.versionList.appendChild(el);
+    });
+
+    this.restoreVersionBtn.disabled = this.history.fromId === 'current';
+  }
+
+  handleVersionSelect(e) {
+    if (e.target.name === 'versionFrom') this.history.fromId = e.target.value;
+    if (e.target.name === 'versionTo') this.history.toId = e.target.value;
+    this.restoreVersionBtn.disabled = this.history.fromId === 'current';
+    this.refreshDiff();
+  }
+
+  setDiffMode(mode) {
+    this.history.mode = mode;
+    this.diffModeBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    this.refreshDiff();
+  }
+
+  async refreshDiff() {
+    const { documentId, fromId, toId, mode } = this.history;
+    if (!documentId) return;
+
+    if (this.history.versions.length === 0) {
+      this.diffSummary.textContent = 'No earlier versions yet. Snapshots are taken while you write, when you reach a goal and before starting fresh.';
+      this.diffView.innerHTML = '';
+      return;
+    }
+
+    const result = await window.focusWriter.diffVersions(documentId, fromId, toId, mode);
+    if (!result.success) {
+      this.diffSummary.textContent = result.error || 'Could not compare versions';
+      this.diffView.innerHTML = '';
+      return;
+    }
+
+    const { wordsAdded, wordsRemoved } = result.stats;
+    this.diffSummary.textContent = wordsAdded === 0 && wordsRemoved === 0
+      ? 'These versions are identical.'
+      : `A → B: +${wordsAdded.toLocaleString()} words, −${wordsRemoved.toLocaleString()} words`;
+    this.renderDiff(result.runs);
+  }
+
+  renderDiff(runs) {
+    const CONTEXT = 160;
+    this.diffView.innerHTML = '';
+
+    runs.forEach((run, i) => {
+      if (run.type === 'equal') {
+        // Collapse long unchanged stretches down to a little context either side
+        const keepStart = i > 0 ? CONTEXT : 0;
+        const keepEnd = i < runs.length - 1 ? CONTEXT : 0;
+        if (run.value.length > keepStart + keepEnd + 80) {
+          const hidden = run.value.slice(keepStart, run.value.length - keepEnd);
+          const gap = document.createElement('span');
+          gap.className = 'diff-collapsed';
+          gap.textContent = `\n[ … ${this.countWords(hidden).toLocaleString()} unchanged words … ]\n`;
+          this.diffView.append(run.value.slice(0, keepStart), gap, run.value.slice(run.value.length - keepEnd));
+        } else {
+          this.diffView.append(run.value);
+        }
+        return;
+      }
+
+      const span = document.createElement(run.type === 'insert' ? 'ins' : 'del');
+      span.className = run.type === 'insert' ? 'diff-insert' : 'diff-delete';
+      span.textContent = run.value;
+      this.diffView.appendChild(span);
+    });
+  }
+
+  async restoreSelectedVersion() {
+    const { documentId, fromId } = this.history;
+    if (!documentId || fromId === 'current') return;
+
+    const result = await window.focusWriter.restoreVersion(documentId, fromId);
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not restore version');
+      return;
+    }
+
+    this.hideHistoryModal();
+    await this.loadDraft();
+  }
+
+  // ==================== EXPORT ====================
+
+  async showExportModal(doc) {
+    const result = await window.focusWriter.listArchives();
+    const archives = result.success ? result.archives : [];
+
+    this.exportSource.innerHTML = '';
+    const addGroup = (label, options) => {
+      if (options.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      options.forEach(({ value, text }) => group.appendChild(new Option(text, value)));
+      this.exportSource.appendChild(group);
+    };
+
+    addGroup('Documents', this.documents.map(d => ({
+      value: `document:${d.id}`,
+      text: `${d.title} (${d.words.toLocaleString()} words)`
+    })));
+    addGroup('Session archives', archives.map(a => ({
+      value: `archive:${a.name}`,
+      text: `${a.documentTitle} — ${new Date(a.date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })} (${a.words.toLocaleString()} words)`
+    })));
+
+    this.exportSource.value = `document:${doc.id}`;
+    this.exportModal.classList.remove('hidden');
+  }
+
+  hideExportModal() {
+    this.exportModal.classList.add('hidden');
+  }
+
+  setExportFormat(format) {
+    this.exportFormat = format;
+    this.exportFormatBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.format === format);
+    });
+  }
+
+  async exportSelectedDraft() {
+    const [type, ...rest] = this.exportSource.value.split(':');
+    const source = { type, id: rest.join(':') };
+
+    this.confirmExport.disabled = true;
+    const result = await window.focusWriter.exportDraft(source, this.exportFormat);
+    this.confirmExport.disabled = false;
+
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(result.error || 'Export failed');
+      return;
+    }
+
+    this.hideExportModal();
+    this.showNotice(`Exported to ${result.path}`);
+  }
+
+  // ==================== CRASH RECOVERY ====================
+
+  showRecoveryModal(title, recovered) {
+    this.pendingRecovery = { documentId: this.currentDocumentId, ...recovered };
+    this.recoveryDocumentName.textContent = title || 'Untitled';
+
+    const words = this.countWords(recovered.content) - this.countWords(this.currentDraft);
+    const change = words >= 0 ? `${words.toLocaleString()} more words` : `${Math.abs(words).toLocaleString()} fewer words`;
+    this.recoveryDetails.textContent = `${recovered.edits} unsaved edit${recovered.edits === 1 ? '' : 's'} ` +
+      `(${change}), last one ${this.formatRelativeTime(new Date(recovered.lastEditAt))}.`;
+
+    // Show the end of the recovered text, where the unsaved edits most likely are
+    const tail = recovered.content.slice(-400);
+    this.recoveryPreview.textContent = (recovered.content.length > 400 ? '...' : '') + tail;
+
+    this.recoveryModal.classList.remove('hidden');
+  }
+
+  hideRecoveryModal() {
+    this.recoveryModal.classList.add('hidden');
+    this.pendingRecovery = null;
+  }
+
+  async restoreRecoveredText() {
+    const recovery = this.pendingRecovery;
+    if (!recovery) return;
+
+    const result = await window.focusWriter.saveContent(recovery.content, recovery.documentId);
+    this.hideRecoveryModal();
+    if (!result.success) {
+      this.showSaveError(result.error || 'Could not restore recovered text');
+      return;
+    }
+    await this.loadDraft();
+  }
+
+  async discardRecoveredText() {
+    const recovery = this.pendingRecovery;
+    if (!recovery) return;
+
+    await window.focusWriter.discardRecovery(recovery.documentId);
+    this.hideRecoveryModal();
+  }
+
+  // Journal each edit so text typed between auto-saves survives a crash
+  resetJournal() {
+    clearTimeout(this.journal.flushTimeout);
+    this.journal = {
+      lastValue: this.editor.value,
+      queue: [],
+      flushTimeout: null
+    };
+  }
+
+  recordJournalEdit() {
+    const value = this.editor.value;
+    const delta = this.computeDelta(this.journal.lastValue, value);
+    this.journal.lastValue = value;
+    if (delta.d === 0 && delta.i === '') return;
+
+    this.journal.queue.push({ t: Date.now(), ...delta });
+    if (!this.journal.flushTimeout) {
+      this.journal.flushTimeout = setTimeout(() => this.flushJournal(), 500);
+    }
+  }
+
+  flushJournal() {
+    clearTimeout(this.journal.flushTimeout);
+    this.journal.flushTimeout = null;
+    if (this.journal.queue.length === 0) return;
+
+    const entries = this.journal.queue;
+    this.journal.queue = [];
+    window.focusWriter.appendJournal(this.currentDocumentId, entries);
+  }
+
+  // Describe the change between two versions of the text as a single splice
+  computeDelta(before, after) {
+    let start = 0;
+    const minLength = Math.min(before.length, after.length);
+    while (start < minLength && before[start] === after[start]) start++;
+
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    return { p: start, d: endBefore - start, i: after.slice(start, endAfter) };
+  }
+
+  showConfirmFreshModal() {
+    this.confirmFreshModal.classList.remove('hidden');
+  }
+
+  hideConfirmFreshModal() {
+    this.confirmFreshModal.classList.add('hidden');
+  }
+
+  async confirmStartFresh() {
+    // Archive current draft first
+    if (this.currentDraft) {
+      await window.focusWriter.saveContent(this.currentDraft, this.currentDocumentId);
+    }
+    await window.focusWriter.clearDraft(this.currentDocumentId);
+    this.hideConfirmFreshModal();
+    await this.loadDraft();
+  }
+
+  // ==================== SESSION HISTORY ====================
+
+  async loadSessionHistory() {
+    const result = await window.focusWriter.loadSessions();
+    if (result.success && result.sessions && result.sessions.length > 0) {
+      this.displaySessionStats(result.sessions);
+    }
+  }
+
+  displaySessionStats(log) {
+    // Scheduled sessions that were skipped are logged, but weren't written
+    const sessions = log.filter(s => !s.skipped);
+    const totalWords = sessions.reduce((sum, s) => sum + (s.words || 0), 0);
+    const totalSessions = sessions.length;
+    const completedSessions = sessions.filter(s => s.completed).length;
+
+    this.sessionStats.innerHTML = `
+      <span>${totalWords.toLocaleString()} total words</span>
+      <span>${completedSessions}/${totalSessions} sessions completed</span>
+    `;
+  }
+
+  // ==================== ANALYTICS ====================
+
+  async showAnalytics() {
+    const result = await window.focusWriter.getAnalytics();
+    if (!result.success) {
+      this.showValidationError(`Couldn't load analytics: ${result.error}`);
+      return;
+    }
+
+    const analytics = result.analytics;
+    const empty = analytics.totals.sessions === 0 && analytics.schedule.scheduled === 0;
+    this.analyticsEmpty.classList.toggle('hidden', !empty);
+    this.analyticsContent.classList.toggle('hidden', empty);
+    if (!empty) {
+      this.renderAnalyticsTotals(analytics);
+      this.renderHeatmap(analytics.heatmap);
+      this.renderSpeedChart(analytics.speed);
+      this.renderGoalCompletion(analytics.completion);
+      this.renderTimeOfDay(analytics.timeOfDay);
+    }
+    this.showScreen('analytics');
+  }
+
+  renderAnalyticsTotals({ totals, streaks, schedule }) {
+    const cards = [
+      [streaks.current, 'day streak'],
+      [streaks.longest, 'longest streak'],
+      [totals.words.toLocaleString(), 'words written'],
+      [`${totals.completed}/${totals.sessions}`, 'goals completed'],
+      [this.formatMinutes(totals.minutes), 'time writing']
+    ];
+    if (schedule.scheduled > 0) {
+      cards.push([`${schedule.kept}/${schedule.scheduled}`, `scheduled sessions kept (${schedule.skipped} skipped)`]);
+    }
+
+    this.analyticsTotals.innerHTML = '';
+    cards.forEach(([value, label]) => {
+      const card = document.createElement('div');
+      card.className = 'analytics-stat';
+      const valueEl = document.createElement('span');
+      valueEl.className = 'analytics-stat-value';
+      valueEl.textContent = value;
+      const labelEl = document.createElement('span');
+      labelEl.className = 'analytics-stat-label';
+      labelEl.textContent = label;
+      card.append(valueEl, labelEl);
+      this.analyticsTotals.appendChild(card);
+    });
+
+    if (streaks.current > 0 && !streaks.writtenToday) {
+      const hint = document.createElement('p');
+      hint.className = 'analytics-note';
+      hint.textContent = 'Write today to keep your streak going.';
+      this.analyticsTotals.appendChild(hint);
+    }
+  }
+
+  renderHeatmap({ cells, max }) {
+    this.analyticsHeatmap.innerHTML = '';
+    cells.forEach(cell => {
+      const el = document.createElement('span');
+      const level = cell.words > 0 && max > 0 ? Math.max(1, Math.ceil((cell.words / max) * 4)) : 0;
+      el.className = `heatmap-cell level-${level}`;
+      const date = new Date(`${cell.date}T00:00:00`).toLocaleDateString(undefined, {
+        weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+      });
+      el.title = `${cell.words.toLocaleString()} words on ${date}`;
+      this.analyticsHeatmap.appendChild(el);
+    });
+  }
+
+  renderSpeedChart({ points, average }) {
+    this.analyticsSpeed.innerHTML = '';
+    if (points.length === 0) {
+      this.analyticsSpeedNote.textContent = 'Sessions of a minute or longer show up here.';
+      return;
+    }
+    this.analyticsSpeedNote.textContent = `Averaging ${average} words per minute across ${points.length} sessions.`;
+
+    // Most recent sessions only, oldest on the left
+    const recent = points.slice(-60);
+    const width = 600;
+    const height = 140;
+    const pad = 8;
+    const maxWpm = Math.max(...recent.map(p => p.wpm), average, 1);
+    const x = (i) => recent.length === 1 ? width / 2 : pad + (i / (recent.length - 1)) * (width - pad * 2);
+    const y = (wpm) => height - pad - (wpm / maxWpm) * (height - pad * 2);
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(svgNS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'none');
+
+    const averageLine = document.createElementNS(svgNS, 'line');
+    averageLine.setAttribute('class', 'speed-average');
+    averageLine.setAttribute('x1', 0);
+    averageLine.setAttribute('x2', width);
+    averageLine.setAttribute('y1', y(average));
+    averageLine.setAttribute('y2', y(average));
+    svg.appendChild(averageLine);
+
+    const line = document.createElementNS(svgNS, 'polyline');
+    line.setAttribute('class', 'speed-line');
+    line.setAttribute('points', recent.map((p, i) => `${x(i)},${y(p.wpm)}`).join(' '));
+    svg.appendChild(line);
+
+    recent.forEach((p, i) => {
+      const dot = document.createElementNS(svgNS, 'circle');
+      dot.setAttribute('class', 'speed-dot');
+      dot.setAttribute('cx', x(i));
+      dot.setAttribute('cy', y(p.wpm));
+      dot.setAttribute('r', 3);
+      const title = document.createElementNS(svgNS, 'title');
+      title.textContent = `${p.wpm} wpm · ${new Date(p.date).toLocaleDateString()}`;
+      dot.appendChild(title);
+      svg.appendChild(dot);
+    });
+
+    this.analyticsSpeed.appendChild(svg);
+  }
+
+  renderGoalCompletion(completion) {
+    const labels = {
+      words: 'Word count goals',
+      time: 'Time goals',
+      characters: 'Character goals',
+      paragraphs: 'Paragraph goals',
+      sections: 'Section goals',
+      length: 'Document length goals',
+      compound: 'Combined goals'
+    };
+    this.analyticsCompletion.innerHTML = '';
+
+    Object.entries(completion).forEach(([type, entry]) => {
+      const row = document.createElement('div');
+      row.className = 'goal-rate-row';
+
+      const label = document.createElement('div');
+      label.className = 'goal-rate-label';
+      const name = document.createElement('span');
+      name.textContent = labels[type] || 'Other sessions';
+      const count = document.createElement('span');
+      count.textContent = `${entry.completed}/${entry.total} · ${Math.round(entry.rate * 100)}%`;
+      label.append(name, count);
+
+      const bar = document.createElement('div');
+      bar.className = 'goal-rate-bar';
+      const fill = document.createElement('div');
+      fill.className = 'goal-rate-fill';
+      fill.style.width = `${Math.round(entry.rate * 100)}%`;
+      bar.appendChild(fill);
+
+      row.append(label, bar);
+      this.analyticsCompletion.appendChild(row);
+    });
+  }
+
+  renderTimeOfDay({ hours, bestHour }) {
+    this.analyticsHourNote.textContent = bestHour === null
+      ? ''
+      : `You write the most in sessions starting around ${this.formatHour(bestHour)}.`;
+
+    const max = Math.max(...hours.map(h => h.words), 1);
+    this.analyticsHours.innerHTML = '';
+    hours.forEach(h => {
+      const bar = document.createElement('div');
+      bar.className = 'hour-bar';
+      if (h.hour === bestHour) bar.classList.add('best');
+      bar.style.height = `${Math.max(2, (h.words / max) * 100)}%`;
+      bar.title = `${this.formatHour(h.hour)}: ${h.words.toLocaleString()} words in ${h.sessions} sessions`;
+      this.analyticsHours.appendChild(bar);
+    });
+  }
+
+  formatHour(hour) {
+    return `${hour % 12 || 12} ${hour < 12 ? 'AM' : 'PM'}`;
+  }
+
+  formatMinutes(minutes) {
+    if (minutes < 60) return `${minutes}m`;
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+  }
+
+  // ==================== RECURRING TARGETS ====================
+
+  async loadTargets({ suggest = false } = {}) {
+    const result = await window.focusWriter.getTargets();
+    if (!result.success) {
+      console.error('Failed to load targets:', result.error);
+      return;
+    }
+
+    this.targetStatus = result;
+    // Freezes may have just been spent; keep our copy of settings in step
+    this.settings.streakFreeze = result.streakFreeze;
+
+    this.renderTargets();
+    this.renderStreakWarning();
+    if (suggest) this.applySuggestedGoal();
+  }
+
+  renderTargets() {
+    const { targets } = this.targetStatus;
+    const units = { words: 'words', minutes: 'min' };
+    const periods = { day: 'today', week: 'this week' };
+
+    this.targetList.innerHTML = '';
+    this.targetsEmpty.classList.toggle('hidden', targets.length > 0);
+
+    targets.forEach(target => {
+      const item = document.createElement('div');
+      item.className = 'target-item';
+      if (target.remaining === 0) item.classList.add('met');
+
+      const label = document.createElement('div');
+      label.className = 'target-label';
+      const name = document.createElement('span');
+      name.textContent = `${target.value.toLocaleString()} ${units[target.kind]} ${target.period === 'day' ? 'a day' : 'a week'}`;
+      const progress = document.createElement('span');
+      progress.textContent = target.remaining === 0
+        ? `Done ${periods[target.period]}`
+        : `${target.done.toLocaleString()} ${periods[target.period]} · ${target.remaining.toLocaleString()} to go`;
+      label.append(name, progress);
+
+      const bar = document.createElement('div');
+      bar.className = 'target-bar';
+      const fill = document.createElement('div');
+      fill.className = 'target-bar-fill';
+      fill.style.width = `${target.percent}%`;
+      bar.appendChild(fill);
+
+      item.append(label, bar);
+      this.targetList.appendChild(item);
+    });
+  }
+
+  renderStreakWarning() {
+    const { streak } = this.targetStatus;
+    if (!streak.atRisk) {
+      this.streakWarning.classList.add('hidden');
+      return;
+    }
+
+    const hours = streak.hoursLeft < 1 ? 'less than an hour' : `${streak.hoursLeft} hour${streak.hoursLeft === 1 ? '' : 's'}`;
+    const freezes = streak.freezesLeft > 0
+      ? ` A streak freeze will cover today if you miss it (${streak.freezesLeft} left this month).`
+      : '';
+    this.streakWarning.textContent = `Your ${streak.current}-day streak ends in ${hours} unless you write today.${freezes}`;
+    this.streakWarning.classList.remove('hidden');
+
+    // One system notification per day, in the evening, when no freeze can save it
+    const today = new Date().toDateString();
+    if (streak.freezesLeft === 0 && new Date().getHours() >= 20 && this.streakNotifiedOn !== today) {
+      this.streakNotifiedOn = today;
+      new Notification('Focus Writer Pro', {
+        body: `Your ${streak.current}-day writing streak ends at midnight.`
+      });
+    }
+  }
+
+  // Carry what's left of a target into the next session's goal
+  applySuggestedGoal() {
+    const suggestion = this.targetStatus?.suggestion;
+    if (!suggestion) {
+      this.goalSuggestion.classList.add('hidden');
+      return;
+    }
+
+    this.setGoalType(suggestion.goalType);
+    const input = suggestion.goalType === 'words' ? this.wordGoal : this.timeGoal;
+    input.value = Math.max(parseInt(input.min), Math.min(parseInt(input.max), suggestion.goalValue));
+    this.updatePresetSelection();
+
+    const target = this.targetStatus.targets.find(t => t.id === suggestion.targetId);
+    const unit = suggestion.goalType === 'words' ? 'words' : 'minutes';
+    this.goalSuggestion.textContent = target.period === 'day'
+      ? `Suggested: the ${suggestion.goalValue.toLocaleString()} ${unit} left on today's target`
+      : `Suggested: today's share of the ${target.remaining.toLocaleString()} ${unit} left this week`;
+    this.goalSuggestion.classList.remove('hidden');
+  }
+
+  showTargetsModal() {
+    this.targetRows.innerHTML = '';
+    (this.settings.targets || []).forEach(target => this.addTargetRow(target));
+    if (this.targetRows.children.length === 0) this.addTargetRow();
+
+    const freeze = this.settings.streakFreeze || {};
+    this.streakFreezeToggle.checked = Boolean(freeze.enabled);
+    this.freezeAllowance.value = freeze.perMonth || 2;
+    this.freezeAllowance.disabled = !freeze.enabled;
+    this.targetsModal.classList.remove('hidden');
+  }
+
+  hideTargetsModal() {
+    this.targetsModal.classList.add('hidden');
+  }
+
+  addTargetRow(target = { kind: 'words', period: 'day', value: 500 }) {
+    const row = document.createElement('div');
+    row.className = 'target-row';
+    if (target.id) row.dataset.id = target.id;
+
+    const value = document.createElement('input');
+    value.type = 'number';
+    value.className = 'text-input target-value';
+    value.min = '1';
+    value.value = target.value;
+
+    const kind = this.createSelect('target-kind', [['words', 'words'], ['minutes', 'minutes']], target.kind);
+    const per = document.createElement('span');
+    per.textContent = 'per';
+    const period = this.createSelect('target-period', [['day', 'day'], ['week', 'week']], target.period);
+
+    const remove = document.createElement('button');
+    remove.className = 'text-btn remove-target-btn';
+    remove.textContent = 'Remove';
+
+    row.append(value, kind, per, period, remove);
+    this.targetRows.appendChild(row);
+  }
+
+  createSelect(className, options, selected) {
+    const select = document.createElement('select');
+    select.className = `select-input ${className}`;
+    options.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      option.selected = value === selected;
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  async saveTargets() {
+    const rows = [...this.targetRows.querySelectorAll('.target-row')];
+    const targets = [];
+    for (const row of rows) {
+      const value = parseInt(row.querySelector('.target-value').value);
+      if (isNaN(value) || value < 1) {
+        this.showValidationError('Targets need a value of at least 1');
+        return;
+      }
+      const kind = row.querySelector('.target-kind').value;
+      const period = row.querySelector('.target-period').value;
+      targets.push({ id: row.dataset.id || `${kind}-${period}-${Date.now()}-${targets.length}`, kind, period, value });
+    }
+
+    const perMonth = parseInt(this.freezeAllowance.value);
+    if (this.streakFreezeToggle.checked && (isNaN(perMonth) || perMonth < 1 || perMonth > 31)) {
+      this.showValidationError('Streak freezes must be between 1 and 31 per month');
+      return;
+    }
+
+    const result = await window.focusWriter.saveTargets(targets, {
+      enabled: this.streakFreezeToggle.checked,
+      perMonth: isNaN(perMonth) ? 0 : perMonth
+    });
+    if (!result.success) {
+      this.showValidationError(`Couldn't save targets: ${result.error}`);
+      return;
+    }
+
+    this.settings.targets = result.settings.targets;
+    this.settings.streakFreeze = result.settings.streakFreeze;
+    this.hideTargetsModal();
+    await this.loadTargets({ suggest: true });
+  }
+
+  // ==================== SESSION TEMPLATES ====================
+
+  activeTemplate() {
+    return (this.settings.templates || []).find(t => t.id === this.activeTemplateId) || null;
+  }
+
+  renderTemplateChips() {
+    const templates = this.settings.templates || [];
+    this.templateChips.innerHTML = '';
+    this.templateChips.classList.toggle('hidden', templates.length === 0);
+
+    templates.forEach(template => {
+      const chip = document.createElement('button');
+      chip.className = 'template-chip';
+      chip.classList.toggle('active', template.id === this.activeTemplateId);
+      chip.dataset.id = template.id;
+      chip.textContent = template.name;
+      chip.title = this.describeTemplate(template);
+      this.templateChips.appendChild(chip);
+    });
+  }
+
+  // "750 words, strict · typewriter · Rain"
+  describeTemplate(template) {
+    const details = [this.describeGoal(template.goal, template.strictMode)];
+    if (template.integrityMode) details.push('integrity');
+    const modes = template.focusModes;
+    if (modes?.typewriter) details.push('typewriter');
+    if (modes?.forwardOnly) details.push('forward only');
+    if (modes?.vanishing) details.push('vanishing text');
+    if (modes && modes.focus !== 'off') details.push(`${modes.focus} focus`);
+    if (template.pomodoro) {
+      details.push(`${template.pomodoro.workMinutes}/${template.pomodoro.breakMinutes} min intervals`);
+    }
+    if (template.ambient === 'off') details.push('no sound');
+    else if (template.ambient) details.push(this.ambientSelect.querySelector(`option[value="${template.ambient}"]`).textContent);
+    return details.join(' · ');
+  }
+
+  // Fill in the setup screen; the session starts when the writer says so.
+  // The choices stick as the last-used ones, as if they'd been made by hand
+  async applyTemplate(id) {
+    const template = (this.settings.templates || []).find(t => t.id === id);
+    if (!template) return;
+
+    this.fillGoalSetup(template.goal);
+    this.strictModeToggle.checked = template.strictMode;
+    this.integrityToggle.checked = template.integrityMode;
+    this.pomodoroToggle.checked = Boolean(template.pomodoro);
+    this.pomodoroFields.classList.toggle('hidden', !template.pomodoro);
+    if (template.pomodoro) {
+      this.pomodoroWork.value = template.pomodoro.workMinutes;
+      this.pomodoroBreak.value = template.pomodoro.breakMinutes;
+      this.pomodoroLongBreak.value = template.pomodoro.longBreakMinutes;
+      this.pomodoroCycles.value = template.pomodoro.cycles;
+    }
+    this.activeTemplateId = template.id;
+    this.renderTemplateChips();
+
+    if (template.focusModes) {
+      this.focusTypewriter.checked = template.focusModes.typewriter;
+      this.focusForwardOnly.checked = template.focusModes.forwardOnly;
+      this.focusVanishing.checked = template.focusModes.vanishing;
+      this.focusDimming.value = template.focusModes.focus;
+      await this.saveFocusModes();
+    } else {
+      await this.saveSettings();
+    }
+  }
+
+  // The setup screen as a template, or null after explaining what's wrong
+  readSetupAsTemplate() {
+    const goal = this.readGoalSetup();
+    if (!goal) return null;
+    let pomodoro = null;
+    if (this.pomodoroToggle.checked) {
+      pomodoro = this.readPomodoroFields();
+      if (!pomodoro) return null;
+    }
+
+    return {
+      goal,
+      strictMode: this.strictModeToggle.checked,
+      integrityMode: this.integrityToggle.checked,
+      focusModes: {
+        typewriter: this.focusTypewriter.checked,
+        focus: this.focusDimming.value,
+        forwardOnly: this.focusForwardOnly.checked,
+        vanishing: this.focusVanishing.checked
+      },
+      pomodoro,
+      ambient: this.activeTemplate()?.ambient || null
+    };
+  }
+
+  showTemplatesModal() {
+    this.templateRows.innerHTML = '';
+    (this.settings.templates || []).forEach(template => this.addTemplateRow(template));
+    this.updateTemplateRowsEmpty();
+    this.templatesModal.classList.remove('hidden');
+  }
+
+  hideTemplatesModal() {
+    this.templatesModal.classList.add('hidden');
+  }
+
+  updateTemplateRowsEmpty() {
+    this.templateRowsEmpty.classList.toggle('hidden', this.templateRows.children.length > 0);
+  }
+
+  // The row keeps the template itself; name and soundscape are edited in place
+  addTemplateRow(template) {
+    const row = document.createElement('div');
+    row.className = 'template-row';
+    row.dataset.template = JSON.stringify(template);
+
+    const main = document.createElement('div');
+    main.className = 'template-row-main';
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'text-input template-name';
+    name.maxLength = 60;
+    name.value = template.name;
+    name.placeholder = 'Template name';
+
+    const sounds = [['', 'Sound as set'], ...[...this.ambientSelect.options].map(o => [o.value, o.textContent])];
+    const ambient = this.createSelect('template-ambient', sounds, template.ambient || '');
+
+    const up = document.createElement('button');
+    up.className = 'text-btn move-template-btn';
+    up.dataset.direction = 'up';
+    up.textContent = '↑';
+    up.title = 'Move up';
+    const down = document.createElement('button');
+    down.className = 'text-btn move-template-btn';
+    down.dataset.direction = 'down';
+    down.textContent = '↓';
+    down.title = 'Move down';
+
+    const remove = document.createElement('button');
+    remove.className = 'text-btn remove-template-btn';
+    remove.textContent = 'Remove';
+    main.append(name, ambient, up, down, remove);
+
+    const details = document.createElement('div');
+    details.className = 'template-row-details';
+    const summary = document.createElement('span');
+    summary.className = 'template-summary';
+    summary.textContent = this.describeTemplate({ ...template, ambient: null });
+    const update = document.createElement('button');
+    update.className = 'text-btn update-template-btn';
+    update.textContent = 'Use Current Setup';
+    details.append(summary, update);
+
+    row.append(main, details);
+    this.templateRows.appendChild(row);
+    return row;
+  }
+
+  handleTemplateRowClick(e) {
+    const row = e.target.closest('.template-row');
+    if (!row) return;
+
+    const move = e.target.closest('.move-template-btn');
+    if (move?.dataset.direction === 'up' && row.previousElementSibling) {
+      row.previousElementSibling.before(row);
+    } else if (move?.dataset.direction === 'down' && row.nextElementSibling) {
+      row.nextElementSibling.after(row);
+    } else if (e.target.closest('.remove-template-btn')) {
+      row.remove();
+      this.updateTemplateRowsEmpty();
+    } else if (e.target.closest('.update-template-btn')) {
+      const setup = this.readSetupAsTemplate();
+      if (!setup) return;
+      const { id } = JSON.parse(row.dataset.template);
+      row.dataset.template = JSON.stringify({ ...setup, id });
+      row.querySelector('.template-summary').textContent = this.describeTemplate({ ...setup, ambient: null });
+    }
+  }
+
+  addCurrentSetupAsTemplate() {
+    const setup = this.readSetupAsTemplate();
+    if (!setup) return;
+    const row = this.addTemplateRow({ ...setup, name: 'New template' });
+    this.updateTemplateRowsEmpty();
+    const name = row.querySelector('.template-name');
+    name.focus();
+    name.select();
+  }
+
+  // The templates as the modal shows them, in order, or null if one has no name
+  readTemplateRows() {
+    const templates = [];
+    for (const row of this.templateRows.querySelectorAll('.template-row')) {
+      const name = row.querySelector('.template-name').value.trim();
+      if (!name) {
+        this.showValidationError('Every template needs a name');
+        return null;
+      }
+      const template = JSON.parse(row.dataset.template);
+      templates.push({
+        ...template,
+        id: template.id || `template-${Date.now()}-${templates.length}`,
+        name,
+        ambient: row.querySelector('.template-ambient').value || null
+      });
+    }
+    return templates;
+  }
+
+  async saveTemplates() {
+    const templates = this.readTemplateRows();
+    if (!templates) return;
+
+    const result = await window.focusWriter.saveTemplates(templates);
+    if (!result.success) {
+      this.showValidationError(`Couldn't save templates: ${result.error}`);
+      return;
+    }
+
+    this.settings.templates = result.settings.templates;
+    if (!this.activeTemplate()) this.activeTemplateId = null;
+    this.renderTemplateChips();
+    this.hideTemplatesModal();
+  }
+
+  async importTemplates() {
+    const result = await window.focusWriter.importTemplates();
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(`Couldn't import templates: ${result.error}`);
+      return;
+    }
+
+    result.templates.forEach(template => this.addTemplateRow(template));
+    this.updateTemplateRowsEmpty();
+    const count = `${result.templates.length} template${result.templates.length === 1 ? '' : 's'}`;
+    const skipped = result.skipped > 0 ? ` (${result.skipped} couldn't be read)` : '';
+    this.showNotice(`Added ${count}${skipped}. Save to keep them`);
+  }
+
+  async exportTemplates() {
+    const templates = this.readTemplateRows();
+    if (!templates) return;
+    if (templates.length === 0) {
+      this.showValidationError('Add a template to export first');
+      return;
+    }
+
+    const result = await window.focusWriter.exportTemplates(templates);
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(`Couldn't export templates: ${result.error}`);
+      return;
+    }
+    this.showNotice(`Templates exported to ${result.path}`);
+  }
+
+  // ==================== SCHEDULED SESSIONS ====================
+
+  async loadSchedule() {
+    const result = await window.focusWriter.getSchedule();
+    if (!result.success) {
+      console.error('Failed to load schedule:', result.error);
+      return;
+    }
+
+    this.scheduleStatus = result;
+    this.renderSchedule();
+    this.renderCountdown();
+  }
+
+  // [1, 2, 3, 4, 5] as "Weekdays", [1, 3] as "Mon, Wed"
+  describeDays(days) {
+    const key = days.join('');
+    if (key === '0123456') return 'Every day';
+    if (key === '12345') return 'Weekdays';
+    if (key === '06') return 'Weekends';
+    return days.map(day => this.dayName(day, 'short')).join(', ');
+  }
+
+  // Day 0 is Sunday; 7 January 2024 was one
+  dayName(day, weekday) {
+    return new Date(2024, 0, 7 + day).toLocaleDateString(undefined, { weekday });
+  }
+
+  describeGoal(goal, strictMode) {
+    const units = { time: 'minutes', length: 'words in total' };
+    const parts = goal.parts.map(part => `${part.value.toLocaleString()} ${units[part.kind] || part.kind}`);
+    const strict = strictMode === null ? '' : (strictMode ? ', strict' : ', relaxed');
+    return `${parts.join(goal.mode === 'any' ? ' or ' : ' and ')}${strict}`;
+  }
+
+  formatClock(time) {
+    return new Date(time).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  }
+
+  renderSchedule() {
+    const { schedule, upcoming } = this.scheduleStatus;
+    this.scheduleList.innerHTML = '';
+    this.scheduleEmpty.classList.toggle('hidden', schedule.sessions.length > 0);
+
+    schedule.sessions.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'schedule-item';
+
+      const [hours, minutes] = entry.time.split(':').map(Number);
+      const name = document.createElement('span');
+      name.textContent = `${this.describeDays(entry.days)} at ${this.formatClock(new Date(2024, 0, 1, hours, minutes))} · ` +
+        this.describeGoal(entry.goal, entry.strictMode);
+
+      const next = document.createElement('span');
+      next.className = 'schedule-next';
+      const at = upcoming.find(u => u.id === entry.id)?.at;
+      if (at) {
+        const day = new Date(at).toDateString() === new Date().toDateString()
+          ? 'today'
+          : this.dayName(new Date(at).getDay(), 'long');
+        next.textContent = `Next ${day} ${this.formatClock(at)}`;
+      }
+
+      item.append(name, next);
+      this.scheduleList.appendChild(item);
+    });
+  }
+
+  // The soonest countdown, ticking in a bar across the top of every screen.
+  // Hidden during a session: the scheduled one won't start over it anyway
+  renderCountdown() {
+    const countdown = this.scheduleStatus?.countdowns[0];
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = null;
+    if (!countdown || this.session.active) {
+      this.scheduleCountdown.classList.add('hidden');
+      return;
+    }
+
+    const goal = this.describeGoal(countdown.goal, countdown.strictMode);
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((countdown.startsAt - Date.now()) / 1000));
+      const clock = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+      this.scheduleCountdown.textContent = `Scheduled session (${goal}) starts in ${clock}`;
+    };
+    update();
+    this.countdownTimer = setInterval(update, 1000);
+    this.scheduleCountdown.classList.remove('hidden');
+
+    // One notification per countdown, in case the window is out of sight
+    const key = `${countdown.id}@${countdown.at}`;
+    if (!this.announcedCountdowns.has(key)) {
+      this.announcedCountdowns.add(key);
+      new Notification('Focus Writer Pro', {
+        body: `Your scheduled session starts at ${this.formatClock(countdown.startsAt)}: ${goal}.`
+      });
+    }
+  }
+
+  async handleMissedSessions(missed) {
+    const when = missed.length === 1
+      ? `your ${this.formatClock(missed[0].at)} session`
+      : `${missed.length} scheduled sessions`;
+    this.showNotice(`Missed ${when}; logged as skipped`);
+    await this.loadSessionHistory();
+    await this.loadSchedule();
+  }
+
+  showScheduleModal() {
+    const { schedule } = this.scheduleStatus;
+    this.scheduleRows.innerHTML = '';
+    schedule.sessions.forEach(entry => this.addScheduleRow(entry));
+    if (this.scheduleRows.children.length === 0) this.addScheduleRow();
+    this.scheduleWarningInput.value = schedule.warningMinutes;
+    this.scheduleModal.classList.remove('hidden');
+  }
+
+  hideScheduleModal() {
+    this.scheduleModal.classList.add('hidden');
+  }
+
+  addScheduleRow(entry = {
+    days: [1, 2, 3, 4, 5],
+    time: '07:00',
+    goal: { mode: 'all', parts: [{ kind: 'time', value: 45 }] },
+    strictMode: true
+  }) {
+    const row = document.createElement('div');
+    row.className = 'schedule-row';
+    if (entry.id) row.dataset.id = entry.id;
+    if (entry.documentId) row.dataset.documentId = entry.documentId;
+
+    const days = document.createElement('div');
+    days.className = 'day-toggles';
+    for (let day = 0; day < 7; day++) {
+      const btn = document.createElement('button');
+      btn.className = 'day-toggle';
+      btn.dataset.day = day;
+      btn.textContent = this.dayName(day, 'narrow');
+      btn.title = this.dayName(day, 'long');
+      btn.classList.toggle('active', entry.days.includes(day));
+      days.appendChild(btn);
+    }
+
+    const time = document.createElement('input');
+    time.type = 'time';
+    time.className = 'text-input schedule-time';
+    time.value = entry.time;
+
+    // Goals other than plain words or minutes come from a preset or a
+    // hand-edited settings file; they're kept as they are
+    const [part, ...others] = entry.goal.parts;
+    const goal = document.createElement('span');
+    if (others.length > 0 || !['words', 'time'].includes(part.kind)) {
+      row.dataset.goal = JSON.stringify(entry.goal);
+      goal.textContent = this.describeGoal(entry.goal, null);
+    } else {
+      const value = document.createElement('input');
+      value.type = 'number';
+      value.className = 'text-input schedule-value';
+      value.min = '1';
+      value.value = part.value;
+      const kind = this.createSelect('schedule-kind', [['words', 'words'], ['time', 'minutes']], part.kind);
+      goal.append(value, ' ', kind);
+    }
+
+    const strict = this.createSelect('schedule-strict', [['strict', 'strict'], ['relaxed', 'relaxed']],
+      entry.strictMode === false ? 'relaxed' : 'strict');
+
+    const remove = document.createElement('button');
+    remove.className = 'text-btn remove-schedule-btn';
+    remove.textContent = 'Remove';
+
+    row.append(days, 'at', time, goal, strict, remove);
+    this.scheduleRows.appendChild(row);
+  }
+
+  async saveSchedule() {
+    const rows = [...this.scheduleRows.querySelectorAll('.schedule-row')];
+    const sessions = [];
+    for (const row of rows) {
+      const days = [...row.querySelectorAll('.day-toggle.active')].map(btn => parseInt(btn.dataset.day));
+      const time = row.querySelector('.schedule-time').value;
+      if (days.length === 0 || !time) {
+        this.showValidationError('Scheduled sessions need at least one day and a time');
+        return;
+      }
+
+      let goal;
+      if (row.dataset.goal) {
+        goal = JSON.parse(row.dataset.goal);
+      } else {
+        const value = parseInt(row.querySelector('.schedule-value').value);
+        if (isNaN(value) || value < 1) {
+          this.showValidationError('Scheduled sessions need a goal of at least 1');
+          return;
+        }
+        goal = { mode: 'all', parts: [{ kind: row.querySelector('.schedule-kind').value, value }] };
+      }
+
+      sessions.push({
+        id: row.dataset.id || `schedule-${Date.now()}-${sessions.length}`,
+        days,
+        time,
+        goal,
+        strictMode: row.querySelector('.schedule-strict').value === 'strict',
+        documentId: row.dataset.documentId || null
+      });
+    }
+
+    const warningMinutes = parseInt(this.scheduleWarningInput.value);
+    if (isNaN(warningMinutes) || warningMinutes < 1 || warningMinutes > 60) {
+      this.showValidationError('The countdown must be between 1 and 60 minutes');
+      return;
+    }
+
+    const result = await window.focusWriter.saveSchedule(sessions, warningMinutes);
+    if (!result.success) {
+      this.showValidationError(`Couldn't save schedule: ${result.error}`);
+      return;
+    }
+
+    this.settings.schedule = result.settings.schedule;
+    this.hideScheduleModal();
+    await this.loadSchedule();
+  }
+
+  // ==================== GOAL TYPE ====================
+
+  setGoalType(type) {
+    this.goalSetupType = type;
+
+    this.goalTypeBtns.forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.type === type);
+    });
+
+    this.wordCountInput.classList.toggle('hidden', type !== 'words');
+    this.timeInput.classList.toggle('hidden', type !== 'time');
+    this.customGoalInput.classList.toggle('hidden', type !== 'custom');
+
+    // Start a custom goal off with the classic pairing
+    if (type === 'custom' && this.goalParts.children.length === 0) {
+      this.addGoalPart({ kind: 'words', value: 500 });
+      this.addGoalPart({ kind: 'time', value: 25 });
+    }
+  }
+
+  addGoalPart(part = { kind: 'paragraphs', value: 5 }) {
+    const row = document.createElement('div');
+    row.className = 'goal-part';
+
+    const value = document.createElement('input');
+    value.type = 'number';
+    value.className = 'text-input goal-part-value';
+    value.min = '1';
+    value.value = part.value;
+
+    const kind = this.createSelect(
+      'goal-part-kind',
+      Object.entries(GOAL_KINDS).map(([key, info]) => [key, info.label]),
+      part.kind
+    );
+
+    const remove = document.createElement('button');
+    remove.className = 'text-btn remove-goal-part-btn';
+    remove.textContent = 'Remove';
+
+    row.append(value, kind, remove);
+    this.goalParts.appendChild(row);
+    this.updateSectionMarkerField();
+  }
+
+  updateSectionMarkerField() {
+    const usesSections = [...this.goalParts.querySelectorAll('.goal-part-kind')]
+      .some(select => select.value === 'sections');
+    this.sectionMarkerField.classList.toggle('hidden', !usesSections);
+  }
+
+  // Validate the setup screen into a goal, or explain what's wrong and return null
+  readGoalSetup() {
+    const validate = (kind, value) => {
+      const info = GOAL_KINDS[kind];
+      if (isNaN(value) || value < info.min) {
+        this.showValidationError(`Goal must be at least ${info.min.toLocaleString()} ${info.unit}`);
+        return false;
+      }
+      if (value > info.max) {
+        this.showValidationError(`Goal cannot exceed ${info.max.toLocaleString()} ${info.unit}`);
+        return false;
+      }
+      return true;
+    };
+
+    if (this.goalSetupType !== 'custom') {
+      const kind = this.goalSetupType;
+      const value = parseInt(kind === 'words' ? this.wordGoal.value : this.timeGoal.value);
+      return validate(kind, value) ? { mode: 'all', parts: [{ kind, value }] } : null;
+    }
+
+    const parts = [];
+    for (const row of this.goalParts.querySelectorAll('.goal-part')) {
+      const kind = row.querySelector('.goal-part-kind').value;
+      const value = parseInt(row.querySelector('.goal-part-value').value);
+      if (!validate(kind, value)) return null;
+      parts.push({ kind, value });
+    }
+    if (parts.length === 0) {
+      this.showValidationError('Add at least one condition to your goal');
+      return null;
+    }
+
+    const currentWords = this.countWords(this.currentDraft || '');
+    const length = parts.find(part => part.kind === 'length');
+    if (length && length.value <= currentWords) {
+      this.showValidationError(`This document already has ${currentWords.toLocaleString()} words`);
+      return null;
+    }
+
+    if (parts.some(part => part.kind === 'sections')) {
+      const marker = this.sectionMarkerInput.value.trim();
+      if (!marker) {
+        this.showValidationError('Choose a section marker, such as ***');
+        return null;
+      }
+      this.settings.sectionMarker = marker;
+      this.saveSettings();
+    }
+
+    return { mode: this.goalMode.value === 'any' ? 'any' : 'all', parts };
+  }
+
+  // Show a goal on the setup screen: the word or time tab when it is that
+  // simple, custom conditions otherwise
+  fillGoalSetup(goal) {
+    const [first, ...others] = goal.parts;
+    if (others.length === 0 && (first.kind === 'words' || first.kind === 'time')) {
+      this.setGoalType(first.kind);
+      (first.kind === 'words' ? this.wordGoal : this.timeGoal).value = first.value;
+      this.updatePresetSelection();
+    } else {
+      this.setGoalType('custom');
+      this.goalParts.innerHTML = '';
+      goal.parts.forEach(part => this.addGoalPart(part));
+      this.goalMode.value = goal.mode;
+    }
+    this.goalSuggestion.classList.add('hidden');
+  }
+
+  handlePresetClick(e) {
+    const btn = e.target;
+    const value = parseInt(btn.dataset.value);
+    const container = btn.closest('.goal-input-section');
+
+    // Update active state
+    container.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+
+    // Update input value
+    this.goalSuggestion.classList.add('hidden');
+    if (this.goalSetupType === 'words') {
+      this.wordGoal.value = value;
+    } else {
+      this.timeGoal.value = value;
+    }
+  }
+
+  // A goal typed by hand replaces any target suggestion
+  handleGoalEdit() {
+    this.goalSuggestion.classList.add('hidden');
+    this.updatePresetSelection();
+  }
+
+  updatePresetSelection() {
+    const input = this.goalSetupType === 'words' ? this.wordGoal : this.timeGoal;
+    const value = parseInt(input.value);
+    const container = input.closest('.goal-input-section');
+
+    container.querySelectorAll('.preset-btn').forEach(btn => {
+      btn.classList.toggle('active', parseInt(btn.dataset.value) === value);
+    });
+  }
+
+  // ==================== GOAL PROGRESS ====================
+
+  // goalType/goalValue are still what gets logged and what "keep writing"
+  // extends for single-condition goals
+  syncLegacyGoal() {
+    const { parts } = this.session.goal;
+    this.session.goalType = parts.length === 1 ? parts[0].kind : 'compound';
+    this.session.goalValue = parts.length === 1 ? parts[0].value : null;
+  }
+
+  // Paragraphs are separated by blank lines, as in the exports
+  countParagraphs(text) {
+    return text.split(/\n\s*\n/).filter(paragraph => paragraph.trim()).length;
+  }
+
+  countSections(text) {
+    const marker = this.session.sectionMarker;
+    return text.split('\n').filter(line => line.trim() === marker).length;
+  }
+
+  measureGoalPart(kind) {
+    const text = this.editor.value;
+    switch (kind) {
+      case 'words':
+        if (this.session.integrity) return this.session.integrity.honestWords;
+        return Math.max(0, this.session.currentWordCount - this.session.startWordCount);
+      case 'time':
+        return this.writingSeconds();
+      case 'characters':
+        return Math.max(0, text.length - this.session.startCharCount);
+      case 'paragraphs':
+        return Math.max(0, this.countParagraphs(text) - this.session.startParagraphs);
+      case 'sections':
+        return Math.max(0, this.countSections(text) - this.session.startSections);
+      case 'length':
+        if (this.session.integrity) return this.session.startWordCount + this.session.integrity.honestWords;
+        return this.session.currentWordCount;
+      default:
+        return 0;
+    }
+  }
+
+  goalProgress() {
+    return this.session.goal.parts.map(part => {
+      const current = this.measureGoalPart(part.kind);
+      const target = part.kind === 'time' ? part.value * 60 : part.value;
+      return { ...part, current, target, fraction: Math.min(1, current / target) };
+    });
+  }
+
+  isGoalMet(progress) {
+    return this.session.goal.mode === 'any'
+      ? progress.some(part => part.fraction >= 1)
+      : progress.every(part => part.fraction >= 1);
+  }
+
+  checkGoal() {
+    // Guard against triggering more than once
+    if (!this.session.goal || this.session.goalTriggered) return;
+    if (this.isGoalMet(this.goalProgress())) {
+      this.session.goalTriggered = true;
+      this.goalReached();
+    }
+  }
+
+  renderProgressSegments() {
+    this.progressBar.innerHTML = '';
+    this.session.goal.parts.forEach(part => {
+      const segment = document.createElement('div');
+      segment.className = 'progress-segment';
+      segment.title = GOAL_KINDS[part.kind].label;
+      const fill = document.createElement('div');
+      fill.className = 'progress-fill';
+      segment.appendChild(fill);
+      this.progressBar.appendChild(segment);
+    });
+  }
+
+  describeGoalPart(part) {
+    if (part.kind === 'time') {
+      return `${this.formatTime(Math.max(0, part.target - part.current))} remaining`;
+    }
+    return `${part.current.toLocaleString()} / ${part.value.toLocaleString()} ${GOAL_KINDS[part.kind].unit}`;
+  }
+
+  updateProgress() {
+    if (!this.session.goal) return;
+
+    const progress = this.goalProgress();
+    const segments = this.progressBar.querySelectorAll('.progress-segment');
+    progress.forEach((part, i) => {
+      segments[i].classList.toggle('met', part.fraction >= 1);
+      segments[i].firstChild.style.width = `${part.fraction * 100}%`;
+    });
+
+    this.progressText.textContent = progress
+      .map(part => this.describeGoalPart(part))
+      .join(this.session.goal.mode === 'any' ? ' or ' : ' · ');
+
+    const level = this.progressQuarters(progress);
+    if (level > this.session.cueLevel) {
+      this.session.cueLevel = level;
+      this.playFocusCue(level);
+    }
+    this.reportProgress(progress);
+  }
+
+  // Overall progress is the slowest condition when all must be met, the
+  // fastest when any will do
+  overallProgress(progress) {
+    const fractions = progress.map(part => part.fraction);
+    return this.session.goal.mode === 'any' ? Math.max(...fractions) : Math.min(...fractions);
+  }
+
+  // Quarters of the goal passed (0-3)
+  progressQuarters(progress) {
+    return Math.min(3, Math.floor(this.overallProgress(progress) * 4));
+  }
+
+  // Local API clients get the latest progress, a second behind at most
+  reportProgress(progress) {
+    if (!this.settings.api?.enabled) return;
+    this.progressReport = {
+      fraction: this.overallProgress(progress),
+      words: this.session.currentWordCount,
+      writingSeconds: this.writingSeconds(),
+      parts: progress.map(({ kind, value, current, target, fraction }) => ({ kind, value, current, target, fraction }))
+    };
+    if (this.progressReportTimeout) return;
+    this.progressReportTimeout = setTimeout(() => {
+      this.progressReportTimeout = null;
+      window.focusWriter.reportProgress(this.progressReport);
+    }, 1000);
+  }
+
+  // ==================== POMODORO ====================
+
+  // Returns the interval schedule, null when Pomodoro mode is off, or false
+  // after explaining what's wrong with the setup
+  readPomodoroSetup() {
+    if (!this.pomodoroToggle.checked) {
+      this.saveSettings();
+      return null;
+    }
+
+    const config = this.readPomodoroFields();
+    if (!config) return false;
+    this.saveSettings();
+
+    return {
+      workSeconds: config.workMinutes * 60,
+      breakSeconds: config.breakMinutes * 60,
+      longBreakSeconds: config.longBreakMinutes * 60,
+      cycles: config.cycles,
+      phase: 'work', // 'work', 'break', or 'stopped' once the goal is reached
+      block: 1,
+      phaseStartedAt: null,
+      phaseEndsAt: null,
+      blockStartWords: 0,
+      breakTotalSeconds: 0,
+      intervals: [] // logged with the session
+    };
+  }
+
+  // The interval lengths in minutes, or false after explaining what's wrong
+  readPomodoroFields() {
+    const fields = [
+      ['workMinutes', this.pomodoroWork, 5, 120, 'Work blocks'],
+      ['breakMinutes', this.pomodoroBreak, 1, 60, 'Breaks'],
+      ['longBreakMinutes', this.pomodoroLongBreak, 1, 90, 'Long breaks'],
+      ['cycles', this.pomodoroCycles, 2, 12, 'Blocks per long break']
+    ];
+    const config = {};
+    for (const [key, input, min, max, label] of fields) {
+      const value = parseInt(input.value);
+      if (isNaN(value) || value < min || value > max) {
+        this.showValidationError(`${label} must be between ${min} and ${max}`);
+        return false;
+      }
+      config[key] = value;
+    }
+    return config;
+  }
+
+  // Session time spent writing, leaving out breaks
+  writingSeconds() {
+    const pomodoro = this.session.pomodoro;
+    if (!pomodoro) return this.session.elapsedSeconds;
+    const currentBreak = pomodoro.phase === 'break'
+      ? Math.floor((Date.now() - pomodoro.phaseStartedAt) / 1000)
+      : 0;
+    return Math.max(0, this.session.elapsedSeconds - pomodoro.breakTotalSeconds - currentBreak);
+  }
+
+  tickPomodoro() {
+    const pomodoro = this.session.pomodoro;
+    if (pomodoro.phase === 'stopped') return;
+
+    const remaining = Math.max(0, Math.ceil((pomodoro.phaseEndsAt - Date.now()) / 1000));
+    if (pomodoro.phase === 'work') {
+      this.pomodoroRemaining.textContent = this.formatTime(remaining);
+      if (remaining === 0) this.startBreak();
+    } else {
+      this.breakCountdown.textContent = this.formatTime(remaining);
+      if (remaining === 0) this.endBreak();
+    }
+  }
+
+  startWorkBlock(now) {
+    const pomodoro = this.session.pomodoro;
+    pomodoro.phase = 'work';
+    pomodoro.phaseStartedAt = now;
+    pomodoro.phaseEndsAt = now + pomodoro.workSeconds * 1000;
+    pomodoro.blockStartWords = this.session.currentWordCount;
+    this.pomodoroBlock.textContent = `Block ${pomodoro.block}:`;
+    this.pomodoroRemaining.textContent = this.formatTime(pomodoro.workSeconds);
+  }
+
+  // The interval in progress, as it would be logged if it ended now
+  openInterval(now) {
+    const pomodoro = this.session.pomodoro;
+    const times = {
+      startedAt: new Date(pomodoro.phaseStartedAt).toISOString(),
+      endedAt: new Date(now).toISOString()
+    };
+    if (pomodoro.phase === 'work') {
+      return {
+        type: 'work',
+        block: pomodoro.block,
+        ...times,
+        words: this.session.currentWordCount - pomodoro.blockStartWords
+      };
+    }
+    if (pomodoro.phase === 'break') {
+      // Breaks can't be skipped, but the session can end during one
+      return { type: 'break', ...times, skipped: now < pomodoro.phaseEndsAt };
+    }
+    return null;
+  }
+
+  finishWorkBlock(now) {
+    const interval = this.openInterval(now);
+    this.session.pomodoro.intervals.push(interval);
+    return interval;
+  }
+
+  finishBreak(now) {
+    const pomodoro = this.session.pomodoro;
+    pomodoro.intervals.push(this.openInterval(now));
+    pomodoro.breakTotalSeconds += Math.round((now - pomodoro.phaseStartedAt) / 1000);
+  }
+
+  async startBreak() {
+    const pomodoro = this.session.pomodoro;
+    const now = Date.now();
+    const block = this.finishWorkBlock(now);
+    const isLong = pomodoro.block % pomodoro.cycles === 0;
+    const length = isLong ? pomodoro.longBreakSeconds : pomodoro.breakSeconds;
+
+    // Switch phase before anything async so the next tick can't start a second break
+    pomodoro.phase = 'break';
+    pomodoro.phaseStartedAt = now;
+    pomodoro.phaseEndsAt = now + length * 1000;
+
+    this.breakLabel.textContent = isLong ? 'Long Break' : 'Short Break';
+    this.breakCountdown.textContent = this.formatTime(length);
+    this.breakSummary.textContent = `Block ${block.block} done · ${block.words.toLocaleString()} words`;
+    this.showScreen('break');
+
+    await this.autoSave();
+    await window.focusWriter.startBreak();
+  }
+
+  async endBreak() {
+    const pomodoro = this.session.pomodoro;
+    if (!pomodoro || pomodoro.phase !== 'break') return;
+
+    const now = Date.now();
+    this.finishBreak(now);
+    pomodoro.block++;
+    this.startWorkBlock(now);
+
+    await window.focusWriter.endBreak();
+    this.showScreen('writing');
+    this.editor.focus();
+  }
+
+  // ==================== MARKDOWN ====================
+
+  async toggleMarkdown() {
+    const markdown = this.settings.markdown || { preview: 'hidden' };
+    this.settings.markdown = { ...markdown, enabled: !markdown.enabled };
+    this.applyMarkdownMode();
+    this.editor.focus();
+    await this.saveSettings();
+  }
+
+  async togglePreview() {
+    const markdown = this.settings.markdown;
+    this.settings.markdown = { ...markdown, preview: markdown.preview === 'side' ? 'hidden' : 'side' };
+    this.applyMarkdownMode();
+    this.editor.focus();
+    await this.saveSettings();
+  }
+
+  applyMarkdownMode() {
+    const markdown = this.settings.markdown || {};
+    const enabled = Boolean(markdown.enabled);
+    const preview = enabled && markdown.preview === 'side';
+
+    this.markdownPreview.classList.toggle('hidden', !preview);
+    this.markdownToggleBtn.classList.toggle('active', enabled);
+    this.previewToggleBtn.classList.toggle('hidden', !enabled);
+    this.previewToggleBtn.classList.toggle('active', preview);
+    this.refreshOverlay();
+  }
+
+  // Redraw the layer behind the textarea now; the preview can wait for a pause in typing
+  refreshOverlay() {
+    const markdown = Boolean(this.settings.markdown?.enabled);
+    const modes = this.session.focusModes;
+    const flags = this.styleFlagsVisible();
+    const active = markdown || flags || (this.find.open && this.find.matches.length > 0) ||
+      Boolean(modes && (modes.focus !== 'off' || modes.vanishing));
+    this.editorPane.classList.toggle('overlay', active);
+    this.styleStat.classList.toggle('hidden', !flags);
+    if (!active) return;
+
+    // A trailing newline only takes up a line in the textarea if something follows it
+    this.editorHighlight.innerHTML = this.overlayHtml(this.editor.value, markdown) + '\n ';
+    this.editorHighlight.scrollTop = this.editor.scrollTop;
+
+    if (!markdown || this.settings.markdown.preview !== 'side') return;
+    clearTimeout(this.previewTimeout);
+    this.previewTimeout = setTimeout(() => {
+      this.markdownPreview.innerHTML = this.renderMarkdown(this.editor.value);
+    }, 150);
+  }
+
+  escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // The highlight layer keeps every character, markers included, so it lines up with the textarea
+  highlightMarkdown(text) {
+    let inFence = false;
+    return text.split('\n').map(line => {
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        return `<span class="md-code">${this.escapeHtml(line)}</span>`;
+      }
+      if (inFence) return `<span class="md-code">${this.escapeHtml(line)}</span>`;
+
+      let match = line.match(/^(#{1,6}\s)(.*)$/);
+      if (match) {
+        return `<span class="md-heading"><span class="md-marker">${match[1]}</span>${this.highlightInline(match[2])}</span>`;
+      }
+      match = line.match(/^(\s*>\s?)(.*)$/);
+      if (match) {
+        return `<span class="md-quote"><span class="md-marker">${this.escapeHtml(match[1])}</span>${this.highlightInline(match[2])}</span>`;
+      }
+      if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        return `<span class="md-marker">${line}</span>`;
+      }
+      match = line.match(/^(\s*(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?)(.*)$/);
+      if (match) {
+        return `<span class="md-marker">${match[1]}</span>${this.highlightInline(match[2])}`;
+      }
+      return this.highlightInline(line);
+    }).join('\n');
+  }
+
+  highlightInline(text) {
+    const marker = (m) => `<span class="md-marker">${m}</span>`;
+    // Code spans are left alone; everything between them gets emphasis and links
+    return text.split(/(`[^`]+`)/).map((part, i) => {
+      if (i % 2 === 1) return `<span class="md-code">${this.escapeHtml(part)}</span>`;
+      return this.escapeHtml(part)
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, (m, mark, inner) =>
+          `<span class="md-strong">${marker(mark)}${inner}${marker(mark)}</span>`)
+        .replace(/(^|[^*_\w])([*_])(?=[^\s*_])(.+?)(?<=[^\s*_])\2(?![*_\w])/g, (m, before, mark, inner) =>
+          `${before}<span class="md-em">${marker(mark)}${inner}${marker(mark)}</span>`)
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) =>
+          `${marker('[')}<span class="md-link">${label}</span>${marker(`](${url})`)}`);
+    }).join('');
+  }
+
+  // Preview HTML. Links are shown but not followed: a click would navigate the app window away
+  renderInline(text) {
+    return text.split(/(`[^`]+`)/).map((part, i) => {
+      if (i % 2 === 1) return `<code>${this.escapeHtml(part.slice(1, -1))}</code>`;
+      return this.escapeHtml(part)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<span class="preview-link" title="$2">$1</span>')
+        .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+        .replace(/(^|[^*_\w])([*_])(?=[^\s*_])(.+?)(?<=[^\s*_])\2(?![*_\w])/g, '$1<em>$3</em>');
+    }).join('');
+  }
+
+  renderMarkdown(text) {
+    const lines = text.split('\n');
+    const html = [];
+    let i = 0;
+
+    const listItem = /^\s*(?:([-*+])|(\d+)[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+    const rule = /^\s*([-*_])(\s*\1){2,}\s*$/;
+    const blockStart = /^\s*(#{1,6}\s|>|```|~~~|[-*+]\s|\d+[.)]\s)/;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+      } else if (/^\s*(```|~~~)/.test(line)) {
+        const code = [];
+        i++;
+        while (i < lines.length && !/^\s*(```|~~~)/.test(lines[i])) code.push(lines[i++]);
+        i++;
+        html.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+      } else if (/^#{1,6}\s/.test(line)) {
+        const level = line.match(/^#+/)[0].length;
+        html.push(`<h${level}>${this.renderInline(line.slice(level).trim())}</h${level}>`);
+        i++;
+      } else if (rule.test(line)) {
+        html.push('<hr>');
+        i++;
+      } else if (/^\s*>/.test(line)) {
+        const quoted = [];
+        while (i < lines.length && /^\s*>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+        html.push(`<blockquote>${this.renderMarkdown(quoted.join('\n'))}</blockquote>`);
+      } else if (listItem.test(line)) {
+        const ordered = Boolean(line.match(listItem)[2]);
+        const items = [];
+        while (i < lines.length && listItem.test(lines[i]) && Boolean(lines[i].match(listItem)[2]) === ordered) {
+          const [, , , task, content] = lines[i++].match(listItem);
+          const box = task ? (task === ' ' ? '☐ ' : '☑ ') : '';
+          items.push(`<li>${box}${this.renderInline(content)}</li>`);
+        }
+        const tag = ordered ? 'ol' : 'ul';
+        html.push(`<${tag}>${items.join('')}</${tag}>`);
+      } else {
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !blockStart.test(lines[i]) && !rule.test(lines[i])) paragraph.push(lines[i++]);
+        html.push(`<p>${this.renderInline(paragraph.join('\n'))}</p>`);
+      }
+    }
+    return html.join('\n');
+  }
+
+  // Enter on a list item or quote starts the next one; on an empty item it ends the list
+  continueMarkdownList() {
+    const { selectionStart: start, selectionEnd: end, value } = this.editor;
+    if (start !== end) return false;
+
+    const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+    const line = value.substring(lineStart, start);
+    const match = line.match(/^(\s*)(?:([-*+])|(\d+)([.)])|(>))(\s*)(\[[ xX]\]\s+)?/);
+    if (!match || (!match[5] && !match[6])) return false;
+
+    if (!line.substring(match[0].length).trim()) {
+      // Ending the list means deleting the marker, which forward-only mode forbids
+      if (this.isForwardOnly()) return false;
+      this.replaceEditorRange(lineStart, start, '');
+      return true;
+    }
+
+    const marker = match[3] ? `${Number(match[3]) + 1}${match[4]}` : (match[2] || match[5]);
+    const task = match[7] ? '[ ] ' : '';
+    this.replaceEditorRange(start, start, `\n${match[1]}${marker}${match[6] || ' '}${task}`);
+    return true;
+  }
+
+  // ==================== FOCUS AIDS ====================
+
+  // The open document's own focus aids, or the most recently chosen ones
+  currentFocusModes() {
+    const doc = this.documents?.find(d => d.id === this.currentDocumentId);
+    return {
+      typewriter: false,
+      focus: 'off',
+      forwardOnly: false,
+      vanishing: false,
+      ...(doc?.focusModes || this.settings.focusModes)
+    };
+  }
+
+  renderFocusAids() {
+    const modes = this.currentFocusModes();
+    this.focusTypewriter.checked = modes.typewriter;
+    this.focusForwardOnly.checked = modes.forwardOnly;
+    this.focusVanishing.checked = modes.vanishing;
+    this.focusDimming.value = modes.focus;
+  }
+
+  async saveFocusModes() {
+    const modes = {
+      typewriter: this.focusTypewriter.checked,
+      focus: this.focusDimming.value,
+      forwardOnly: this.focusForwardOnly.checked,
+      vanishing: this.focusVanishing.checked
+    };
+
+    // New documents start with whatever was chosen last
+    this.settings.focusModes = modes;
+    await this.saveSettings();
+
+    if (!this.currentDocumentId) return;
+    const result = await window.focusWriter.saveFocusModes(this.currentDocumentId, modes);
+    if (!result.success) {
+      this.showValidationError(`Couldn't save focus aids: ${result.error}`);
+      return;
+    }
+    const doc = this.documents.find(d => d.id === this.currentDocumentId);
+    if (doc) doc.focusModes = result.document.focusModes;
+  }
+
+  applyFocusModes() {
+    this.editorPane.classList.toggle('typewriter', Boolean(this.session.focusModes?.typewriter));
+    this.refreshOverlay();
+    this.keepCaretCentered();
+  }
+
+  handleCaretMove() {
+    if (this.isForwardOnly()) this.enforceForwardCaret();
+    const modes = this.session.focusModes;
+    if (modes && (modes.focus !== 'off' || modes.vanishing)) this.refreshOverlay();
+    this.keepCaretCentered();
+  }
+
+  keepCaretCentered() {
+    if (!this.session.focusModes?.typewriter) return;
+    this.scrollToCenter(this.editor.selectionEnd);
+  }
+
+  // Textarea scroll position that puts the line holding `index` in the middle
+  // of the editor, measured on the hidden mirror
+  scrollToCenter(index) {
+    this.editorMirror.textContent = this.editor.value.substring(0, index);
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    this.editorMirror.appendChild(marker);
+
+    const lineHeight = parseFloat(getComputedStyle(this.editor).lineHeight);
+    this.editor.scrollTop = marker.offsetTop - (this.editor.clientHeight - lineHeight) / 2;
+  }
+
+  // Only while locked in: once the goal is reached editing is unrestricted
+  isForwardOnly() {
+    return this.session.active && Boolean(this.session.focusModes?.forwardOnly);
+  }
+
+  isBackwardKey(e) {
+    if (['Backspace', 'Delete', 'ArrowLeft', 'ArrowUp', 'Home', 'PageUp'].includes(e.key)) return true;
+    // Undo and select-all would both let earlier text be changed
+    return (e.ctrlKey || e.metaKey) && ['z', 'y', 'a'].includes(e.key.toLowerCase());
+  }
+
+  // Catches what key handling can't: cut, drag-and-drop moves, the context menu
+  guardForwardOnly(e) {
+    if (!this.isForwardOnly()) return;
+    // A spelling suggestion rewrites a word that may sit well behind the caret
+    const removes = e.inputType.startsWith('delete') || e.inputType.startsWith('history') ||
+      e.inputType === 'insertReplacementText';
+    if (removes || this.editor.selectionStart !== this.editor.selectionEnd) {
+      e.preventDefault();
+      this.enforceForwardCaret();
+    }
+  }
+
+  enforceForwardCaret() {
+    const { selectionStart, selectionEnd } = this.editor;
+    if (selectionStart < this.session.forwardFloor || selectionStart !== selectionEnd) {
+      const position = Math.max(this.session.forwardFloor, selectionEnd);
+      this.editor.setSelectionRange(position, position);
+    }
+    this.session.forwardFloor = this.editor.selectionStart;
+  }
+
+  paragraphBounds(text, index) {
+    const separators = [...text.substring(0, index).matchAll(/\n[ \t]*\n/g)];
+    const last = separators[separators.length - 1];
+    const next = /\n[ \t]*\n/.exec(text.substring(index));
+    return {
+      start: last ? last.index + last[0].length : 0,
+      end: next ? index + next.index : text.length
+    };
+  }
+
+  sentenceBounds(text, index, paragraph) {
+    const body = text.substring(paragraph.start, paragraph.end);
+    const offset = index - paragraph.start;
+    const terminator = /[.!?…]+["'”’)\]]*(\s+|$)/g;
+    let start = 0;
+    let end = body.length;
+    let match;
+    while ((match = terminator.exec(body))) {
+      const next = match.index + match[0].length;
+      if (next <= offset) {
+        start = next;
+      } else {
+        end = next - match[1].length;
+        break;
+      }
+    }
+    return { start: paragraph.start + start, end: paragraph.start + end };
+  }
+
+  // Text for the layer behind the textarea: Markdown styling, then focus
+  // dimming, find matches and style flags laid over it as classed ranges
+  overlayHtml(text, markdown) {
+    const html = markdown ? this.highlightMarkdown(text) : this.escapeHtml(text);
+    return this.decorateHtml(html, [
+      ...this.focusDecorations(text),
+      ...this.findDecorations(),
+      ...this.styleDecorations(text)
+    ]);
+  }
+
+  // Everything outside the focused sentence or paragraph dimmed, earlier paragraphs faded
+  focusDecorations(text) {
+    const modes = this.session.focusModes;
+    const dimming = Boolean(modes && modes.focus !== 'off');
+    const vanishing = Boolean(modes?.vanishing);
+    if (!dimming && !vanishing) return [];
+
+    const caret = this.editor.selectionEnd;
+    const paragraph = this.paragraphBounds(text, caret);
+    const focus = modes.focus === 'sentence' ? this.sentenceBounds(text, caret, paragraph) : paragraph;
+    const outside = dimming ? 'dimmed' : null;
+
+    const ranges = [];
+    const push = (start, end, className) => {
+      if (className && end > start) ranges.push({ start, end, className });
+    };
+
+    if (vanishing) {
+      const starts = [0, ...[...text.substring(0, paragraph.start).matchAll(/\n[ \t]*\n/g)]
+        .map(match => match.index + match[0].length)].filter(start => start < paragraph.start);
+      starts.forEach((start, i) => {
+        push(start, i + 1 < starts.length ? starts[i + 1] : paragraph.start, `fade-${Math.min(3, starts.length - i)}`);
+      });
+    } else {
+      push(0, paragraph.start, outside);
+    }
+    push(paragraph.start, focus.start, outside);
+    push(focus.end, text.length, outside);
+    return ranges;
+  }
+
+  // Wrap the text of already formatted HTML in spans for each { start, end, className }
+  // range, counting offsets in the plain text. Spans close at every tag, so
+  // overlapping ranges never break the nesting of the Markdown markup
+  decorateHtml(html, decorations) {
+    if (decorations.length === 0) return html;
+    const sorted = [...decorations].sort((a, b) => a.start - b.start);
+    const points = [...new Set(sorted.flatMap(d => [d.start, d.end]))].sort((a, b) => a - b);
+
+    let out = '';
+    let run = '';
+    let classes = '';
+    let offset = 0;
+    let nextPoint = 0;
+    let nextStart = 0;
+    let active = [];
+    const flush = () => {
+      if (run) out += classes ? `<span class="${classes}">${run}</span>` : run;
+      run = '';
+    };
+
+    html.split(/(<[^>]*>)/).forEach((token, i) => {
+      if (i % 2 === 1) {
+        flush();
+        out += token;
+        return;
+      }
+      // An entity stands for a single character of the text
+      (token.match(/&[a-z]+;|[\s\S]/g) || []).forEach(char => {
+        if (nextPoint < points.length && points[nextPoint] <= offset) {
+          flush();
+          while (nextPoint < points.length && points[nextPoint] <= offset) nextPoint++;
+          while (nextStart < sorted.length && sorted[nextStart].start <= offset) active.push(sorted[nextStart++]);
+          active = active.filter(d => d.end > offset);
+          classes = active.map(d => d.className).join(' ');
+        }
+        run += char;
+        offset++;
+      });
+    });
+    flush();
+    return out;
+  }
+
+  // ==================== FIND AND REPLACE ====================
+
+  // Starts from the selection, if it is a single line
+  openFind(replace = false) {
+    const { value, selectionStart, selectionEnd } = this.editor;
+    const selected = value.substring(selectionStart, selectionEnd);
+    if (selected && !selected.includes('\n')) this.findInput.value = selected;
+
+    this.find.open = true;
+    this.findPanel.classList.remove('hidden');
+    this.find.current = -1;
+    this.updateFindMatches();
+    this.revealMatch();
+
+    const input = replace ? this.replaceInput : this.findInput;
+    input.focus();
+    input.select();
+  }
+
+  hideFind() {
+    this.find.open = false;
+    this.find.matches = [];
+    this.find.current = -1;
+    this.findPanel.classList.add('hidden');
+  }
+
+  closeFind() {
+    this.hideFind();
+    this.refreshOverlay();
+    this.editor.focus();
+  }
+
+  toggleFindOption(option) {
+    this.find[option] = !this.find[option];
+    this.updateFindMatches();
+    this.revealMatch();
+    this.findInput.focus();
+  }
+
+  // Throws if the regular expression doesn't compile
+  findPattern() {
+    const query = this.findInput.value;
+    if (!query) return null;
+    const source = this.find.regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(source, this.find.caseSensitive ? 'g' : 'gi');
+  }
+
+  // Re-run the search, keeping the current match where it was or, failing that,
+  // moving to the next one after it (or after the caret)
+  updateFindMatches() {
+    const previous = this.find.matches[this.find.current];
+    const anchor = previous ? previous.start : this.editor.selectionStart;
+    this.find.matches = [];
+    this.find.error = null;
+
+    let pattern = null;
+    try {
+      pattern = this.findPattern();
+    } catch (error) {
+      this.find.error = error.message;
+    }
+
+    if (pattern) {
+      const text = this.editor.value;
+      let match;
+      while (this.find.matches.length < MAX_FIND_MATCHES && (match = pattern.exec(text))) {
+        // Empty matches can't be shown or replaced, and would never advance
+        if (match[0].length === 0) {
+          pattern.lastIndex++;
+          continue;
+        }
+        this.find.matches.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+
+    this.selectMatchFrom(anchor);
+  }
+
+  // First match starting at or after `position`, wrapping around to the top
+  selectMatchFrom(position) {
+    const matches = this.find.matches;
+    const next = matches.findIndex(match => match.start >= position);
+    this.find.current = matches.length === 0 ? -1 : Math.max(0, next);
+    this.renderFindStatus();
+  }
+
+  renderFindStatus() {
+    const count = this.find.matches.length;
+    this.findInput.classList.toggle('invalid', Boolean(this.find.error));
+    this.findInput.title = this.find.error || '';
+    if (!this.findInput.value) {
+      this.findCount.textContent = '';
+    } else if (count === 0) {
+      this.findCount.textContent = this.find.error ? 'Invalid' : 'No results';
+    } else {
+      const total = count >= MAX_FIND_MATCHES ? `${count.toLocaleString()}+` : count.toLocaleString();
+      this.findCount.textContent = `${this.find.current + 1} of ${total}`;
+    }
+    this.findCaseBtn.classList.toggle('active', this.find.caseSensitive);
+    this.findRegexBtn.classList.toggle('active', this.find.regex);
+    this.replaceBtn.disabled = count === 0;
+    this.replaceAllBtn.disabled = count === 0;
+  }
+
+  stepFind(direction) {
+    const count = this.find.matches.length;
+    if (count === 0) return;
+    this.find.current = (this.find.current + direction + count) % count;
+    this.renderFindStatus();
+    this.revealMatch();
+  }
+
+  // Scroll the current match into view and select it, leaving focus in the
+  // panel. Forward-only mode keeps the caret where it is
+  revealMatch() {
+    const match = this.find.matches[this.find.current];
+    if (match) {
+      if (!this.isForwardOnly()) this.editor.setSelectionRange(match.start, match.end);
+      this.scrollToCenter(match.start);
+    }
+    this.refreshOverlay();
+  }
+
+  // Going back to change earlier text is what forward-only mode rules out
+  canReplace() {
+    if (!this.isForwardOnly()) return true;
+    this.showValidationError('Replacing is off while forward-only mode is on');
+    return false;
+  }
+
+  // $1 and $& only mean something in a regular expression
+  replacementText() {
+    const text = this.replaceInput.value;
+    return this.find.regex ? text : text.replace(/\$/g, '$$$$');
+  }
+
+  replaceMatch() {
+    const match = this.find.matches[this.find.current];
+    if (!match || !this.canReplace()) return;
+
+    // Replace in place so lookarounds and anchors see the whole text
+    const value = this.editor.value;
+    const pattern = this.findPattern();
+    const sticky = new RegExp(pattern.source, pattern.flags.replace('g', 'y'));
+    sticky.lastIndex = match.start;
+    const replaced = value.replace(sticky, this.replacementText());
+    const text = replaced.substring(match.start, replaced.length - (value.length - match.end));
+
+    this.recordReplacedText(value.substring(match.start, match.end), text);
+    this.replaceEditorRange(match.start, match.end, text);
+    // Carry on after the replacement, even if it matches too
+    this.selectMatchFrom(match.start + text.length);
+    this.revealMatch();
+  }
+
+  replaceAll() {
+    const count = this.find.matches.length;
+    if (count === 0 || !this.canReplace()) return;
+
+    const value = this.editor.value;
+    const replaced = value.replace(this.findPattern(), this.replacementText());
+    const scrollTop = this.editor.scrollTop;
+    this.recordReplacedText(value, replaced);
+    this.replaceEditorRange(0, value.length, replaced);
+    this.editor.setSelectionRange(0, 0);
+    this.editor.scrollTop = scrollTop;
+    this.refreshOverlay();
+    this.showNotice(`Replaced ${count.toLocaleString()} ${count === 1 ? 'match' : 'matches'}`);
+  }
+
+  // Integrity mode: words a replacement brings in weren't typed
+  recordReplacedText(before, after) {
+    if (!this.session.integrity) return;
+    const previous = this.tallyWords(before);
+    const pasted = this.session.integrity.pasted;
+    this.tallyWords(after).forEach((count, word) => {
+      const added = count - (previous.get(word) || 0);
+      if (added > 0) pasted.set(word, (pasted.get(word) || 0) + added);
+    });
+  }
+
+  findDecorations() {
+    if (!this.find.open) return [];
+    return this.find.matches.map((match, i) => ({
+      start: match.start,
+      end: match.end,
+      className: i === this.find.current ? 'find-match current' : 'find-match'
+    }));
+  }
+
+  // ==================== STYLE CHECKS ====================
+
+  styleSettings() {
+    return {
+      enabled: false,
+      repeated: true,
+      passive: true,
+      longSentences: true,
+      duringSession: false,
+      ...this.settings.styleChecks
+    };
+  }
+
+  // Flags wait until the goal is reached, unless asked for sooner
+  styleFlagsVisible() {
+    const style = this.styleSettings();
+    return style.enabled && (!this.session.active || style.duringSession);
+  }
+
+  async toggleStyleFlags() {
+    const style = this.styleSettings();
+    this.settings.styleChecks = { ...style, enabled: !style.enabled };
+    this.applyStyleFlags();
+    if (this.settings.styleChecks.enabled && !this.styleFlagsVisible()) {
+      this.showNotice('Style flags will show once you reach your goal');
+    }
+    this.editor.focus();
+    await this.saveSettings();
+  }
+
+  applyStyleFlags() {
+    this.styleToggleBtn.classList.toggle('active', this.styleSettings().enabled);
+    this.refreshOverlay();
+  }
+
+  isParticiple(word) {
+    const lower = word.toLowerCase();
+    if (IRREGULAR_PARTICIPLES.has(lower)) return true;
+    return lower.length > 4 && lower.endsWith('ed') && !NOT_PARTICIPLES.has(lower);
+  }
+
+  // Ranges worth a second look: { start, end, kind }
+  findStyleFlags(text) {
+    const style = this.styleSettings();
+    const flags = [];
+
+    // The second of two identical words in a row, across a line break too
+    if (style.repeated) {
+      for (const match of text.matchAll(/(?<![\p{L}'])([\p{L}']+)\s+\1(?![\p{L}'])/giu)) {
+        flags.push({ start: match.index + match[0].length - match[1].length, end: match.index + match[0].length, kind: 'repeated' });
+      }
+    }
+
+    // A form of "to be" followed by a past participle
+    if (style.passive) {
+      for (const match of text.matchAll(/\b(?:am|is|are|was|were|be|been|being)\s+([a-z]+)\b/gi)) {
+        if (this.isParticiple(match[1])) {
+          flags.push({ start: match.index, end: match.index + match[0].length, kind: 'passive' });
+        }
+      }
+    }
+
+    if (style.longSentences) {
+      for (const match of text.matchAll(/[^.!?…\n]+(?:[.!?…]+["'”’)\]]*)?/g)) {
+        if (this.countWords(match[0]) <= LONG_SENTENCE_WORDS) continue;
+        const leading = match[0].length - match[0].trimStart().length;
+        flags.push({ start: match.index + leading, end: match.index + match[0].trimEnd().length, kind: 'long' });
+      }
+    }
+    return flags;
+  }
+
+  // Also keeps the footer tally current, since the flags can't be hovered
+  styleDecorations(text) {
+    if (!this.styleFlagsVisible()) return [];
+    const flags = this.findStyleFlags(text);
+    const count = (kind) => flags.filter(flag => flag.kind === kind).length;
+    this.styleCounts.textContent = `${count('repeated')} repeated · ${count('passive')} passive · ${count('long')} long`;
+    return flags.map(flag => ({ start: flag.start, end: flag.end, className: `flag-${flag.kind}` }));
+  }
+
+  // ==================== SOUND ====================
+
+  soundSettings() {
+    return {
+      ambient: 'off',
+      ambientVolume: 0.4,
+      keys: false,
+      keyVolume: 0.5,
+      cues: true,
+      cueVolume: 0.5,
+      ...this.settings.sound
+    };
+  }
+
+  // One context for everything, with a volume channel per kind of sound
+  audioContext() {
+    if (!this.audio.context) {
+      const context = new (window.AudioContext || window.webkitAudioContext)();
+      const channel = () => {
+        const gain = context.createGain();
+        gain.connect(context.destination);
+        return gain;
+      };
+      Object.assign(this.audio, { context, ambientGain: channel(), keyGain: channel(), cueGain: channel() });
+      this.applySoundVolumes();
+    }
+    if (this.audio.context.state === 'suspended') this.audio.context.resume();
+    return this.audio.context;
+  }
+
+  applySoundVolumes() {
+    if (!this.audio.context) return;
+    const sound = this.soundSettings();
+    const now = this.audio.context.currentTime;
+    this.audio.ambientGain.gain.setTargetAtTime(sound.ambientVolume, now, 0.1);
+    this.audio.keyGain.gain.setTargetAtTime(sound.keyVolume, now, 0.05);
+    this.audio.cueGain.gain.setTargetAtTime(sound.cueVolume, now, 0.05);
+  }
+
+  startAmbient() {
+    const kind = this.session.ambient || this.soundSettings().ambient;
+    if (kind === this.audio.ambientKind) return;
+    this.stopAmbient();
+    if (kind === 'off') return;
+
+    try {
+      const context = this.audioContext();
+      const source = context.createBufferSource();
+      source.buffer = this.ambientBuffer(kind);
+      source.loop = true;
+
+      const fade = context.createGain();
+      fade.gain.setValueAtTime(0, context.currentTime);
+      fade.gain.linearRampToValueAtTime(1, context.currentTime + 2);
+      source.connect(fade);
+      fade.connect(this.audio.ambientGain);
+      source.start();
+      Object.assign(this.audio, { ambientSource: source, ambientFade: fade, ambientKind: kind });
+    } catch (e) {
+      // Audio not available
+    }
+  }
+
+  stopAmbient() {
+    const { context, ambientSource, ambientFade } = this.audio;
+    if (ambientSource) {
+      ambientFade.gain.setTargetAtTime(0, context.currentTime, 0.3);
+      ambientSource.stop(context.currentTime + 1.5);
+    }
+    Object.assign(this.audio, { ambientSource: null, ambientFade: null, ambientKind: null });
+  }
+
+  // Generate the loop once. The tail is cross-faded into the start so it repeats without a click
+  ambientBuffer(kind) {
+    if (this.audio.buffers[kind]) return this.audio.buffers[kind];
+
+    const context = this.audio.context;
+    const rate = context.sampleRate;
+    const length = AMBIENT_LOOP_SECONDS * rate;
+    const overlap = Math.floor(AMBIENT_CROSSFADE_SECONDS * rate);
+    const raw = new Float32Array(length + overlap);
+    if (kind === 'rain') this.generateRain(raw, rate);
+    if (kind === 'brown') this.generateBrownNoise(raw);
+    if (kind === 'cafe') this.generateCafe(raw, rate);
+    this.normalizeSamples(raw, 0.12);
+
+    const buffer = context.createBuffer(1, length, rate);
+    const data = buffer.getChannelData(0);
+    data.set(raw.subarray(0, length));
+    for (let i = 0; i < overlap; i++) {
+      const t = i / overlap;
+      data[i] = raw[i] * t + raw[length + i] * (1 - t);
+    }
+    this.audio.buffers[kind] = buffer;
+    return buffer;
+  }
+
+  // Scale to a target loudness (RMS), clipping any stray peaks
+  normalizeSamples(data, rms) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) sum += data[i] * data[i];
+    const scale = rms / (Math.sqrt(sum / data.length) || 1);
+    for (let i = 0; i < data.length; i++) data[i] = Math.max(-1, Math.min(1, data[i] * scale));
+  }
+
+  // Coefficient for a one-pole low-pass filter with the given cutoff
+  lowPassCoefficient(cutoff, rate) {
+    return 1 - Math.exp((-2 * Math.PI * cutoff) / rate);
   }
 
-  async confirmStartFresh() {
-    // Archive current draft first
-    if (this.currentDraft) {
-      await window.focusWriter.saveContent(this.currentDraft);
+  generateBrownNoise(data) {
+    let last = 0;
+    for (let i = 0; i < data.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      data[i] = last;
     }
-    await window.focusWriter.clearDraft();
-    this.currentDraft = '';
-    this.showNoDraftSection();
-    this.hideConfirmFreshModal();
   }
 
-  // ==================== SESSION HISTORY ====================
+  // A soft hiss of distant rain with individual drops on top
+  generateRain(data, rate) {
+    const hissCoefficient = this.lowPassCoefficient(3000, rate);
+    let hiss = 0;
+    for (let i = 0; i < data.length; i++) {
+      hiss += hissCoefficient * ((Math.random() * 2 - 1) - hiss);
+      data[i] = hiss * 0.3;
+    }
 
-  async loadSessionHistory() {
-    const result = await window.focusWriter.loadSessions();
-    if (result.success && result.sessions && result.sessions.length > 0) {
-      this.displaySessionStats(result.sessions);
+    const drops = Math.floor((data.length / rate) * 40);
+    const dropCoefficient = this.lowPassCoefficient(5000, rate);
+    for (let d = 0; d < drops; d++) {
+      const start = Math.floor(Math.random() * data.length);
+      const amplitude = 0.1 + Math.random() * 0.5;
+      const decay = rate * (0.003 + Math.random() * 0.008);
+      let tone = 0;
+      for (let j = 0; j < decay * 5 && start + j < data.length; j++) {
+        tone += dropCoefficient * ((Math.random() * 2 - 1) - tone);
+        data[start + j] += tone * amplitude * Math.exp(-j / decay);
+      }
     }
   }
 
-  displaySessionStats(sessions) {
-    const totalWords = sessions.reduce((sum, s) => sum + (s.words || 0), 0);
-    const totalSessions = sessions.length;
-    const completedSessions = sessions.filter(s => s.completed).length;
+  // Several murmuring voices (speech-band noise shaped into syllables) and the odd cup
+  generateCafe(data, rate) {
+    const upper = this.lowPassCoefficient(1200, rate);
+    const lower = this.lowPassCoefficient(250, rate);
+    const envelopeCoefficient = this.lowPassCoefficient(12, rate);
+
+    for (let voice = 0; voice < 6; voice++) {
+      let high = 0;
+      let low = 0;
+      let envelope = 0;
+      let target = 0;
+      let nextSyllable = 0;
+      for (let i = 0; i < data.length; i++) {
+        if (i >= nextSyllable) {
+          target = Math.random() < 0.3 ? 0 : Math.random();
+          nextSyllable = i + rate * (0.08 + Math.random() * 0.25);
+        }
+        envelope += envelopeCoefficient * (target - envelope);
+        const white = Math.random() * 2 - 1;
+        high += upper * (white - high);
+        low += lower * (white - low);
+        data[i] += (high - low) * envelope;
+      }
+    }
 
-    this.sessionStats.innerHTML = `
-      <span>${totalWords.toLocaleString()} total words</span>
-      <span>${completedSessions}/${totalSessions} sessions completed</span>
-    `;
+    const clinks = Math.floor((data.length / rate) * 0.4);
+    for (let c = 0; c < clinks; c++) {
+      const start = Math.floor(Math.random() * data.length);
+      const frequency = 2500 + Math.random() * 2000;
+      for (let j = 0; j < rate * 0.4 && start + j < data.length; j++) {
+        data[start + j] += Math.sin((2 * Math.PI * frequency * j) / rate) * 0.05 * Math.exp(-j / (rate * 0.06));
+      }
+    }
   }
 
-  // ==================== GOAL TYPE ====================
+  // A key's snap and the thud of the typebar; Enter gets the carriage return's heavier clunk
+  keyBuffer(variant) {
+    const name = `key-${variant}`;
+    if (this.audio.buffers[name]) return this.audio.buffers[name];
+
+    const context = this.audio.context;
+    const rate = context.sampleRate;
+    const isReturn = variant === 'return';
+    const buffer = context.createBuffer(1, Math.floor(rate * (isReturn ? 0.25 : 0.08)), rate);
+    const data = buffer.getChannelData(0);
+    const thud = isReturn ? 90 : 130 + Math.random() * 50;
+    const thudDecay = isReturn ? 0.04 : 0.012;
+    for (let i = 0; i < data.length; i++) {
+      const t = i / rate;
+      const snap = (Math.random() * 2 - 1) * Math.exp(-t / 0.002);
+      const body = Math.sin(2 * Math.PI * thud * t) * Math.exp(-t / thudDecay);
+      data[i] = snap * 0.6 + body * 0.5;
+    }
+    this.audio.buffers[name] = buffer;
+    return buffer;
+  }
 
-  setGoalType(type) {
-    this.session.goalType = type;
+  playKeySound(e) {
+    if (!this.soundSettings().keys || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key.length !== 1 && !['Enter', 'Backspace', 'Delete', 'Tab'].includes(e.key)) return;
 
-    this.goalTypeBtns.forEach(btn => {
-      btn.classList.toggle('active', btn.dataset.type === type);
-    });
+    try {
+      const context = this.audioContext();
+      const source = context.createBufferSource();
+      // A few variants, pitched slightly at random, so fast typing doesn't repeat one sample
+      source.buffer = this.keyBuffer(e.key === 'Enter' ? 'return' : Math.floor(Math.random() * 4));
+      source.playbackRate.value = 0.92 + Math.random() * 0.16;
+      source.connect(this.audio.keyGain);
+      source.start();
+    } catch (err) {
+      // Audio not available
+    }
+  }
 
-    if (type === 'words') {
-      this.wordCountInput.classList.remove('hidden');
-      this.timeInput.classList.add('hidden');
-    } else {
-      this.wordCountInput.classList.add('hidden');
-      this.timeInput.classList.remove('hidden');
+  // A short upward glide that climbs higher with each quarter of the goal
+  playFocusCue(level) {
+    if (!this.soundSettings().cues) return;
+
+    try {
+      const context = this.audioContext();
+      const start = context.currentTime;
+      const [from, to] = [[330, 440], [392, 523.25], [440, 659.25]][level - 1];
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.type = 'triangle';
+      oscillator.frequency.setValueAtTime(from, start);
+      oscillator.frequency.exponentialRampToValueAtTime(to, start + 0.4);
+      gain.gain.setValueAtTime(0.001, start);
+      gain.gain.exponentialRampToValueAtTime(0.3, start + 0.05);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.9);
+      oscillator.connect(gain);
+      gain.connect(this.audio.cueGain);
+      oscillator.start(start);
+      oscillator.stop(start + 0.9);
+    } catch (e) {
+      // Audio not available
     }
   }
 
-  handlePresetClick(e) {
-    const btn = e.target;
-    const value = parseInt(btn.dataset.value);
-    const container = btn.closest('.goal-input-section');
+  // ==================== INTEGRITY ====================
 
-    // Update active state
-    container.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
+  // Lowercase word tokens with surrounding punctuation stripped
+  wordTokens(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}'’-]+/gu) || [])
+      .map(token => token.replace(/^['’-]+|['’-]+$/g, ''))
+      .filter(token => token.length > 0);
+  }
 
-    // Update input value
-    if (this.session.goalType === 'words') {
-      this.wordGoal.value = value;
-    } else {
-      this.timeGoal.value = value;
+  isMeaningfulWord(token) {
+    // Tripled letters or digits: "aaaa", "1111"
+    if (/(.)\1\1/u.test(token)) return false;
+    // Only Latin-script words can be judged on their letters
+    if (!/[a-z]/.test(token)) return true;
+    if (!/[aeiouy]/.test(token)) return /^(?:[a-z]|[0-9]+[a-z]{1,2})$/.test(token);
+    if (/[bcdfghjklmnpqrstvwxz]{6}/.test(token)) return false;
+    if (token.length >= MASH_MIN_LENGTH && KEYBOARD_ROWS.some(row =>
+      row.includes(token) || [...row].reverse().join('').includes(token))) {
+      return false;
     }
+    // Keys hit at random along one row: "jfkdla", "sdlkfj"
+    const letters = token.replace(/[^a-z]/g, '');
+    if (!KEYBOARD_ROWS.some(row => [...letters].every(letter => row.includes(letter)))) return true;
+    return this.rareConsonantPairs(token) < MASH_RARE_PAIRS;
   }
 
-  updatePresetSelection() {
-    const input = this.session.goalType === 'words' ? this.wordGoal : this.timeGoal;
-    const value = parseInt(input.value);
-    const container = input.closest('.goal-input-section');
+  // Neighbouring consonants, overlapping, that aren't a common pair or a doubled letter
+  rareConsonantPairs(token) {
+    return [...token.matchAll(/(?=([bcdfghjklmnpqrstvxz]{2}))/g)]
+      .filter(([, pair]) => pair[0] !== pair[1] && !COMMON_CONSONANT_PAIRS.has(pair))
+      .length;
+  }
 
-    container.querySelectorAll('.preset-btn').forEach(btn => {
-      btn.classList.toggle('active', parseInt(btn.dataset.value) === value);
+  // How often each meaningful word appears, ignoring immediate repeats ("a a a")
+  tallyWords(text) {
+    const counts = new Map();
+    let previous = null;
+    this.wordTokens(text).forEach(token => {
+      if (token !== previous && this.isMeaningfulWord(token)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+      }
+      previous = token;
+    });
+    return counts;
+  }
+
+  recordPastedText(text) {
+    if (!this.session.integrity || !text) return;
+    const pasted = this.session.integrity.pasted;
+    this.tallyWords(text).forEach((count, word) => pasted.set(word, (pasted.get(word) || 0) + count));
+  }
+
+  // Net new words since the session started, less anything pasted. Deleted
+  // words drop out on their own. No single word may count for more than half
+  // the new vocabulary, so "the cat the cat the cat" earns almost nothing
+  countHonestWords(text) {
+    const { baseline, pasted } = this.session.integrity;
+    const added = [];
+    this.tallyWords(text).forEach((count, word) => {
+      const net = count - (baseline.get(word) || 0) - (pasted.get(word) || 0);
+      if (net > 0) added.push(net);
     });
+    const cap = Math.max(3, Math.ceil(added.length / 2));
+    return added.reduce((sum, net) => sum + Math.min(net, cap), 0);
   }
 
   // ==================== SESSION MANAGEMENT ====================
 
-  async startSession() {
-    // Validation constants
-    const MIN_WORDS = 10;
-    const MAX_WORDS = 50000;
-    const MIN_MINUTES = 1;
-    const MAX_MINUTES = 480; // 8 hours max
-
-    // Get and validate goal value
-    if (this.session.goalType === 'words') {
-      const rawValue = parseInt(this.wordGoal.value);
-      if (isNaN(rawValue) || rawValue < MIN_WORDS) {
-        this.showValidationError(`Word goal must be at least ${MIN_WORDS} words`);
-        return;
-      }
-      if (rawValue > MAX_WORDS) {
-        this.showValidationError(`Word goal cannot exceed ${MAX_WORDS.toLocaleString()} words`);
-        return;
-      }
-      this.session.goalValue = rawValue;
-    } else {
-      const rawValue = parseInt(this.timeGoal.value);
-      if (isNaN(rawValue) || rawValue < MIN_MINUTES) {
-        this.showValidationError(`Time goal must be at least ${MIN_MINUTES} minute`);
-        return;
-      }
-      if (rawValue > MAX_MINUTES) {
-        this.showValidationError(`Time goal cannot exceed ${MAX_MINUTES} minutes (8 hours)`);
+  // Fill in the setup screen from a preset and start, so the goal is checked
+  // exactly as if it had been typed in
+  async startPresetSession(preset) {
+    if (this.session.active || this.breakScreen.classList.contains('active')) return;
+    if (this.pendingInterrupted) return;
+
+    if (preset.documentId) {
+      if (!this.documents.some(doc => doc.id === preset.documentId)) {
+        this.showValidationError(`No document with the id "${preset.documentId}"`);
         return;
       }
-      this.session.goalValue = rawValue;
+      await this.selectDocument(preset.documentId);
+      // A recovered draft needs a decision before anything else
+      if (!this.recoveryModal.classList.contains('hidden')) return;
     }
 
+    this.fillGoalSetup(preset.goal);
+    if (preset.strictMode !== null) this.strictModeToggle.checked = preset.strictMode;
+
+    this.showScreen('welcome');
+    await this.startSession(preset.scheduled || null);
+  }
+
+  // scheduled: { id, at } when the scheduler started this session
+  async startSession(scheduled = null) {
+    const goal = this.readGoalSetup();
+    if (!goal) return;
+    const pomodoro = this.readPomodoroSetup();
+    if (pomodoro === false) return;
+    this.session.goal = goal;
+    this.syncLegacyGoal();
+
     this.session.strictMode = this.strictModeToggle.checked;
 
     // Load existing draft content
     this.editor.value = this.currentDraft || '';
     this.session.startWordCount = this.countWords(this.editor.value);
     this.session.currentWordCount = this.session.startWordCount;
+    this.session.sectionMarker = this.settings.sectionMarker || '***';
+    this.session.startCharCount = this.editor.value.length;
+    this.session.startParagraphs = this.countParagraphs(this.editor.value);
+    this.session.startSections = this.countSections(this.editor.value);
+    this.session.focusModes = this.currentFocusModes();
+    this.session.ambient = this.activeTemplate()?.ambient || null;
+    if (this.integrityToggle.checked) {
+      this.session.integrity = {
+        baseline: this.tallyWords(this.editor.value),
+        pasted: new Map(),
+        honestWords: 0
+      };
+      this.honestStat.classList.remove('hidden');
+    }
     this.session.startTime = Date.now();
+    this.session.downtimeSeconds = 0;
     this.session.elapsedSeconds = 0;
     this.session.active = true;
 
     // Start lockdown via main process
-    await window.focusWriter.startSession({
+    const started = await window.focusWriter.startSession({
+      documentId: this.currentDocumentId,
       goalType: this.session.goalType,
       goalValue: this.session.goalValue,
-      strictMode: this.session.strictMode
+      goal: this.session.goal,
+      strictMode: this.session.strictMode,
+      scheduled
     });
+    if (!started.success) {
+      this.session.active = false;
+      this.showValidationError(started.error || 'Could not start session');
+      return;
+    }
+    this.currentDocumentId = started.documentId;
+    this.writingDocumentTitle.textContent = started.documentTitle;
+    this.resetJournal();
+
+    if (pomodoro) {
+      this.session.pomodoro = pomodoro;
+      this.startWorkBlock(this.session.startTime);
+      this.pomodoroStat.classList.remove('hidden');
+    }
 
+    this.beginWriting();
+  }
+
+  // Writing screen, timers and focus aids, for a new session or a resumed one
+  beginWriting() {
     // Switch to writing screen
     this.showScreen('writing');
 
-    // Update UI
+    // Update UI. No cue for progress the document already had
+    this.renderProgressSegments();
+    this.session.cueLevel = this.progressQuarters(this.goalProgress());
     this.updateProgress();
     this.updateStats();
 
@@ -358,11 +4114,17 @@ class FocusWriterApp {
 
     // Focus editor
     this.editor.focus();
+    this.session.forwardFloor = this.editor.selectionEnd;
+    this.applyFocusModes();
+    this.startAmbient();
+    this.renderCountdown();
+    this.saveSessionState();
   }
 
   tick() {
-    // Calculate actual elapsed time from start (handles system sleep/wake)
-    const actualElapsed = Math.floor((Date.now() - this.session.startTime) / 1000);
+    // Calculate actual elapsed time from start (handles system sleep/wake),
+    // less any time the app was down before the session resumed
+    const actualElapsed = Math.floor((Date.now() - this.session.startTime) / 1000) - this.session.downtimeSeconds;
 
     // Detect large jumps (sleep/wake) - more than 5 seconds gap
     const timeDrift = actualElapsed - this.session.elapsedSeconds;
@@ -372,31 +4134,28 @@ class FocusWriterApp {
 
     this.session.elapsedSeconds = actualElapsed;
     this.updateStats();
+    if (this.session.pomodoro) this.tickPomodoro();
 
-    // Check time-based goal (with guard to prevent multiple triggers)
-    if (this.session.goalType === 'time' && !this.session.goalTriggered) {
+    // Time moves every goal with a time condition. Goals wait out breaks
+    if (!this.session.goalTriggered && this.session.pomodoro?.phase !== 'break') {
       this.updateProgress();
-      if (this.session.elapsedSeconds >= this.session.goalValue * 60) {
-        this.session.goalTriggered = true;
-        this.goalReached();
-      }
+      this.checkGoal();
     }
   }
 
   handleEditorInput() {
     const content = this.editor.value;
+    this.recordJournalEdit();
     this.session.currentWordCount = this.countWords(content);
+    if (this.session.integrity) this.session.integrity.honestWords = this.countHonestWords(content);
+    if (this.isForwardOnly()) this.session.forwardFloor = this.editor.selectionEnd;
+    if (this.find.open) this.updateFindMatches();
+    this.refreshOverlay();
+    this.keepCaretCentered();
     this.updateStats();
     this.updateProgress();
 
-    // Check word-based goal (with guard to prevent multiple triggers)
-    if (this.session.goalType === 'words' && !this.session.goalTriggered) {
-      const wordsWritten = this.session.currentWordCount - this.session.startWordCount;
-      if (wordsWritten >= this.session.goalValue) {
-        this.session.goalTriggered = true;
-        this.goalReached();
-      }
-    }
+    this.checkGoal();
 
     // Mark as unsaved
     this.saveIndicator.textContent = 'Saving...';
@@ -404,39 +4163,35 @@ class FocusWriterApp {
   }
 
   handleEditorKeydown(e) {
+    if (this.isForwardOnly() && this.isBackwardKey(e)) {
+      e.preventDefault();
+      return;
+    }
+    this.playKeySound(e);
+
     // Allow Tab for indentation
     if (e.key === 'Tab') {
       e.preventDefault();
-      const start = this.editor.selectionStart;
-      const end = this.editor.selectionEnd;
-      const value = this.editor.value;
-      this.editor.value = value.substring(0, start) + '\t' + value.substring(end);
-      this.editor.selectionStart = this.editor.selectionEnd = start + 1;
-      this.handleEditorInput();
+      this.replaceEditorRange(this.editor.selectionStart, this.editor.selectionEnd, '\t');
     }
-  }
-
-  updateProgress() {
-    let progress = 0;
-    let text = '';
 
-    if (this.session.goalType === 'words') {
-      const wordsWritten = Math.max(0, this.session.currentWordCount - this.session.startWordCount);
-      progress = Math.min(100, (wordsWritten / this.session.goalValue) * 100);
-      text = `${wordsWritten.toLocaleString()} / ${this.session.goalValue.toLocaleString()} words`;
-    } else {
-      const targetSeconds = this.session.goalValue * 60;
-      progress = Math.min(100, (this.session.elapsedSeconds / targetSeconds) * 100);
-      const remaining = Math.max(0, targetSeconds - this.session.elapsedSeconds);
-      text = `${this.formatTime(remaining)} remaining`;
+    if (e.key === 'Enter' && !e.shiftKey && this.settings.markdown?.enabled && this.continueMarkdownList()) {
+      e.preventDefault();
     }
+  }
 
-    this.progressFill.style.width = `${progress}%`;
-    this.progressText.textContent = text;
+  replaceEditorRange(start, end, text) {
+    const value = this.editor.value;
+    this.editor.value = value.substring(0, start) + text + value.substring(end);
+    this.editor.selectionStart = this.editor.selectionEnd = start + text.length;
+    this.handleEditorInput();
   }
 
   updateStats() {
     this.currentWords.textContent = this.session.currentWordCount.toLocaleString();
+    if (this.session.integrity) {
+      this.honestWords.textContent = this.session.integrity.honestWords.toLocaleString();
+    }
     this.currentChars.textContent = this.editor.value.length.toLocaleString();
     this.sessionTime.textContent = this.formatTime(this.session.elapsedSeconds);
   }
@@ -444,8 +4199,10 @@ class FocusWriterApp {
   async autoSave() {
     if (!this.session.active && !this.session.goalCompleted) return;
 
+    // Journaled edits must reach the main process before the save that covers them
+    this.flushJournal();
     const content = this.editor.value;
-    const result = await window.focusWriter.saveContent(content);
+    const result = await window.focusWriter.saveContent(content, this.currentDocumentId);
 
     if (result.success) {
       const now = new Date();
@@ -458,6 +4215,7 @@ class FocusWriterApp {
       `;
       this.saveIndicator.classList.remove('saving', 'error');
       this.saveIndicator.style.color = '';
+      await this.saveSessionState();
     } else {
       // Show error state
       this.saveIndicator.innerHTML = `
@@ -535,6 +4293,15 @@ class FocusWriterApp {
     // Mark session as no longer locked (user is free to continue or exit)
     this.session.active = false;
     this.session.goalCompleted = true;
+    // Style flags held back during the session can show now
+    this.refreshOverlay();
+
+    // No more breaks once the goal is in
+    if (this.session.pomodoro) {
+      this.finishWorkBlock(Date.now());
+      this.session.pomodoro.phase = 'stopped';
+      this.pomodoroStat.classList.add('hidden');
+    }
 
     // Stop the auto-save interval (keep timer for display if they continue)
     clearInterval(this.session.autoSaveInterval);
@@ -542,23 +4309,30 @@ class FocusWriterApp {
     // Final save
     await this.autoSave();
 
-    // Tell main process to exit lockdown (user is free now!)
+    // Tell main process to exit lockdown (user is free now!). Strict sessions
+    // get back the lockdown audit trail's summary
+    let lockdownSummary = null;
     try {
-      await window.focusWriter.goalReached();
+      const result = await window.focusWriter.goalReached();
+      lockdownSummary = result?.lockdown || null;
     } catch (e) {
       console.error('Failed to release lockdown:', e);
     }
 
     // Calculate stats for the banner
-    const wordsWritten = this.session.currentWordCount - this.session.startWordCount;
+    const wordsWritten = this.session.integrity
+      ? this.session.integrity.honestWords
+      : this.session.currentWordCount - this.session.startWordCount;
     const timeSpent = this.formatTime(this.session.elapsedSeconds);
+    const attempts = this.describeEscapeAttempts(lockdownSummary);
 
     // Update banner text
-    if (this.session.goalType === 'words') {
-      this.goalBannerText.textContent = `Goal reached! ${wordsWritten.toLocaleString()} words in ${timeSpent}. You're free to go.`;
+    if (this.session.goal.parts.some(part => part.kind !== 'time')) {
+      this.goalBannerText.textContent = `Goal reached! ${wordsWritten.toLocaleString()} words in ${timeSpent}${attempts}. You're free to go.`;
     } else {
-      this.goalBannerText.textContent = `Session complete! ${wordsWritten.toLocaleString()} words written. You're free to go.`;
+      this.goalBannerText.textContent = `Session complete! ${wordsWritten.toLocaleString()} words written${attempts}. You're free to go.`;
     }
+    this.completionStats.textContent = `You wrote ${wordsWritten.toLocaleString()} words in ${timeSpent}${attempts}`;
 
     // Show the subtle banner (not a full screen takeover)
     this.showGoalBanner();
@@ -570,10 +4344,22 @@ class FocusWriterApp {
     this.playCompletionSound();
 
     // Update progress bar to show 100%
-    this.progressFill.style.width = '100%';
+    this.progressBar.querySelectorAll('.progress-segment').forEach(segment => {
+      segment.classList.add('met');
+      segment.firstChild.style.width = '100%';
+    });
     this.progressText.textContent = 'Goal reached!';
   }
 
+  // ", 3 escape attempts" for the banner, counted honestly from the lockdown
+  // audit trail; nothing for relaxed sessions, which have no lockdown
+  describeEscapeAttempts(summary) {
+    if (!summary) return '';
+    const count = summary.escapeAttempts;
+    if (count === 0) return ', no escape attempts';
+    return `, ${count} escape attempt${count === 1 ? '' : 's'}`;
+  }
+
   showGoalBanner() {
     this.goalBanner.classList.remove('hidden');
     // Trigger animation by adding class after a tiny delay
@@ -643,28 +4429,41 @@ class FocusWriterApp {
     if (exitBtn) exitBtn.remove();
   }
 
+  // What goes in the session log, including whichever interval is still running
+  buildSessionStats() {
+    const pomodoro = this.session.pomodoro;
+    return {
+      words: this.session.currentWordCount - this.session.startWordCount,
+      honestWords: this.session.integrity ? this.session.integrity.honestWords : null,
+      duration: this.formatTime(this.session.elapsedSeconds),
+      durationSeconds: this.session.elapsedSeconds,
+      startedAt: new Date(this.session.startTime).toISOString(),
+      goalType: this.session.goalType,
+      goalValue: this.session.goalValue,
+      goal: this.session.goal,
+      intervals: pomodoro ? [...pomodoro.intervals, this.openInterval(Date.now())].filter(Boolean) : null,
+      completed: this.session.goalTriggered
+    };
+  }
+
   async saveAndExit() {
+    this.flushJournal();
     const content = this.editor.value;
-    const wordsWritten = this.session.currentWordCount - this.session.startWordCount;
 
     // Hide the goal banner if visible
     this.hideGoalBanner();
 
-    await window.focusWriter.endSession({
+    const result = await window.focusWriter.endSession({
       content: content,
-      stats: {
-        words: wordsWritten,
-        duration: this.formatTime(this.session.elapsedSeconds),
-        goalType: this.session.goalType,
-        goalValue: this.session.goalValue,
-        completed: this.session.goalTriggered
-      }
+      stats: this.buildSessionStats()
     });
 
     this.resetSession();
     await this.loadDraft();
     await this.loadSessionHistory();
+    await this.loadTargets({ suggest: true });
     this.showScreen('welcome');
+    if (result.report) this.showNotice('Signed session report saved');
   }
 
   keepWriting() {
@@ -678,18 +4477,25 @@ class FocusWriterApp {
       this.session.autoSaveInterval = null;
     }
 
-    // Add 10 more minutes / 20% more words
-    if (this.session.goalType === 'time') {
-      this.session.goalValue += 10;
-    } else {
-      // Add 20% more words
-      this.session.goalValue = Math.ceil(this.session.goalValue * 1.2);
-    }
+    // Add 10 more minutes / 20% more of everything else
+    this.session.goal.parts = this.session.goal.parts.map(part => ({
+      ...part,
+      value: part.kind === 'time' ? part.value + 10 : Math.ceil(part.value * 1.2)
+    }));
+    this.syncLegacyGoal();
 
     // Reset goal tracking so user can reach the new goal
     this.session.goalTriggered = false;
     this.session.goalCompleted = false;
     this.session.active = true;
+    this.refreshOverlay();
+
+    // Pick the interval schedule back up with a fresh block
+    if (this.session.pomodoro) {
+      this.session.pomodoro.block++;
+      this.startWorkBlock(Date.now());
+      this.pomodoroStat.classList.remove('hidden');
+    }
 
     // Hide goal banner and persistent exit button
     this.hideGoalBanner();
@@ -715,13 +4521,25 @@ class FocusWriterApp {
       active: false,
       goalType: 'words',
       goalValue: 500,
+      goal: null,
       strictMode: true,
       startTime: null,
+      downtimeSeconds: 0,
       startWordCount: 0,
       currentWordCount: 0,
+      startCharCount: 0,
+      startParagraphs: 0,
+      startSections: 0,
+      sectionMarker: '***',
+      pomodoro: null,
+      integrity: null,
+      focusModes: null,
+      ambient: null,
+      forwardFloor: 0,
       timerInterval: null,
       autoSaveInterval: null,
       elapsedSeconds: 0,
+      cueLevel: 0,
       goalTriggered: false,
       goalCompleted: false
     };
@@ -731,49 +4549,557 @@ class FocusWriterApp {
 
     // Hide persistent exit button
     this.hidePersistentExitButton();
+    this.pomodoroStat.classList.add('hidden');
+    this.honestStat.classList.add('hidden');
+    this.hideFind();
+    this.applyFocusModes();
+    this.stopAmbient();
+    this.renderCountdown();
+  }
+
+  // ==================== INTERRUPTED SESSIONS ====================
+
+  // Everything needed to pick the session up again after a crash or restart,
+  // kept on disk by the main process
+  sessionSnapshot() {
+    const { integrity, pomodoro } = this.session;
+    const stats = this.buildSessionStats();
+    return {
+      goalType: this.session.goalType,
+      goalValue: this.session.goalValue,
+      goal: this.session.goal,
+      strictMode: this.session.strictMode,
+      startTime: this.session.startTime,
+      elapsedSeconds: this.session.elapsedSeconds,
+      startWordCount: this.session.startWordCount,
+      startCharCount: this.session.startCharCount,
+      startParagraphs: this.session.startParagraphs,
+      startSections: this.session.startSections,
+      sectionMarker: this.session.sectionMarker,
+      focusModes: this.session.focusModes,
+      ambient: this.session.ambient,
+      goalTriggered: this.session.goalTriggered,
+      integrity: integrity ? { baseline: [...integrity.baseline], pasted: [...integrity.pasted] } : null,
+      pomodoro: pomodoro
+        ? {
+          ...pomodoro,
+          intervals: stats.intervals,
+          // A break cut short counts as taken
+          breakTotalSeconds: pomodoro.breakTotalSeconds +
+            (pomodoro.phase === 'break' ? Math.round((Date.now() - pomodoro.phaseStartedAt) / 1000) : 0)
+        }
+        : null,
+      // What goes in the log if the session is never resumed
+      stats
+    };
+  }
+
+  async saveSessionState() {
+    if (!this.session.active && !this.session.goalCompleted) return;
+    try {
+      await window.focusWriter.saveSessionState(this.sessionSnapshot());
+    } catch (e) {
+      console.error('Failed to save session state:', e);
+    }
+  }
+
+  // Strict sessions resume straight away; relaxed ones ask first. One that
+  // couldn't be resumed has already gone in the session log
+  async handleInterruptedSession(interrupted) {
+    const title = interrupted.documentTitle || 'Untitled';
+    if (interrupted.logged) {
+      this.showNotice(`Your last session on "${title}" was interrupted and has been saved to your history`);
+      await this.loadSessionHistory();
+      return;
+    }
+    if (interrupted.forced) {
+      this.showNotice(`Your strict session on "${title}" was interrupted. Picking up where you left off`);
+      await this.resumeSession(interrupted);
+      return;
+    }
+    this.showResumeModal(interrupted);
+  }
+
+  showResumeModal(interrupted) {
+    this.pendingInterrupted = interrupted;
+    const { state } = interrupted;
+    const words = state.stats.words;
+    this.resumeDocumentName.textContent = interrupted.documentTitle || 'Untitled';
+    this.resumeDetails.textContent = `${this.describeGoal(interrupted.goal, null)} · ` +
+      `${words.toLocaleString()} word${words === 1 ? '' : 's'} in ${this.formatTime(state.elapsedSeconds)}, ` +
+      `stopped ${this.formatRelativeTime(new Date(interrupted.savedAt))}.`;
+    this.resumeModal.classList.remove('hidden');
+  }
+
+  hideResumeModal() {
+    this.resumeModal.classList.add('hidden');
+    this.pendingInterrupted = null;
+  }
+
+  async endInterruptedSession() {
+    const result = await window.focusWriter.endInterruptedSession();
+    this.hideResumeModal();
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not end the session');
+      return;
+    }
+    await this.loadSessionHistory();
+    await this.loadTargets();
+  }
+
+  // Carry on with the saved goal and counts; the timer picks up from the
+  // saved elapsed time, not counting the time the app was down
+  async resumeSession(interrupted) {
+    this.hideResumeModal();
+    if (!interrupted) return;
+    const { state } = interrupted;
+    if (interrupted.documentId !== this.currentDocumentId) {
+      await this.selectDocument(interrupted.documentId);
+    }
+
+    const result = await window.focusWriter.resumeSession();
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not resume the session');
+      return;
+    }
+
+    Object.assign(this.session, {
+      goalType: state.goalType,
+      goalValue: state.goalValue,
+      goal: state.goal,
+      strictMode: state.strictMode,
+      startTime: state.startTime,
+      downtimeSeconds: Math.max(0, Math.floor((Date.now() - state.startTime) / 1000) - state.elapsedSeconds),
+      elapsedSeconds: state.elapsedSeconds,
+      startWordCount: state.startWordCount,
+      startCharCount: state.startCharCount,
+      startParagraphs: state.startParagraphs,
+      startSections: state.startSections,
+      sectionMarker: state.sectionMarker,
+      focusModes: state.focusModes,
+      ambient: state.ambient,
+      active: true
+    });
+    this.editor.value = this.currentDraft || '';
+    this.session.currentWordCount = this.countWords(this.editor.value);
+    if (state.integrity) {
+      this.session.integrity = {
+        baseline: new Map(state.integrity.baseline),
+        pasted: new Map(state.integrity.pasted),
+        honestWords: 0
+      };
+      this.session.integrity.honestWords = this.countHonestWords(this.editor.value);
+      this.honestStat.classList.remove('hidden');
+    }
+    this.currentDocumentId = result.documentId;
+    this.writingDocumentTitle.textContent = result.documentTitle;
+    this.resetJournal();
+
+    // The interrupted block or break is over; carry on with a fresh block
+    if (state.pomodoro) {
+      this.session.pomodoro = state.pomodoro;
+      this.session.pomodoro.block++;
+      this.startWorkBlock(Date.now());
+      this.pomodoroStat.classList.remove('hidden');
+    }
+
+    this.beginWriting();
   }
 
   // ==================== EMERGENCY EXIT ====================
 
   handleGlobalKeydown(e) {
+    // Escape closes find first; it takes a second press to reach emergency exit
+    if (e.key === 'Escape' && this.find.open) {
+      e.preventDefault();
+      this.closeFind();
+      return;
+    }
+
     // Escape to show emergency exit during active session
     if (e.key === 'Escape' && this.session.active) {
       e.preventDefault();
       this.showEmergencyModal();
     }
+
+    // Ctrl/Cmd+F: find. Ctrl+H (Cmd+Option+F on macOS): find and replace
+    if (this.writingScreen.classList.contains('active') && !e.shiftKey) {
+      const key = e.key.toLowerCase();
+      const replace = IS_MAC ? e.metaKey && e.altKey && e.code === 'KeyF' : e.ctrlKey && !e.altKey && key === 'h';
+      if (replace || ((e.ctrlKey || e.metaKey) && !e.altKey && key === 'f')) {
+        e.preventDefault();
+        this.openFind(replace);
+      }
+    }
+
+    // Ctrl/Cmd+Shift+M: Markdown styling, Ctrl/Cmd+Shift+P: preview
+    if ((e.ctrlKey || e.metaKey) && e.shiftKey && this.writingScreen.classList.contains('active')) {
+      const key = e.key.toLowerCase();
+      if (key === 'm') {
+        e.preventDefault();
+        this.toggleMarkdown();
+      } else if (key === 'p' && this.settings.markdown?.enabled) {
+        e.preventDefault();
+        this.togglePreview();
+      }
+    }
   }
 
-  showEmergencyModal() {
+  async showEmergencyModal() {
+    // Already open: keep the challenge the user is typing
+    if (!this.emergencyModal.classList.contains('hidden')) return;
     this.emergencyModal.classList.remove('hidden');
     this.emergencyInput.value = '';
-    this.emergencyInput.focus();
+    this.emergencyReason.value = '';
+    await this.loadEmergencyChallenge();
   }
 
   hideEmergencyModal() {
+    clearInterval(this.emergencyCountdown);
+    this.emergencyCountdown = null;
     this.emergencyModal.classList.add('hidden');
     this.editor.focus();
   }
 
-  checkEmergencyPhrase() {
-    const phrase = this.emergencyInput.value.toUpperCase().trim();
-    if (phrase === 'I GIVE UP') {
-      this.emergencyExit();
+  // Ask the main process for a challenge; the lockdown policy may say not yet
+  async loadEmergencyChallenge() {
+    clearInterval(this.emergencyCountdown);
+    this.emergencyCountdown = null;
+
+    const result = await window.focusWriter.requestEmergencyExit();
+    if (!result.success) {
+      this.showEmergencyStatus(result.error);
+      return;
+    }
+
+    if (result.reason === 'cooldown') {
+      const update = () => {
+        const remaining = Math.ceil((result.availableAt - Date.now()) / 1000);
+        if (remaining <= 0) {
+          this.loadEmergencyChallenge();
+          return;
+        }
+        this.showEmergencyStatus(`Emergency exit unlocks in ${this.formatTime(remaining)}. Keep writing.`);
+      };
+      update();
+      this.emergencyCountdown = setInterval(update, 1000);
+      return;
+    }
+    if (result.reason === 'limit') {
+      this.showEmergencyStatus(
+        `You've used all ${result.limit} emergency exits this week. This session ends when you reach your goal.`
+      );
+      return;
+    }
+
+    const instructions = {
+      exact: 'Type this to end your session early:',
+      backwards: 'Type this backwards, last letter first, to end your session early:',
+      passage: 'Type this passage to end your session early:'
+    };
+    this.emergencyInstructions.textContent = instructions[result.challenge.challenge];
+    this.emergencyPhrase.textContent = result.challenge.text;
+    this.emergencyInput.rows = result.challenge.challenge === 'passage' ? 5 : 2;
+
+    this.emergencyAllowance.classList.toggle('hidden', result.exitsLeft === null);
+    if (result.exitsLeft !== null) {
+      this.emergencyAllowance.textContent = result.exitsLeft === 1
+        ? 'This is your last emergency exit this week.'
+        : `This uses one of your ${result.exitsLeft} remaining emergency exits this week.`;
     }
+
+    this.emergencyStatus.classList.add('hidden');
+    this.emergencyForm.classList.remove('hidden');
+    this.confirmEmergency.classList.remove('hidden');
+    this.emergencyReason.focus();
+  }
+
+  showEmergencyStatus(message) {
+    this.emergencyStatus.textContent = message;
+    this.emergencyStatus.classList.remove('hidden');
+    this.emergencyForm.classList.add('hidden');
+    this.confirmEmergency.classList.add('hidden');
   }
 
-  async emergencyExit() {
+  async submitEmergencyExit() {
+    const reason = this.emergencyReason.value.trim();
+    if (!reason) {
+      this.showValidationError('Give a reason for ending the session early');
+      this.emergencyReason.focus();
+      return;
+    }
+
+    this.flushJournal();
+    const result = await window.focusWriter.emergencyExit({
+      content: this.editor.value,
+      response: this.emergencyInput.value,
+      reason,
+      stats: this.buildSessionStats()
+    });
+    if (!result.success) {
+      this.showValidationError(result.error);
+      this.emergencyInput.focus();
+      return;
+    }
+
     // Stop timers
     clearInterval(this.session.timerInterval);
     clearInterval(this.session.autoSaveInterval);
 
-    const content = this.editor.value;
-
-    await window.focusWriter.emergencyExit({ content });
-
     this.hideEmergencyModal();
     this.resetSession();
     await this.loadDraft();
+    await this.loadSessionHistory();
+    await this.loadTargets({ suggest: true });
     this.showScreen('welcome');
+    if (result.report) this.showNotice('Signed session report saved');
+  }
+
+  // ==================== LOCKDOWN POLICY ====================
+
+  showLockdownPolicyModal() {
+    const policy = this.settings.lockdown || {};
+    this.policyPhrase.value = policy.phrase || 'default';
+    this.policyCustomPhrase.value = policy.customPhrase || '';
+    this.policyChallenge.value = policy.challenge || 'exact';
+    this.policyCooldown.value = policy.cooldownMinutes || 0;
+    this.policyWeeklyLimit.value = policy.weeklyExitLimit || 0;
+
+    const blocklist = { enabled: false, sites: [], apps: [], appAction: 'quit', dryRun: false, ...this.settings.blocklist };
+    this.blocklistToggle.checked = blocklist.enabled;
+    this.blocklistSites.value = blocklist.sites.join('\n');
+    this.blocklistApps.value = blocklist.apps.join('\n');
+    this.blocklistAppAction.value = blocklist.appAction;
+    this.blocklistDryRun.checked = blocklist.dryRun;
+    this.renderBlocklistReport();
+    this.renderPlatformReport();
+
+    this.updatePolicyFields();
+    this.lockdownPolicyModal.classList.remove('hidden');
+  }
+
+  // What the last strict session blocked, so a dry run can be checked
+  async renderBlocklistReport() {
+    const { report } = await window.focusWriter.getBlocklistStatus();
+    const labels = {
+      'block-sites': 'Blocked',
+      'unblock-sites': 'Restored',
+      'quit-app': 'Quit',
+      'hide-app': 'Hid'
+    };
+    const lines = report.map(entry => {
+      const label = entry.dryRun ? `Would have ${labels[entry.action].toLowerCase()}` : labels[entry.action];
+      return entry.error ? `Couldn't ${entry.action.replace('-', ' ')} ${entry.target}: ${entry.error}` : `${label} ${entry.target}`;
+    });
+    this.blocklistReport.textContent = lines.length > 0 ? `Last strict session:\n${lines.join('\n')}` : '';
+  }
+
+  // The escape routes this operating system won't let lockdown close
+  async renderPlatformReport() {
+    const report = await window.focusWriter.getPlatformReport();
+    this.platformReportTitle.textContent = `Can't be blocked on ${report.platform}`;
+    this.platformReport.replaceChildren(...report.unblockable.map(route => {
+      const item = document.createElement('li');
+      item.textContent = route;
+      return item;
+    }));
+  }
+
+  hideLockdownPolicyModal() {
+    this.lockdownPolicyModal.classList.add('hidden');
+  }
+
+  updatePolicyFields() {
+    this.policyCustomPhrase.classList.toggle('hidden', this.policyPhrase.value !== 'custom');
+    this.blocklistFields.classList.toggle('hidden', !this.blocklistToggle.checked);
+  }
+
+  async saveLockdownPolicy() {
+    const customPhrase = this.policyCustomPhrase.value.trim();
+    if (this.policyPhrase.value === 'custom' && !customPhrase) {
+      this.showValidationError('Enter your escape phrase');
+      return;
+    }
+
+    const cooldownMinutes = parseInt(this.policyCooldown.value);
+    if (isNaN(cooldownMinutes) || cooldownMinutes < 0 || cooldownMinutes > 480) {
+      this.showValidationError('Cooldown must be between 0 and 480 minutes');
+      return;
+    }
+    const weeklyExitLimit = parseInt(this.policyWeeklyLimit.value);
+    if (isNaN(weeklyExitLimit) || weeklyExitLimit < 0 || weeklyExitLimit > 50) {
+      this.showValidationError('Weekly limit must be between 0 and 50');
+      return;
+    }
+
+    this.settings.lockdown = {
+      phrase: this.policyPhrase.value,
+      customPhrase,
+      challenge: this.policyChallenge.value,
+      cooldownMinutes,
+      weeklyExitLimit
+    };
+    await this.saveSettings();
+
+    const lines = (input) => input.value.split('\n').map(line => line.trim()).filter(Boolean);
+    const result = await window.focusWriter.saveBlocklist({
+      enabled: this.blocklistToggle.checked,
+      sites: lines(this.blocklistSites),
+      apps: lines(this.blocklistApps),
+      appAction: this.blocklistAppAction.value,
+      dryRun: this.blocklistDryRun.checked
+    });
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not save the blocklist');
+      return;
+    }
+    this.settings.blocklist = result.settings.blocklist;
+    this.hideLockdownPolicyModal();
+    this.showNotice('Lockdown policy saved. It applies to your next strict session.');
+  }
+
+  // ==================== ACCOUNTABILITY ====================
+
+  accountabilitySettings() {
+    return { enabled: false, name: '', partners: [], ...this.settings.accountability };
+  }
+
+  async renderAccountabilitySettings() {
+    const accountability = this.accountabilitySettings();
+    this.accountabilityToggle.checked = accountability.enabled;
+    this.accountabilityNameInput.value = accountability.name;
+    this.renderPartners();
+
+    const identity = await window.focusWriter.getReportIdentity();
+    this.reportIdentity.textContent = identity.success
+      ? `Your key is ${identity.fingerprint}. Give it to your partner once, over a channel you trust, ` +
+        `so they can tell your reports from anyone else's. Reports are saved in ${identity.reportsPath}`
+      : `Couldn't read your signing key: ${identity.error}`;
+  }
+
+  renderPartners() {
+    const { partners } = this.accountabilitySettings();
+    this.partnerFields.classList.toggle('hidden', partners.length === 0);
+    this.partnerList.innerHTML = '';
+    partners.forEach(partner => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = partner.name || 'Partner';
+      const fingerprint = document.createElement('code');
+      fingerprint.textContent = partner.fingerprint;
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'text-btn remove-partner-btn';
+      removeBtn.dataset.fingerprint = partner.fingerprint;
+      removeBtn.textContent = 'Remove';
+      item.append(name, fingerprint, removeBtn);
+      this.partnerList.appendChild(item);
+    });
+  }
+
+  async saveAccountability(accountability) {
+    const result = await window.focusWriter.saveAccountability(accountability);
+    if (!result.success) {
+      this.showValidationError(result.error || 'Could not save accountability settings');
+      return false;
+    }
+    this.settings.accountability = result.settings.accountability;
+    this.renderPartners();
+    return true;
+  }
+
+  async updateAccountabilitySettings() {
+    await this.saveAccountability({
+      ...this.accountabilitySettings(),
+      enabled: this.accountabilityToggle.checked,
+      name: this.accountabilityNameInput.value
+    });
+  }
+
+  async removePartner(fingerprint) {
+    const accountability = this.accountabilitySettings();
+    await this.saveAccountability({
+      ...accountability,
+      partners: accountability.partners.filter(partner => partner.fingerprint !== fingerprint)
+    });
+  }
+
+  async verifyReport() {
+    const result = await window.focusWriter.verifyReport();
+    if (result.canceled) return;
+    if (!result.success) {
+      this.showValidationError(`Couldn't check the report: ${result.error}`);
+      return;
+    }
+    this.showReportModal(result);
+  }
+
+  showReportModal(result) {
+    const { report } = result;
+    const session = report.session || {};
+    this.pendingReport = result;
+
+    this.reportVerdict.textContent = result.valid ? 'Report Verified' : "Report Doesn't Check Out";
+    this.reportVerdict.classList.toggle('report-invalid', !result.valid);
+    if (!result.valid) {
+      this.reportSigner.textContent = 'It was changed after it was signed, so none of it can be trusted.';
+    } else if (result.own) {
+      this.reportSigner.textContent = "Signed with this computer's key.";
+    } else if (result.partner) {
+      this.reportSigner.textContent = `Signed with ${result.partner}'s trusted key.`;
+    } else {
+      this.reportSigner.textContent = `Signed with a key you haven't trusted yet. Check that ${result.fingerprint} ` +
+        'is the fingerprint your partner gave you before trusting it.';
+    }
+
+    const words = typeof session.honestWords === 'number'
+      ? `${(session.words || 0).toLocaleString()} (${session.honestWords.toLocaleString()} honest)`
+      : (session.words || 0).toLocaleString();
+    const facts = [
+      ['Writer', report.author || 'No name given'],
+      ['Started', session.startedAt ? new Date(session.startedAt).toLocaleString() : 'Unknown'],
+      ['Duration', session.duration || 'Unknown'],
+      ['Words', words],
+      ['Goal', `${session.goal ? this.describeGoal(session.goal, null) : 'Unknown'}, ${session.completed ? 'reached' : 'not reached'}`],
+      ['Mode', session.strictMode ? 'Strict' : 'Relaxed'],
+      ['Emergency exit', session.emergencyExit ? `"${session.emergencyExit.reason}"` : 'None'],
+      ['Escape attempts', report.lockdown ? report.lockdown.escapeAttempts.toLocaleString() : 'No lockdown'],
+      ['Draft', report.draft?.title || 'Untitled'],
+      ['Draft SHA-256', report.draft?.sha256 || 'Unknown']
+    ];
+    this.reportFacts.innerHTML = '';
+    facts.forEach(([label, value]) => {
+      const item = document.createElement('li');
+      const name = document.createElement('span');
+      name.textContent = label;
+      const detail = document.createElement('span');
+      detail.textContent = value;
+      item.append(name, detail);
+      this.reportFacts.appendChild(item);
+    });
+
+    this.trustReportKeyBtn.classList.toggle('hidden', !result.valid || result.own || Boolean(result.partner));
+    this.reportModal.classList.remove('hidden');
+  }
+
+  hideReportModal() {
+    this.reportModal.classList.add('hidden');
+    this.pendingReport = null;
+  }
+
+  // Later reports signed with this key show as the partner's
+  async trustReportKey() {
+    const result = this.pendingReport;
+    if (!result) return;
+
+    const accountability = this.accountabilitySettings();
+    const name = result.report.author || 'Partner';
+    const saved = await this.saveAccountability({
+      ...accountability,
+      partners: [...accountability.partners, { name, fingerprint: result.fingerprint }]
+    });
+    if (!saved) return;
+    this.hideReportModal();
+    this.showNotice(`Reports signed with this key will show as ${name}'s`);
   }
 
   // ==================== UTILITIES ====================
@@ -808,10 +5134,44 @@ class FocusWriterApp {
     }, 3000);
   }
 
+  showNotice(message) {
+    // Shares the toast slot with validation errors
+    const existingToast = document.querySelector('.validation-toast');
+    if (existingToast) existingToast.remove();
+
+    const toast = document.createElement('div');
+    toast.className = 'validation-toast';
+    toast.textContent = message;
+    toast.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 50%;
+      transform: translateX(-50%);
+      max-width: 80%;
+      background: #10b981;
+      color: white;
+      padding: 12px 24px;
+      border-radius: 8px;
+      z-index: 10000;
+      font-size: 14px;
+      box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+      animation: slideUp 0.3s ease;
+    `;
+    document.body.appendChild(toast);
+    setTimeout(() => {
+      toast.style.opacity = '0';
+      toast.style.transition = 'opacity 0.3s';
+      setTimeout(() => toast.remove(), 300);
+    }, 4000);
+  }
+
   showScreen(screenName) {
     this.welcomeScreen.classList.remove('active');
     this.writingScreen.classList.remove('active');
     this.completionScreen.classList.remove('active');
+    this.analyticsScreen.classList.remove('active');
+    this.settingsScreen.classList.remove('active');
+    this.breakScreen.classList.remove('active');
 
     switch (screenName) {
       case 'welcome':
@@ -823,6 +5183,15 @@ class FocusWriterApp {
       case 'completion':
         this.completionScreen.classList.add('active');
         break;
+      case 'analytics':
+        this.analyticsScreen.classList.add('active');
+        break;
+      case 'settings':
+        this.settingsScreen.classList.add('active');
+        break;
+      case 'break':
+        this.breakScreen.classList.add('active');
+        break;
     }
   }
 
@@ -858,7 +5227,7 @@ class FocusWriterApp {
 
   playCompletionSound() {
     try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      const audioContext = this.audioContext();
 
       // Play a pleasant three-note chime
       const notes = [523.25, 659.25, 783.99]; // C5, E5, G5